@@ -7,6 +7,22 @@
 
 'use strict';
 
+import { createListMeta, summarizeData, pickFallbackList, repairDepartAt } from './lists.js';
+import { repairView, sameView } from './view.js';
+import { DATA_VERSION } from './migrations.js';
+import { createBackup, parseBackup, planImport } from './backup.js';
+import { parseChecklistText, planTextImport, parseSharedText } from './textimport.js';
+import { createHistory } from './history.js';
+import { slugId, normalizeText } from './utils.js';
+import { MAX_QTY, itemQty, itemPacked, withPacked, withQty, qtyLabel } from './items.js';
+import { createTemplate, skeletonOf } from './templates.js';
+import { createLogEntry, appendLogEntry, hasCompletion } from './triplog.js';
+import { createStreak, recordCompletion, streakStatus } from './streaks.js';
+import { createReminders, repairReminders } from './reminders.js';
+import { repairSyncSettings } from './syncdoc.js';
+import { mergeLiveData } from './tabsync.js';
+import { encodeListLink, decodeListLink, linkUrl, listFromLink, linkQRParts, readScanned } from './sharelink.js';
+
 /**
  * Factory: createActions
  * @param {Object} params
@@ -14,9 +30,24 @@
  * @param {Function} params.setState   (partial | updaterFn) => void
  * @param {Object} params.deps
  * @param {Function} params.deps.presetFor (mode) => preset
- * @param {Function} params.deps.newPreset (mode) => data shape
+ * @param {Function} params.deps.newPreset (mode | modes[]) => data shape
  * @param {Function} params.deps.saveSettings () => void (debounced ok)
  * @param {Function} params.deps.saveData () => void (debounced ok)
+ * @param {Function} params.deps.saveLibrary () => void (debounced ok)
+ * @param {Function} params.deps.saveTemplates () => void (debounced ok)
+ * @param {Function} params.deps.saveLog () => void (debounced ok, trip history)
+ * @param {string[]} params.deps.themes built-in modes a template can borrow colors from
+ * @param {Function} params.deps.loadList (listId, mode) => Promise<data>
+ * @param {Function} params.deps.saveList (listId, data) => Promise<void> (immediate)
+ * @param {Function} params.deps.removeList (listId) => Promise<void>
+ * @param {Function} params.deps.listName (mode | modes[]) => string default list name
+ * @param {Function} params.deps.upgradeData (raw, mode) => { data, report } (storage migrate + repair)
+ * @param {Function} params.deps.inspectList (listId) => Promise<report> (dry run of that list's load)
+ * @param {Function} params.deps.isLocked (listId) => boolean (saved by a newer build: read-only here)
+ * @param {Function} params.deps.sanitizeSettings (settings) => settings
+ * @param {Function} params.deps.requestRender () => void (after undo/redo fired from a toast)
+ * @param {number} params.deps.historyLimit max undo steps (default 50)
+ * @param {Function} params.deps.uid () => string
  * @param {Function} params.deps.toast (msg) => void
  * @param {Function} params.deps.haptic (ms) => void
  * @param {Function} params.deps.tickSound () => void
@@ -26,9 +57,25 @@
 export function createActions({ getState, setState, deps = {} }){
   // Defensive deps (so missing fx methods don't crash the app)
   const presetFor   = deps.presetFor   || ((m) => ({ label: String(m || '🧳') }));
-  const newPreset   = deps.newPreset   || ((m) => ({ version:2, mode:m, cats:[], items:[], __completedOnce:false }));
+  const newPreset   = deps.newPreset   || ((m) => ({ version:DATA_VERSION, mode:m, cats:[], items:[], __completedOnce:false }));
   const saveSettings = deps.saveSettings || (() => {});
   const saveData     = deps.saveData     || (() => {});
+  const saveLibrary  = deps.saveLibrary  || (() => {});
+  const saveTemplates = deps.saveTemplates || (() => {});
+  const saveLog      = deps.saveLog      || (() => {});
+  const themes       = Array.isArray(deps.themes) && deps.themes.length ? deps.themes : ['salida'];
+  const loadList     = deps.loadList     || (async (id, m) => newPreset(m));
+  const saveList     = deps.saveList     || (async () => {});
+  const removeList   = deps.removeList   || (async () => {});
+  const listName     = deps.listName     || ((m) => presetFor(m)?.label || 'Mi lista');
+  const upgradeData  = deps.upgradeData  || ((raw) => ({ data: raw, report: { repairs: [] } }));
+  const inspectList  = deps.inspectList  || null;
+  const isLocked     = deps.isLocked     || (() => false);
+  const sanitizeSettings = deps.sanitizeSettings || ((x) => x);
+  const requestRender = typeof deps.requestRender === 'function' ? deps.requestRender : () => {};
+
+  // Undo/redo for data mutations of the active list (page lifetime only)
+  const history = createHistory({ limit: deps.historyLimit || 50 });
   const toast       = typeof deps.toast === 'function' ? deps.toast : null;
   const haptic      = typeof deps.haptic === 'function' ? deps.haptic : null;
   const tickSound   = typeof deps.tickSound === 'function' ? deps.tickSound : null;
@@ -39,17 +86,57 @@ export function createActions({ getState, setState, deps = {} }){
      MUTATION HELPERS
   ========================= */
 
-  function updateData(mutator){
+  /**
+   * updateData
+   * @param {(next) => void} mutator mutates next.data (items/cats are fresh copies)
+   * @param {string|null} label history label; null skips the undo stack
+   */
+  function updateData(mutator, label = 'Cambio'){
+    if (label){
+      const s = getSnapshot();
+      if (s?.data) history.record(label, { listId: s.activeListId, data: s.data });
+    }
+
     setState((s) => {
       const next = { ...s, data: { ...(s.data || {}) } };
-      next.data.items = Array.isArray(next.data.items) ? [...next.data.items] : [];
-      next.data.cats  = Array.isArray(next.data.cats)  ? [...next.data.cats]  : [];
+      // Copy rows too: snapshots in the undo stack must never be mutated
+      next.data.items = Array.isArray(next.data.items) ? next.data.items.map(it => ({ ...it })) : [];
+      next.data.cats  = Array.isArray(next.data.cats)  ? next.data.cats.map(c => ({ ...c }))  : [];
       mutator(next);
+      trackStart(next.data);
+      touchActiveMeta(next);
       return next;
     });
     saveData();
   }
 
+  // Time-to-complete runs from the first check; an empty bag clears it
+  function trackStart(data){
+    const started = data.items.some(it => itemPacked(it) > 0);
+    if (started && !data.startedAt) data.startedAt = Date.now();
+    if (!started && data.startedAt) delete data.startedAt;
+  }
+
+  // Keep the library entry of the active list in sync (mode, counts, updatedAt)
+  function touchActiveMeta(next){
+    const id = next.activeListId;
+    if (!id || !Array.isArray(next.lists)) return;
+    next.lists = next.lists.map(l => (
+      l.id === id
+        ? { ...l, mode: next.data.mode || l.mode, updatedAt: Date.now(), ...summarizeData(next.data) }
+        : l
+    ));
+  }
+
+  function updateLists(mutator){
+    setState((s) => {
+      const next = { ...s, lists: Array.isArray(s.lists) ? s.lists.map(l => ({ ...l })) : [] };
+      mutator(next);
+      return next;
+    });
+    saveLibrary();
+  }
+
   function updateSettings(mutator){
     setState((s) => {
       const next = { ...s, settings: { ...(s.settings || {}) } };
@@ -63,8 +150,22 @@ export function createActions({ getState, setState, deps = {} }){
      SAFE FX HELPERS
   ========================= */
 
-  function safeToast(msg){
-    try{ toast?.(msg); }catch{}
+  function safeToast(msg, opts){
+    try{ toast?.(msg, opts); }catch{}
+  }
+
+  // Toast with a "Deshacer" button for destructive actions
+  function toastUndo(msg){
+    safeToast(msg, {
+      duration: 4200,
+      action: {
+        label: 'Deshacer',
+        onClick: () => {
+          undo();
+          requestRender();
+        }
+      }
+    });
   }
   function safeHaptic(ms){
     try{ haptic?.(ms); }catch{}
@@ -105,18 +206,98 @@ export function createActions({ getState, setState, deps = {} }){
     const cleanId = ensureString(id, 120);
     if (!cleanId) return;
 
+    // Tap/swipe fills or clears the whole quantity
     updateData((next) => {
-      const it = next.data.items.find(x => x.id === cleanId);
-      if (!it) return;
-      it.done = !it.done;
+      const i = next.data.items.findIndex(x => x.id === cleanId);
+      if (i < 0) return;
+      next.data.items[i] = fill(next.data.items[i], !next.data.items[i].done, Date.now());
       next.data.__completedOnce = false;
-    });
+    }, 'Marcar item');
 
     const s = getSnapshot();
     if (s?.settings?.sound) safeTick();
     safeHaptic(12);
   }
 
+  /**
+   * stepPacked
+   * Stepper on rows with a quantity: one more / one less in the bag.
+   * @param {string} id
+   * @param {number} delta +1 | -1
+   */
+  function stepPacked(id, delta){
+    const s = getSnapshot();
+    const it = (s?.data?.items || []).find(x => x.id === id);
+    if (!it || itemQty(it) === 1) return { ok:false, reason:'NO_QTY' };
+
+    const packed = itemPacked(it) + Math.sign(Number(delta) || 0);
+    if (packed < 0 || packed > itemQty(it)) return { ok:false, reason:'OUT_OF_RANGE' };
+
+    updateData((next) => {
+      const i = next.data.items.findIndex(x => x.id === id);
+      if (i < 0) return;
+      next.data.items[i] = { ...withPacked(next.data.items[i], packed), updatedAt: Date.now() };
+      next.data.__completedOnce = false;
+    }, 'Contar item');
+
+    if (s?.settings?.sound) safeTick();
+    safeHaptic(8);
+    return { ok:true, packed };
+  }
+
+  /**
+   * moveItem
+   * Reorders within the list (items array order is the display order) and/or
+   * moves the item to another category.
+   * @param {string} id
+   * @param {Object} to
+   * @param {string} [to.beforeId] place right before this item
+   * @param {string} [to.afterId] place right after this item
+   * @param {string} [to.cat] new category (appended after its last item when no anchor is given)
+   */
+  function moveItem(id, { beforeId = null, afterId = null, cat = null } = {}){
+    const s = getSnapshot();
+    const items = s?.data?.items || [];
+    const it = items.find(x => x.id === id);
+    if (!it) return { ok:false, reason:'NOT_FOUND' };
+
+    const anchorId = beforeId || afterId;
+    if (anchorId === id) return { ok:false, reason:'SAME_ITEM' };
+    if (anchorId && !items.some(x => x.id === anchorId)) return { ok:false, reason:'NOT_FOUND' };
+
+    // Dragging only means something in the list's own order
+    if (anchorId && repairView(findList(s?.activeListId)?.view).sort !== 'manual'){
+      safeToast('Cambia a orden manual para reordenar ✋');
+      return { ok:false, reason:'SORTED' };
+    }
+
+    const catId = cat && (s?.data?.cats || []).some(c => c.id === cat) ? cat : it.cat;
+    if (!anchorId && catId === it.cat) return { ok:false, reason:'NO_CHANGE' };
+
+    updateData((next) => {
+      const rest = next.data.items.filter(x => x.id !== id);
+      const moved = { ...it, cat: catId, updatedAt: Date.now() };
+
+      let at;
+      if (anchorId){
+        at = rest.findIndex(x => x.id === anchorId) + (afterId ? 1 : 0);
+      } else {
+        const lastInCat = rest.map(x => x.cat).lastIndexOf(catId);
+        at = lastInCat < 0 ? rest.length : lastInCat + 1;
+      }
+
+      rest.splice(at, 0, moved);
+      next.data.items = rest;
+    }, 'Mover item');
+
+    if (catId !== it.cat){
+      const c = (s?.data?.cats || []).find(x => x.id === catId);
+      toastUndo(`Movido a ${c?.emoji ? c.emoji + ' ' : ''}${c?.name || catId}`);
+    }
+    safeHaptic(10);
+    return { ok:true };
+  }
+
   function deleteItem(id){
     const cleanId = ensureString(id, 120);
     if (!cleanId) return;
@@ -124,81 +305,373 @@ export function createActions({ getState, setState, deps = {} }){
     updateData((next) => {
       next.data.items = next.data.items.filter(x => x.id !== cleanId);
       next.data.__completedOnce = false;
-    });
+    }, 'Eliminar item');
 
-    safeToast('Item eliminado 🗑️');
+    toastUndo('Item eliminado 🗑️');
     safeHaptic(10);
   }
 
   function resetChecks(){
+    logTrip('reset');
+
     updateData((next) => {
-      next.data.items.forEach(i => { i.done = false; });
+      const now = Date.now();
+      next.data.items = next.data.items.map(i => fill(i, false, now));
       next.data.__completedOnce = false;
-    });
+    }, 'Reiniciar');
 
-    safeToast('Checklist reiniciado ↺');
+    toastUndo('Checklist reiniciado ↺');
     safeHaptic(12);
   }
 
   function setAll(done){
     updateData((next) => {
-      next.data.items.forEach(i => { i.done = !!done; });
+      const now = Date.now();
+      next.data.items = next.data.items.map(i => fill(i, !!done, now));
       next.data.__completedOnce = false;
-    });
+    }, done ? 'Marcar todo' : 'Quitar todo');
 
-    safeToast(done ? 'Todo marcado ✅' : 'Todo desmarcado ⬜');
+    toastUndo(done ? 'Todo marcado ✅' : 'Todo desmarcado ⬜');
     safeHaptic(14);
   }
 
-  function createItem({ name, emoji = null, cat = 'otros', uid } = {}){
-    const cleanName = ensureString(name, 60);
-    const cleanEmoji = normalizeEmoji(emoji);
-    const cleanCat = ensureString(cat, 40) || 'otros';
+  function createItem({ name, emoji = null, cat = 'otros', qty = 1, uid } = {}){
+    const fields = cleanItemFields({ name, emoji, cat, qty });
+    if (!fields.ok) return fields;
+
+    updateData((next) => {
+      next.data.items.unshift(withQty({
+        id: makeId(uid),
+        cat: fields.cat,
+        name: fields.name,
+        emoji: fields.emoji,
+        done: false,
+        updatedAt: Date.now()
+      }, fields.qty));
+      next.data.__completedOnce = false;
+    }, 'Agregar item');
+
+    safeToast('Agregado ✅');
+    safeHaptic(12);
+    return { ok:true };
+  }
+
+  /**
+   * editItem
+   * Name/emoji/category in place: position, done state and id are kept.
+   * @param {string} id
+   * @param {{name?:string, emoji?:string|null, cat?:string, qty?:number}} patch
+   */
+  function editItem(id, patch = {}){
+    const s = getSnapshot();
+    const it = (s?.data?.items || []).find(x => x.id === id);
+    if (!it) return { ok:false, reason:'NOT_FOUND' };
+
+    const fields = cleanItemFields({
+      name:  patch.name  !== undefined ? patch.name  : it.name,
+      emoji: patch.emoji !== undefined ? patch.emoji : it.emoji,
+      cat:   patch.cat   !== undefined ? patch.cat   : it.cat,
+      qty:   patch.qty   !== undefined ? patch.qty   : itemQty(it)
+    });
+    if (!fields.ok) return fields;
+
+    if (fields.name === it.name && fields.emoji === (it.emoji ?? null) && fields.cat === it.cat && fields.qty === itemQty(it)){
+      return { ok:true, changed:false };
+    }
+
+    updateData((next) => {
+      const i = next.data.items.findIndex(y => y.id === id);
+      if (i < 0) return;
+      const x = next.data.items[i];
+      const qtyChanged = fields.qty !== itemQty(x);
+      next.data.items[i] = {
+        ...(qtyChanged ? withQty(x, fields.qty) : x),
+        name: fields.name,
+        emoji: fields.emoji,
+        cat: fields.cat,
+        updatedAt: Date.now()
+      };
+      if (qtyChanged) next.data.__completedOnce = false;
+    }, 'Editar item');
+
+    safeToast('Guardado ✏️');
+    safeHaptic(12);
+    return { ok:true, changed:true };
+  }
 
+  // Shared by create/edit so both accept exactly the same input
+  function cleanItemFields({ name, emoji, cat, qty = 1 }){
+    const cleanName = ensureString(name, 60);
     if (!cleanName){
       safeToast('Ponle nombre al item 🙃');
       safeHaptic(18);
       return { ok:false, reason:'EMPTY_NAME' };
     }
 
-    updateData((next) => {
-      next.data.items.unshift({
-        id: makeId(uid),
-        cat: cleanCat,
-        name: cleanName,
-        emoji: cleanEmoji,
-        done: false
-      });
-      next.data.__completedOnce = false;
+    return {
+      ok: true,
+      name: cleanName,
+      emoji: normalizeEmoji(emoji),
+      cat: ensureString(cat, 40) || 'otros',
+      qty: Math.max(1, Math.min(Math.floor(Number(qty)) || 1, MAX_QTY))
+    };
+  }
+
+  // Whole quantity in or out; only touches updatedAt when something changes
+  function fill(it, done, now){
+    if (!!it.done === done && itemPacked(it) === (done ? itemQty(it) : 0)) return it;
+    return { ...withPacked(it, done ? itemQty(it) : 0), updatedAt: now };
+  }
+
+  function changeMode(mode){
+    const m = ensureString(mode, 40) || 'salida';
+
+    logTrip('mode');
+
+    // A new mode starts a new list; the current one stays in the library
+    createList({ mode: m, silent: true });
+
+    safeToast('Modo cambiado ✅ (tu lista anterior sigue guardada)');
+    safeHaptic(12);
+  }
+
+  /* =========================
+     LIST LIBRARY
+  ========================= */
+
+  function findList(id){
+    const s = getSnapshot();
+    return (s?.lists || []).find(l => l.id === id) || null;
+  }
+
+  // Persist the active list right away before the state points elsewhere
+  function flushActive(){
+    const s = getSnapshot();
+    if (s?.activeListId && s?.data) saveList(s.activeListId, s.data);
+  }
+
+  function openList(meta, data, { add = false, flush = true } = {}){
+    if (flush) flushActive();
+
+    setState((s) => {
+      const lists = Array.isArray(s.lists) ? s.lists : [];
+      const fresh = { ...meta, archived: false, mode: data.mode || meta.mode, ...summarizeData(data) };
+      return {
+        ...s,
+        lists: add ? [...lists, fresh] : lists.map(l => l.id === meta.id ? fresh : l),
+        activeListId: meta.id,
+        activeCat: 'all',
+        data,
+        settings: { ...(s.settings || {}), tripMode: data.mode || meta.mode }
+      };
     });
 
-    safeToast('Agregado ✅');
+    saveList(meta.id, data);
+    saveLibrary();
+    saveSettings();
+  }
+
+  /**
+   * createList
+   * @param {Object} [p]
+   * @param {string} [p.name] defaults to the preset label(s)
+   * @param {string} [p.mode] single preset
+   * @param {string[]} [p.modes] several presets combined into one list (primary first: it sets the theme)
+   * @param {boolean} [p.silent]
+   */
+  function createList({ name = '', mode, modes = null, silent = false } = {}){
+    const s = getSnapshot();
+    const picked = [...new Set((Array.isArray(modes) ? modes : [mode]).map(m => ensureString(m, 40)).filter(Boolean))];
+    if (!picked.length) picked.push(s?.settings?.tripMode || 'salida');
+
+    const m = picked[0];
+    const data = newPreset(picked.length > 1 ? picked : m);
+    const meta = createListMeta({
+      id: makeId(deps.uid),
+      name: ensureString(name, 40) || listName(picked.length > 1 ? picked : m),
+      mode: m,
+      data
+    });
+
+    openList(meta, data, { add: true });
+
+    if (!silent){
+      safeToast(`Lista creada: ${meta.name} ✅`);
+      safeHaptic(12);
+    }
+    return { ok:true, id: meta.id };
+  }
+
+  async function switchList(id){
+    const s = getSnapshot();
+    const meta = findList(id);
+    if (!meta) return { ok:false, reason:'NOT_FOUND' };
+    if (meta.id === s?.activeListId && !meta.archived) return { ok:true };
+
+    const data = meta.id === s?.activeListId ? s.data : await loadList(meta.id, meta.mode);
+    openList(meta, data);
+
+    safeToast(`${meta.name} 📂`);
+    safeHaptic(10);
+    return { ok:true };
+  }
+
+  async function duplicateList(id){
+    const s = getSnapshot();
+    const meta = findList(id);
+    if (!meta) return { ok:false, reason:'NOT_FOUND' };
+
+    const src = meta.id === s?.activeListId ? s.data : await loadList(meta.id, meta.mode);
+    const data = {
+      ...src,
+      cats: (src.cats || []).map(c => ({ ...c })),
+      items: (src.items || []).map(it => ({ ...it, id: makeId(deps.uid) })),
+      __completedOnce: false
+    };
+    const copy = createListMeta({
+      id: makeId(deps.uid),
+      name: `${meta.name} (copia)`,
+      mode: data.mode || meta.mode,
+      data
+    });
+
+    openList(copy, data, { add: true });
+
+    safeToast('Lista duplicada 📑');
     safeHaptic(12);
+    return { ok:true, id: copy.id };
+  }
+
+  function renameList(id, name){
+    const cleanName = ensureString(name, 40);
+    if (!cleanName) return { ok:false, reason:'EMPTY_NAME' };
+    if (!findList(id)) return { ok:false, reason:'NOT_FOUND' };
+
+    updateLists((next) => {
+      const l = next.lists.find(x => x.id === id);
+      if (l){
+        l.name = cleanName;
+        l.updatedAt = Date.now();
+      }
+    });
+
+    safeToast('Nombre actualizado ✏️');
     return { ok:true };
   }
 
-  function changeMode(mode){
-    const m = ensureString(mode, 24) || 'salida';
+  /**
+   * setView
+   * Status filter / sort / layout of the active list (kept in its meta, per list).
+   * @param {{status?:string, sort?:string, grouped?:boolean, collapsed?:string[]}} patch
+   */
+  function setView(patch = {}){
+    const s = getSnapshot();
+    const meta = findList(s?.activeListId);
+    if (!meta) return { ok:false, reason:'NOT_FOUND' };
 
-    // Update settings first
-    updateSettings((next) => {
-      next.settings.tripMode = m;
+    const cur = repairView(meta.view);
+    const view = repairView({ ...cur, ...patch });
+    if (sameView(view, cur)) return { ok:false, reason:'NO_CHANGE' };
+
+    updateLists((next) => {
+      const l = next.lists.find(x => x.id === meta.id);
+      if (l){
+        l.view = view;
+        l.updatedAt = Date.now();
+      }
     });
 
-    // Swap dataset to fresh preset
-    setState((s) => ({
-      ...s,
-      activeCat: 'all',
-      data: newPreset(m)
-    }));
-    saveData();
+    safeHaptic(8);
+    return { ok:true, view };
+  }
+
+  /**
+   * toggleGroup
+   * Collapses/expands one category section of the grouped layout.
+   * @param {string} catId
+   */
+  function toggleGroup(catId){
+    const meta = findList(getSnapshot()?.activeListId);
+    const id = ensureString(catId, 40);
+    if (!meta || !id) return { ok:false, reason:'NOT_FOUND' };
+
+    const { collapsed } = repairView(meta.view);
+    const next = collapsed.includes(id) ? collapsed.filter(x => x !== id) : [...collapsed, id];
+    return setView({ collapsed: next });
+  }
+
+  async function archiveList(id, archived = true){
+    const s = getSnapshot();
+    const meta = findList(id);
+    if (!meta) return { ok:false, reason:'NOT_FOUND' };
+
+    updateLists((next) => {
+      const l = next.lists.find(x => x.id === id);
+      if (l) l.archived = !!archived;
+    });
+
+    // Archiving the open list moves you to another one
+    if (archived && meta.id === s?.activeListId){
+      const fallback = pickFallbackList(getSnapshot().lists, meta.id);
+      if (fallback && !fallback.archived){
+        openList(fallback, await loadList(fallback.id, fallback.mode));
+      } else {
+        createList({ silent: true });
+      }
+    }
+
+    safeToast(archived ? 'Lista archivada 🗄️' : 'Lista restaurada 📂');
+    safeHaptic(10);
+    return { ok:true };
+  }
+
+  async function deleteList(id){
+    const s = getSnapshot();
+    const meta = findList(id);
+    if (!meta) return { ok:false, reason:'NOT_FOUND' };
+
+    const wasActive = meta.id === s?.activeListId;
+
+    if (wasActive){
+      const fallback = pickFallbackList(s.lists, meta.id);
+      if (fallback) openList(fallback, await loadList(fallback.id, fallback.mode));
+      else createList({ silent: true });
+    }
 
-    safeToast('Modo cambiado ✅');
+    updateLists((next) => {
+      next.lists = next.lists.filter(l => l.id !== meta.id);
+    });
+    await removeList(meta.id);
+
+    safeToast('Lista eliminada 🗑️');
     safeHaptic(12);
+    return { ok:true };
+  }
+
+  /**
+   * closeRemovedList
+   * Another tab deleted the list open here: move to a fallback without
+   * writing the deleted list back to storage.
+   */
+  async function closeRemovedList(){
+    const s = getSnapshot();
+    const goneId = s?.activeListId;
+    if (!goneId || findList(goneId)) return { ok:false, reason:'STILL_THERE' };
+
+    const fallback = pickFallbackList(s.lists);
+    if (fallback) openList(fallback, await loadList(fallback.id, fallback.mode), { flush: false });
+    else createList({ silent: true });
+    await removeList(goneId);
+
+    safeToast('Esta lista se eliminó en otra ventana 🗑️');
+    return { ok:true };
   }
 
   function wipeAll(){
     // Reset state; UI may additionally clear localStorage via storage.wipeAllStorage()
+    const data = newPreset('salida');
+    const meta = createListMeta({ id: makeId(deps.uid), name: listName('salida'), mode: 'salida', data });
+
     setState((s) => ({
       ...s,
       activeCat: 'all',
@@ -206,93 +679,1031 @@ export function createActions({ getState, setState, deps = {} }){
         tripMode: 'salida',
         motion: true,
         sound: true,
-        streak: 0
+        streak: createStreak(),
+        reminders: createReminders(),
+        sync: repairSyncSettings(null, deps.uid)
       },
-      data: newPreset('salida')
+      lists: [meta],
+      activeListId: meta.id,
+      data
     }));
     saveSettings();
+    saveLibrary();
     saveData();
 
     safeToast('Todo borrado. Nueva vida, supongo 🧼');
     safeHaptic(14);
   }
 
-  async function shareList(){
-    const s = getSnapshot();
-    const items = Array.isArray(s?.data?.items) ? s.data.items : [];
-    const cats  = Array.isArray(s?.data?.cats) ? s.data.cats : [];
-    const p = presetFor(s?.settings?.tripMode);
-
-    // Group by category for nicer share output
-    const byCat = new Map();
-    for (const it of items){
-      const key = it.cat || 'otros';
-      if (!byCat.has(key)) byCat.set(key, []);
-      byCat.get(key).push(it);
-    }
+  /* =========================
+     BACKUP (export / import)
+  ========================= */
 
-    function catLabel(catId){
-      const c = cats.find(x => x.id === catId);
-      if (!c) return `🏷️ ${catId}`;
-      return `${c.emoji ? c.emoji + ' ' : ''}${c.name}`;
+  // Every list with its data (active one straight from memory)
+  async function collectLibrary(){
+    const s = getSnapshot();
+    const lists = [];
+    for (const meta of s?.lists || []){
+      const data = meta.id === s.activeListId ? s.data : await loadList(meta.id, meta.mode);
+      lists.push({ meta, data });
     }
+    return { settings: s?.settings || {}, activeId: s?.activeListId || null, lists, templates: s?.templates || [] };
+  }
 
-    const blocks = [];
-    for (const [catId, arr] of byCat.entries()){
-      const lines = arr.map(i => `${i.done ? '✅' : '⬜'} ${i.emoji ? i.emoji + ' ' : ''}${ensureString(i.name, 80)}`);
-      blocks.push(`${catLabel(catId)}\n${lines.join('\n')}`);
-    }
+  async function exportBackup(){
+    const lib = await collectLibrary();
+    return createBackup(lib);
+  }
 
-    const titleLine = `${p?.label || '🧳'} · Checklist`;
-    const text = `${titleLine}\n\n${blocks.join('\n\n')}`.trim();
+  /**
+   * checkData
+   * What reloading the active list would migrate or repair, and whether it's
+   * read-only here (saved by a newer version of the app). Changes nothing.
+   * @returns {Promise<{ok:true, name:string, locked:boolean, report:Object} | {ok:false, reason:string}>}
+   */
+  async function checkData(){
+    const s = getSnapshot();
+    const id = s?.activeListId;
+    if (!id || !inspectList) return { ok:false, reason:'NO_LIST' };
 
     try{
-      if (navigator.share){
-        await navigator.share({ title: 'Maleta · Checklist', text });
-        safeToast('Compartido 📤');
-      } else {
-        if (!copyText) throw new Error('NO_COPYTEXT');
-        await copyText(text);
-        safeToast('Copiado al portapapeles 📋');
-      }
-      safeHaptic(10);
-      return { ok:true };
+      const report = await inspectList(id);
+      const meta = (s.lists || []).find(l => l.id === id);
+      return { ok:true, name: meta?.name || 'Mi lista', locked: isLocked(id) || !!report.refused, report };
     }catch{
-      try{
-        if (!copyText) throw new Error('NO_COPYTEXT');
-        await copyText(text);
-        safeToast('Copiado 📋');
-        return { ok:true, fallback:true };
-      }catch{
-        safeToast('No se pudo compartir. La vida insiste 🙄');
-        return { ok:false };
-      }
+      safeToast('No se pudo revisar la lista 😬');
+      return { ok:false, reason:'READ_FAILED' };
     }
   }
 
   /**
-   * Optional helper (if you ever want completion logic centralized here)
-   * Currently app.js handles completion to control glow/confetti timing.
+   * previewImport
+   * Validates a backup and computes what each strategy would change.
+   * @returns {Promise<{ok:true, backup, repairs:string[], replace:Object, merge:Object} | {ok:false, reason:string}>}
    */
-  function onCompletedOnce(){
-    const s = getSnapshot();
-    if (!Array.isArray(s?.data?.items) || !s.data.items.length) return;
+  async function previewImport(raw){
+    const parsed = parseBackup(raw, { upgradeData });
+    if (!parsed.ok){
+      safeToast(
+        parsed.reason === 'FUTURE_VERSION' ? 'Esa copia es de una versión más nueva de la app 🛑' :
+        parsed.reason === 'INVALID_JSON' ? 'Ese archivo no es JSON válido 🤨' :
+        'Ese archivo no parece una copia de Maleta 🤨'
+      );
+      safeHaptic(18);
+      return parsed;
+    }
+
+    const local = await collectLibrary();
+    return {
+      ok: true,
+      backup: parsed.backup,
+      repairs: parsed.repairs,
+      replace: planImport(local, parsed.backup, 'replace').summary,
+      merge: planImport(local, parsed.backup, 'merge').summary
+    };
+  }
 
-    const done = s.data.items.filter(i => i.done).length;
-    const total = s.data.items.length;
-    if (!total || done !== total) return;
-    if (s.data.__completedOnce) return;
+  /**
+   * applyImport
+   * @param {Object} backup from previewImport
+   * @param {'replace'|'merge'} strategy
+   */
+  async function applyImport(backup, strategy = 'merge'){
+    if (!backup?.lists?.length) return { ok:false, reason:'EMPTY' };
 
-    updateData((next) => { next.data.__completedOnce = true; });
+    const local = await collectLibrary();
+    const { result } = planImport(local, backup, strategy);
 
-    updateSettings((next) => {
-      next.settings.streak = (next.settings.streak || 0) + 1;
-    });
+    // Write datasets first so the library never points at missing data
+    for (const l of result.lists) await saveList(l.meta.id, l.data);
 
-    if (s?.settings?.motion) {
-      try{ confetti?.(); }catch{}
+    const keep = new Set(result.lists.map(l => l.meta.id));
+    for (const l of local.lists){
+      if (!keep.has(l.meta.id)) await removeList(l.meta.id);
     }
-    safeToast('Checklist completo. Qué adulto responsable ✨');
+
+    const active = result.lists.find(l => l.meta.id === result.activeId) || result.lists[0];
+    const settings = sanitizeSettings({ ...result.settings, tripMode: active.data.mode });
+
+    setState((s) => ({
+      ...s,
+      settings,
+      lists: result.lists.map(l => l.meta),
+      activeListId: active.meta.id,
+      activeCat: 'all',
+      data: active.data,
+      templates: result.templates
+    }));
+    saveLibrary();
+    saveSettings();
+    saveTemplates();
+
+    safeToast(strategy === 'replace' ? 'Copia restaurada 📦' : 'Copia combinada 🔀');
+    safeHaptic(14);
+    return { ok:true };
+  }
+
+  /* =========================
+     TRIP HISTORY
+  ========================= */
+
+  /**
+   * logTrip
+   * Appends the active list's current state to the history.
+   * Resets/mode changes of an untouched list aren't worth a line.
+   * @param {'complete'|'reset'|'mode'} type
+   */
+  function logTrip(type){
+    const s = getSnapshot();
+    if (!s?.data) return { ok:false, reason:'NO_LIST' };
+    if (type !== 'complete' && !s.data.startedAt) return { ok:false, reason:'UNTOUCHED' };
+
+    const meta = (s.lists || []).find(l => l.id === s.activeListId) || { id: s.activeListId };
+    const entry = createLogEntry({ id: makeId(deps.uid), type, meta, data: s.data });
+
+    setState((st) => ({ ...st, tripLog: appendLogEntry(st.tripLog, entry) }));
+    saveLog();
+    return { ok:true, entry };
+  }
+
+  /**
+   * reopenLogEntry
+   * A past trip's snapshot (with its checks) becomes a new list.
+   */
+  function reopenLogEntry(entryId){
+    const s = getSnapshot();
+    const entry = (s?.tripLog || []).find(e => e.id === entryId);
+    if (!entry?.snapshot) return { ok:false, reason:'NOT_FOUND' };
+
+    const now = Date.now();
+    const data = {
+      ...newPreset(entry.snapshot.mode),
+      cats: entry.snapshot.cats.map(c => ({ ...c })),
+      items: entry.snapshot.items.map(it => ({ ...it, id: makeId(deps.uid), updatedAt: now })),
+      __completedOnce: false
+    };
+
+    const day = new Date(entry.at).toLocaleDateString();
+    const meta = createListMeta({
+      id: makeId(deps.uid),
+      name: ensureString(`${entry.listName} (${day})`, 40),
+      mode: data.mode,
+      data
+    });
+
+    openList(meta, data, { add: true });
+
+    safeToast(`Reabierta: ${meta.name} 🗂️`);
+    safeHaptic(12);
+    return { ok:true, id: meta.id };
+  }
+
+  function clearLog(){
+    setState((st) => ({ ...st, tripLog: [] }));
+    saveLog();
+    safeToast('Historial borrado 🧹');
+    safeHaptic(10);
+  }
+
+  /* =========================
+     DEPARTURE + REMINDERS
+  ========================= */
+
+  /**
+   * setDeparture
+   * @param {string} id list id
+   * @param {number|null} departAt ms timestamp, null clears it
+   */
+  function setDeparture(id, departAt){
+    if (!findList(id)) return { ok:false, reason:'NOT_FOUND' };
+    const at = repairDepartAt(departAt);
+    if (departAt != null && !at) return { ok:false, reason:'BAD_DATE' };
+
+    updateLists((next) => {
+      const l = next.lists.find(x => x.id === id);
+      if (l){
+        l.departAt = at;
+        l.updatedAt = Date.now();
+      }
+    });
+
+    safeToast(at ? 'Fecha de salida guardada 📅' : 'Fecha de salida quitada');
+    safeHaptic(10);
+    return { ok:true };
+  }
+
+  /**
+   * updateReminders
+   * @param {{enabled?:boolean, offsets?:number[]}} patch
+   */
+  function updateReminders(patch = {}){
+    updateSettings((next) => {
+      const cur = repairReminders(next.settings.reminders);
+      next.settings.reminders = repairReminders({ ...cur, ...patch, fired: cur.fired });
+    });
+    return { ok:true };
+  }
+
+  /**
+   * markRemindersFired
+   * @param {string[]} ids shown just now
+   * @param {string[]} [keep] ids still planned (older fired ids are dropped)
+   */
+  function markRemindersFired(ids, keep = null){
+    if (!ids?.length) return { ok:false, reason:'EMPTY' };
+    updateSettings((next) => {
+      const cur = repairReminders(next.settings.reminders);
+      const stillPlanned = keep ? new Set(keep) : null;
+      const fired = [...new Set([...cur.fired, ...ids])].filter(id => !stillPlanned || stillPlanned.has(id));
+      next.settings.reminders = { ...cur, fired };
+    });
+    return { ok:true };
+  }
+
+  /* =========================
+     CROSS-DEVICE SYNC
+  ========================= */
+
+  /**
+   * updateSyncSettings
+   * @param {{url?:string, token?:string}} patch
+   */
+  function updateSyncSettings(patch = {}){
+    const url = ensureString(patch.url ?? getSnapshot()?.settings?.sync?.url, 300);
+    if (url && !/^https?:\/\//i.test(url)) return { ok:false, reason:'BAD_URL' };
+
+    updateSettings((next) => {
+      const cur = next.settings.sync || {};
+      next.settings.sync = repairSyncSettings({ ...cur, ...patch, url, device: cur.device }, deps.uid);
+    });
+
+    safeToast(url ? 'Servidor guardado ☁️' : 'Sincronización desactivada');
+    return { ok:true };
+  }
+
+  /**
+   * setShared
+   * Marks a list for cross-device sync. Its id is the code the other phone joins with.
+   */
+  function setShared(id, shared = true){
+    if (!findList(id)) return { ok:false, reason:'NOT_FOUND' };
+
+    updateLists((next) => {
+      const l = next.lists.find(x => x.id === id);
+      if (l){
+        l.shared = !!shared;
+        l.updatedAt = Date.now();
+      }
+    });
+
+    safeToast(shared ? 'Lista compartida 🔗' : 'Lista ya no se comparte');
+    safeHaptic(10);
+    return { ok:true };
+  }
+
+  /**
+   * joinSharedList
+   * Opens (or creates, empty) the list with that code; the next sync fills it.
+   * @param {string} code list id from the other device
+   */
+  async function joinSharedList(code){
+    const id = ensureString(code, 64);
+    if (!/^[\w-]{4,64}$/.test(id)) return { ok:false, reason:'BAD_CODE' };
+
+    if (findList(id)){
+      setShared(id, true);
+      await switchList(id);
+      return { ok:true, id, existed:true };
+    }
+
+    // Empty until the first pull lands; the flag keeps storage from
+    // "repairing" it into a preset that would then be pushed to the partner
+    const data = { ...newPreset(getSnapshot()?.settings?.tripMode || 'salida'), cats: [], items: [], __pendingJoin: true };
+    const meta = createListMeta({ id, name: 'Lista compartida', mode: data.mode, shared: true, data });
+    openList(meta, data, { add: true });
+
+    safeToast('Te uniste a la lista 🔗');
+    safeHaptic(12);
+    return { ok:true, id };
+  }
+
+  /**
+   * applySyncedData
+   * Result of a sync round for one list. The active list is merged item by
+   * item (edits made while the request was in flight survive); other lists
+   * are written straight to storage.
+   * @param {string} id
+   * @param {Object} data
+   * @param {Object} [p]
+   * @param {{name:string|null, departAt:number|null}} [p.meta]
+   * @param {string[]} [p.removedItems]
+   * @param {string[]} [p.removedCats]
+   */
+  async function applySyncedData(id, data, { meta = {}, removedItems = [], removedCats = [] } = {}){
+    const s = getSnapshot();
+    if (!findList(id)) return { ok:false, reason:'NOT_FOUND' };
+
+    const active = id === s?.activeListId;
+    // A joined list stops being a placeholder once the server's copy landed
+    const { __pendingJoin, ...next } = active ? mergeLiveData(s.data, data, { removedItems, removedCats, at: Date.now() }) : data;
+    const landed = !active || !!s.data?.__pendingJoin
+      || JSON.stringify([s.data?.mode, s.data?.cats, s.data?.items]) !== JSON.stringify([next.mode, next.cats, next.items]);
+
+    const list = findList(id);
+    const patch = {
+      name: meta.name ? ensureString(meta.name, 40) : list.name,
+      departAt: meta.departAt === undefined ? list.departAt : repairDepartAt(meta.departAt),
+      mode: next.mode || list.mode,
+      ...summarizeData(next)
+    };
+    const metaChanged = Object.keys(patch).some(k => patch[k] !== list[k]);
+
+    // Nothing new for the open list: no state change (no re-render, no tab broadcast)
+    if (active && !landed && !metaChanged) return { ok:true, changed:false };
+
+    setState((st) => ({
+      ...st,
+      ...(landed && active ? { data: next } : {}),
+      lists: st.lists.map(l => l.id === id ? { ...l, ...patch } : l)
+    }));
+
+    if (active){
+      // Undo snapshots predate the other phone's edits (only when some landed)
+      if (landed){
+        history.clear();
+        saveData();
+      }
+    } else {
+      await saveList(id, next);
+    }
+    saveLibrary();
+    return { ok:true, changed:true };
+  }
+
+  /* =========================
+     TEMPLATES
+  ========================= */
+
+  function findTemplate(id){
+    const s = getSnapshot();
+    return (s?.templates || []).find(t => t.id === id) || null;
+  }
+
+  function updateTemplates(mutator){
+    setState((s) => {
+      const templates = Array.isArray(s.templates) ? s.templates.map(t => ({ ...t })) : [];
+      return { ...s, templates: mutator(templates) || templates };
+    });
+    saveTemplates();
+  }
+
+  function cleanTheme(theme, fallback = themes[0]){
+    return themes.includes(theme) ? theme : fallback;
+  }
+
+  /**
+   * saveAsTemplate
+   * Current categories + items (unchecked, no ids) become a reusable mode.
+   * @param {{name:string, emoji?:string, theme?:string}} p
+   */
+  function saveAsTemplate({ name, emoji = null, theme } = {}){
+    const cleanName = ensureString(name, 40);
+    if (!cleanName){
+      safeToast('Ponle nombre a la plantilla 🙃');
+      safeHaptic(18);
+      return { ok:false, reason:'EMPTY_NAME' };
+    }
+
+    const s = getSnapshot();
+    if (!(s?.data?.cats || []).length) return { ok:false, reason:'EMPTY' };
+
+    const t = createTemplate({
+      id: makeId(deps.uid),
+      name: cleanName,
+      emoji: normalizeEmoji(emoji),
+      theme: cleanTheme(theme, cleanTheme(presetFor(s.data.mode)?.theme || s.data.mode)),
+      data: s.data
+    });
+    updateTemplates((list) => [...list, t]);
+
+    safeToast(`Plantilla guardada 📌 (${(t.items || []).length} items)`);
+    safeHaptic(12);
+    return { ok:true, id: t.id };
+  }
+
+  /**
+   * updateTemplate
+   * @param {string} id
+   * @param {{name?:string, emoji?:string|null, theme?:string}} patch
+   */
+  function updateTemplate(id, { name, emoji, theme } = {}){
+    const t = findTemplate(id);
+    if (!t) return { ok:false, reason:'NOT_FOUND' };
+
+    const cleanName = name === undefined ? t.name : ensureString(name, 40);
+    if (!cleanName) return { ok:false, reason:'EMPTY_NAME' };
+
+    updateTemplates((list) => list.map(x => x.id !== id ? x : {
+      ...x,
+      name: cleanName,
+      emoji: emoji === undefined ? x.emoji : normalizeEmoji(emoji),
+      theme: theme === undefined ? x.theme : cleanTheme(theme, x.theme),
+      updatedAt: Date.now()
+    }));
+    return { ok:true };
+  }
+
+  /**
+   * refreshTemplate
+   * Overwrites a template's categories/items with the current list.
+   */
+  function refreshTemplate(id){
+    const t = findTemplate(id);
+    const s = getSnapshot();
+    if (!t || !s?.data) return { ok:false, reason:'NOT_FOUND' };
+
+    updateTemplates((list) => list.map(x => x.id !== id ? x : {
+      ...x,
+      ...skeletonOf(s.data),
+      updatedAt: Date.now()
+    }));
+
+    safeToast('Plantilla actualizada con esta lista 🔄');
+    safeHaptic(12);
+    return { ok:true };
+  }
+
+  /**
+   * deleteTemplate
+   * Lists created from it keep their items; they just lose the label/theme.
+   */
+  function deleteTemplate(id){
+    if (!findTemplate(id)) return { ok:false, reason:'NOT_FOUND' };
+
+    updateTemplates((list) => list.filter(x => x.id !== id));
+
+    safeToast('Plantilla eliminada 🗑️');
+    safeHaptic(10);
+    return { ok:true };
+  }
+
+  /* =========================
+     CATEGORIES
+  ========================= */
+
+  function createCategory({ name, emoji = null } = {}){
+    const cleanName = ensureString(name, 40);
+    if (!cleanName){
+      safeToast('Ponle nombre a la categoría 🙃');
+      safeHaptic(18);
+      return { ok:false, reason:'EMPTY_NAME' };
+    }
+
+    const s = getSnapshot();
+    const cats = s?.data?.cats || [];
+    if (cats.some(c => normalizeText(c.name) === normalizeText(cleanName))){
+      safeToast('Ya existe una categoría con ese nombre 🤨');
+      safeHaptic(18);
+      return { ok:false, reason:'DUPLICATE' };
+    }
+
+    const id = slugId(cleanName, new Set(cats.map(c => c.id)));
+    updateData((next) => {
+      next.data.cats.push({ id, name: cleanName, emoji: normalizeEmoji(emoji) });
+    }, 'Crear categoría');
+
+    safeToast('Categoría creada 🏷️');
+    safeHaptic(12);
+    return { ok:true, id };
+  }
+
+  /**
+   * renameCategory
+   * @param {string} id
+   * @param {{name?:string, emoji?:string|null}} patch
+   */
+  function renameCategory(id, { name, emoji } = {}){
+    const s = getSnapshot();
+    const cat = (s?.data?.cats || []).find(c => c.id === id);
+    if (!cat) return { ok:false, reason:'NOT_FOUND' };
+
+    const cleanName = name === undefined ? cat.name : ensureString(name, 40);
+    if (!cleanName) return { ok:false, reason:'EMPTY_NAME' };
+    const cleanEmoji = emoji === undefined ? cat.emoji : normalizeEmoji(emoji);
+    if (cleanName === cat.name && cleanEmoji === cat.emoji) return { ok:true };
+
+    updateData((next) => {
+      const c = next.data.cats.find(x => x.id === id);
+      if (!c) return;
+      c.name = cleanName;
+      c.emoji = cleanEmoji;
+    }, 'Editar categoría');
+
+    return { ok:true };
+  }
+
+  /**
+   * moveCategory
+   * @param {string} id
+   * @param {number} delta -1 (up/left) or +1 (down/right)
+   */
+  function moveCategory(id, delta){
+    const s = getSnapshot();
+    const cats = s?.data?.cats || [];
+    const from = cats.findIndex(c => c.id === id);
+    const to = from + Math.sign(Number(delta) || 0);
+    if (from < 0 || to < 0 || to >= cats.length || to === from) return { ok:false, reason:'OUT_OF_RANGE' };
+
+    updateData((next) => {
+      const [c] = next.data.cats.splice(from, 1);
+      next.data.cats.splice(to, 0, c);
+    }, 'Mover categoría');
+
+    safeHaptic(8);
+    return { ok:true };
+  }
+
+  /**
+   * deleteCategory
+   * @param {string} id
+   * @param {Object} [opts]
+   * @param {string|null} [opts.moveTo] category that receives the items; null deletes them
+   */
+  function deleteCategory(id, { moveTo = null } = {}){
+    const s = getSnapshot();
+    const cats = s?.data?.cats || [];
+    if (!cats.some(c => c.id === id)) return { ok:false, reason:'NOT_FOUND' };
+    if (cats.length <= 1){
+      safeToast('Una lista necesita al menos una categoría 🙃');
+      safeHaptic(18);
+      return { ok:false, reason:'LAST_CATEGORY' };
+    }
+
+    const target = moveTo && moveTo !== id && cats.some(c => c.id === moveTo) ? moveTo : null;
+    const affected = (s?.data?.items || []).filter(it => it.cat === id).length;
+
+    updateData((next) => {
+      next.data.cats = next.data.cats.filter(c => c.id !== id);
+      if (target){
+        const now = Date.now();
+        next.data.items.forEach(it => {
+          if (it.cat !== id) return;
+          it.cat = target;
+          it.updatedAt = now;
+        });
+      } else {
+        next.data.items = next.data.items.filter(it => it.cat !== id);
+      }
+      if (next.activeCat === id) next.activeCat = 'all';
+      next.data.__completedOnce = false;
+    }, 'Eliminar categoría');
+
+    toastUndo(
+      !affected ? 'Categoría eliminada 🗑️' :
+      target ? `Categoría eliminada; ${affected} item(s) movido(s) 📦` :
+      `Categoría y ${affected} item(s) eliminados 🗑️`
+    );
+    safeHaptic(12);
+    return { ok:true, affected, movedTo: target };
+  }
+
+  /* =========================
+     UNDO / REDO
+  ========================= */
+
+  function restoreSnapshot(entry){
+    setState((s) => {
+      const next = { ...s, data: entry.snapshot.data };
+      touchActiveMeta(next);
+      return next;
+    });
+    saveData();
+  }
+
+  function undo(){
+    const s = getSnapshot();
+    const entry = history.undo({ listId: s?.activeListId, data: s?.data });
+    if (!entry){
+      safeToast('Nada que deshacer 🤷');
+      return { ok:false, reason:'EMPTY' };
+    }
+    if (entry.snapshot.listId !== s?.activeListId){
+      history.clear();
+      return { ok:false, reason:'OTHER_LIST' };
+    }
+
+    restoreSnapshot(entry);
+    safeToast(`Deshecho: ${entry.label} ↩️`, {
+      duration: 3200,
+      action: {
+        label: 'Rehacer',
+        onClick: () => {
+          redo();
+          requestRender();
+        }
+      }
+    });
+    safeHaptic(10);
+    return { ok:true, label: entry.label };
+  }
+
+  function redo(){
+    const s = getSnapshot();
+    const entry = history.redo({ listId: s?.activeListId, data: s?.data });
+    if (!entry){
+      safeToast('Nada que rehacer 🤷');
+      return { ok:false, reason:'EMPTY' };
+    }
+    if (entry.snapshot.listId !== s?.activeListId){
+      history.clear();
+      return { ok:false, reason:'OTHER_LIST' };
+    }
+
+    restoreSnapshot(entry);
+    safeToast(`Rehecho: ${entry.label} ↪️`);
+    safeHaptic(10);
+    return { ok:true, label: entry.label };
+  }
+
+  /* =========================
+     TEXT IMPORT
+  ========================= */
+
+  /**
+   * previewText
+   * @param {string} text pasted text (share format, markdown tasks or plain lines)
+   * @param {Object} [opts]
+   * @param {string} [opts.cat] category for items without a heading
+   * @param {boolean} [opts.asNewList] plan against an empty list instead of the current one
+   * @returns {{parsed:Object, plan:Object}}
+   */
+  function previewText(text, { cat = 'otros', asNewList = false } = {}){
+    const s = getSnapshot();
+    const parsed = parseChecklistText(text);
+    const target = asNewList ? { cats: [], items: [] } : s?.data;
+    const plan = planTextImport(parsed, target, { fallbackCat: asNewList ? 'otros' : cat, uid: deps.uid });
+    return { parsed, plan };
+  }
+
+  function importText(text, { cat = 'otros', asNewList = false } = {}){
+    const { parsed, plan } = previewText(text, { cat, asNewList });
+
+    if (!plan.items.length){
+      safeToast(plan.skipped ? 'Todo eso ya estaba en la lista 👌' : 'No encontré items en ese texto 🤔');
+      safeHaptic(18);
+      return { ok:false, reason: plan.skipped ? 'ALL_DUPLICATES' : 'EMPTY' };
+    }
+
+    if (asNewList){
+      const s = getSnapshot();
+      const mode = s?.data?.mode || s?.settings?.tripMode || 'salida';
+      const cats = [...plan.cats];
+      if (plan.items.some(it => it.cat === 'otros') && !cats.some(c => c.id === 'otros')){
+        cats.push({ id:'otros', name:'Otros', emoji:'✨' });
+      }
+
+      const data = { ...newPreset(mode), cats, items: plan.items, __completedOnce: false };
+      const meta = createListMeta({
+        id: makeId(deps.uid),
+        name: ensureString(parsed.title, 40) || 'Lista importada',
+        mode,
+        data
+      });
+      openList(meta, data, { add: true });
+    } else {
+      updateData((next) => {
+        next.data.cats.push(...plan.cats);
+        next.data.items.push(...plan.items);
+        next.data.__completedOnce = false;
+      }, 'Importar texto');
+    }
+
+    safeToast(`Importados ${plan.items.length} items 📋`);
+    safeHaptic(12);
+    return { ok:true, added: plan.items.length, newCats: plan.newCats, skipped: plan.skipped };
+  }
+
+  async function shareList(){
+    const s = getSnapshot();
+    const items = Array.isArray(s?.data?.items) ? s.data.items : [];
+    const cats  = Array.isArray(s?.data?.cats) ? s.data.cats : [];
+    const p = presetFor(s?.data?.mode || s?.settings?.tripMode);
+
+    // Group by category (in tab order) for nicer share output; items keep list order
+    const byCat = new Map(cats.map(c => [c.id, []]));
+    for (const it of items){
+      const key = it.cat || 'otros';
+      if (!byCat.has(key)) byCat.set(key, []);
+      byCat.get(key).push(it);
+    }
+
+    function catLabel(catId){
+      const c = cats.find(x => x.id === catId);
+      if (!c) return `🏷️ ${catId}`;
+      return `${c.emoji ? c.emoji + ' ' : ''}${c.name}`;
+    }
+
+    const blocks = [];
+    for (const [catId, arr] of byCat.entries()){
+      if (!arr.length) continue;
+      const lines = arr.map(i => {
+        const qty = qtyLabel(i) ? ` ${qtyLabel(i)}` : '';
+        return `${i.done ? '✅' : '⬜'} ${i.emoji ? i.emoji + ' ' : ''}${ensureString(i.name, 80)}${qty}`;
+      });
+      blocks.push(`${catLabel(catId)}\n${lines.join('\n')}`);
+    }
+
+    const titleLine = `${p?.label || '🧳'} · Checklist`;
+    const text = `${titleLine}\n\n${blocks.join('\n\n')}`.trim();
+
+    try{
+      if (navigator.share){
+        await navigator.share({ title: 'Maleta · Checklist', text });
+        safeToast('Compartido 📤');
+      } else {
+        if (!copyText) throw new Error('NO_COPYTEXT');
+        await copyText(text);
+        safeToast('Copiado al portapapeles 📋');
+      }
+      safeHaptic(10);
+      return { ok:true };
+    }catch{
+      try{
+        if (!copyText) throw new Error('NO_COPYTEXT');
+        await copyText(text);
+        safeToast('Copiado 📋');
+        return { ok:true, fallback:true };
+      }catch{
+        safeToast('No se pudo compartir. La vida insiste 🙄');
+        return { ok:false };
+      }
+    }
+  }
+
+  /* =========================
+     SHARE TARGET (text from other apps)
+  ========================= */
+
+  /**
+   * previewShared
+   * @param {{title?:string, text?:string, url?:string}} shared
+   * @returns {{ok:true, title:string|null, items:Array} | {ok:false, reason:'EMPTY'}}
+   */
+  function previewShared(shared){
+    const parsed = parseSharedText(shared);
+    if (!parsed.items.length){
+      safeToast('No encontré items en lo que compartiste 🤔');
+      safeHaptic(18);
+      return { ok:false, reason:'EMPTY' };
+    }
+    return { ok:true, ...parsed };
+  }
+
+  /**
+   * listCategories
+   * Categories of any list (the share sheet lets you pick one that isn't open).
+   * @param {string} id
+   * @returns {Promise<Array>}
+   */
+  async function listCategories(id){
+    const s = getSnapshot();
+    const meta = findList(id);
+    if (!meta) return [];
+    const data = meta.id === s?.activeListId ? s.data : await loadList(meta.id, meta.mode);
+    return Array.isArray(data?.cats) ? data.cats : [];
+  }
+
+  /**
+   * addSharedItems
+   * createItem for a batch: opens the target list first, one undo step,
+   * skips what's already in that category. Keeps the shared order on top.
+   * @param {Object} p
+   * @param {string} p.listId
+   * @param {string} p.cat
+   * @param {Array<{name:string, emoji?:string|null, qty?:number}>} p.items
+   */
+  async function addSharedItems({ listId, cat, items = [] }){
+    const s = getSnapshot();
+    if (listId && listId !== s?.activeListId){
+      const res = await switchList(listId);
+      if (!res.ok) return res;
+    }
+
+    const existing = new Set((getSnapshot()?.data?.items || [])
+      .filter(it => it.cat === cat)
+      .map(it => normalizeText(it.name)));
+
+    const now = Date.now();
+    const fresh = [];
+    for (const it of items){
+      const name = ensureString(it?.name, 60);
+      if (!name || existing.has(normalizeText(name))) continue;
+      existing.add(normalizeText(name));
+      fresh.push(withQty({
+        id: makeId(deps.uid),
+        cat: ensureString(cat, 40) || 'otros',
+        name,
+        emoji: normalizeEmoji(it.emoji),
+        done: false,
+        updatedAt: now
+      }, Math.max(1, Math.min(Math.floor(Number(it.qty)) || 1, MAX_QTY))));
+    }
+
+    if (!fresh.length){
+      safeToast('Todo eso ya estaba en la lista 👌');
+      safeHaptic(18);
+      return { ok:false, reason:'ALL_DUPLICATES' };
+    }
+
+    updateData((next) => {
+      next.data.items.unshift(...fresh);
+      next.data.__completedOnce = false;
+    }, 'Agregar compartido');
+
+    safeToast(`Agregados ${fresh.length} items 📥`);
+    safeHaptic(12);
+    return { ok:true, added: fresh.length, skipped: items.length - fresh.length };
+  }
+
+  /* =========================
+     SHARE AS LINK
+  ========================= */
+
+  /**
+   * shareLink
+   * The active list (optionally with its checks) inside a URL fragment.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.includeChecks]
+   * @returns {Promise<{ok:boolean, reason?:string, url?:string}>}
+   */
+  async function shareLink({ includeChecks = false } = {}){
+    const s = getSnapshot();
+    const meta = (s?.lists || []).find(l => l.id === s?.activeListId);
+
+    const res = await encodeListLink({ name: meta?.name, mode: s?.data?.mode, data: s?.data, includeChecks });
+    if (!res.ok){
+      safeToast(res.reason === 'EMPTY' ? 'No hay nada que compartir todavía 🤷' : 'La lista es demasiado larga para un enlace 😬');
+      safeHaptic(18);
+      return res;
+    }
+
+    const url = linkUrl(location.href, res.token);
+    try{
+      if (navigator.share){
+        await navigator.share({ title: meta?.name || 'Maleta · Checklist', url });
+        safeToast('Enlace compartido 🔗');
+      } else {
+        if (!copyText) throw new Error('NO_COPYTEXT');
+        await copyText(url);
+        safeToast('Enlace copiado 🔗');
+      }
+      safeHaptic(10);
+      return { ok:true, url };
+    }catch (err){
+      // Closing the share sheet isn't an error worth a toast
+      if (err?.name === 'AbortError') return { ok:false, reason:'CANCELLED' };
+      try{
+        if (!copyText) throw new Error('NO_COPYTEXT');
+        await copyText(url);
+        safeToast('Enlace copiado 🔗');
+        return { ok:true, url, fallback:true };
+      }catch{
+        safeToast('No se pudo compartir el enlace 🙄');
+        return { ok:false, reason:'SHARE_FAILED' };
+      }
+    }
+  }
+
+  /**
+   * linkQR
+   * Same payload as shareLink, as what the QR code(s) should hold.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.includeChecks]
+   * @returns {Promise<{ok:true, parts:string[]} | {ok:false, reason:string}>}
+   */
+  async function linkQR({ includeChecks = false } = {}){
+    const s = getSnapshot();
+    const meta = (s?.lists || []).find(l => l.id === s?.activeListId);
+
+    const res = await encodeListLink({ name: meta?.name, mode: s?.data?.mode, data: s?.data, includeChecks });
+    const qr = res.ok ? linkQRParts(location.href, res.token) : res;
+    if (!qr.ok){
+      safeToast(qr.reason === 'EMPTY' ? 'No hay nada que compartir todavía 🤷' : 'Demasiado grande para QR: mejor comparte el enlace 🔗');
+      safeHaptic(18);
+    }
+    return qr;
+  }
+
+  /**
+   * readScan
+   * One scanned QR → a link token, or progress through a multi-QR sequence.
+   * @param {string} text
+   * @param {Object|null} pending from the previous call
+   */
+  function readScan(text, pending = null){
+    const res = readScanned(text, pending);
+    if (res.error){
+      safeToast('Ese QR no es una lista de Maleta 🤨');
+      safeHaptic(18);
+      return { ok:false, reason: res.error, pending };
+    }
+    if (res.token){
+      safeHaptic(12);
+      return { ok:true, token: res.token };
+    }
+    safeHaptic(8);
+    return { ok:false, reason:'PARTIAL', pending: res.pending, have: res.have, total: res.total };
+  }
+
+  /**
+   * previewLink
+   * @param {string} token from the `#lista=` fragment
+   * @returns {Promise<{ok:true, list:Object, summary:{cats:number, items:number, packed:number}} | {ok:false, reason:string}>}
+   */
+  async function previewLink(token){
+    const res = await decodeListLink(token);
+    if (!res.ok){
+      safeToast(
+        res.reason === 'FUTURE_VERSION' ? 'Ese enlace es de una versión más nueva de la app 🛑' :
+        res.reason === 'UNSUPPORTED' ? 'Este navegador no puede abrir ese enlace 😬' :
+        'Ese enlace no parece una lista de Maleta 🤨'
+      );
+      safeHaptic(18);
+      return res;
+    }
+
+    const { list } = res;
+    return {
+      ok: true,
+      list,
+      summary: {
+        cats: list.cats.length,
+        items: list.items.length,
+        packed: list.items.filter(it => it.packed >= it.qty).length
+      }
+    };
+  }
+
+  /**
+   * importLink
+   * Always a NEW list: a link never touches what's already here.
+   * @param {Object} list previewLink().list
+   */
+  function importLink(list){
+    if (!list?.items?.length) return { ok:false, reason:'EMPTY' };
+
+    const s = getSnapshot();
+    // Someone else's template id means nothing here: use our current mode
+    const known = themes.includes(list.mode) || (s?.templates || []).some(t => t.id === list.mode);
+    const mode = known ? list.mode : (s?.settings?.tripMode || 'salida');
+
+    const { cats, items } = listFromLink(list, { uid: () => makeId(deps.uid) });
+    const data = { ...newPreset(mode), cats, items, __completedOnce: false };
+    const meta = createListMeta({
+      id: makeId(deps.uid),
+      name: ensureString(list.name, 40) || 'Lista recibida',
+      mode,
+      data
+    });
+
+    openList(meta, data, { add: true });
+    safeToast(`Lista "${meta.name}" guardada 📥`);
+    safeHaptic(12);
+    return { ok:true, id: meta.id };
+  }
+
+  /* =========================
+     COMPLETION + STREAKS
+  ========================= */
+
+  /**
+   * syncCompletion
+   * Called after every progress paint with whether the active list is fully
+   * packed. The first time it flips to complete, the trip is logged (once per
+   * run: re-checking the last item doesn't log it again) and the streak is
+   * recorded (once per list per day, see streaks.js); flipping back only
+   * re-arms the flag. FX stay with the caller (glow/confetti timing).
+   * @param {boolean} completed
+   * @returns {{changed:boolean, completed:boolean, counted?:boolean, streak?:Object}}
+   *   streak = streakStatus() after recording
+   */
+  function syncCompletion(completed){
+    const s = getSnapshot();
+    if (!s?.data) return { changed:false, completed:false };
+
+    const was = !!s.data.__completedOnce;
+    if (!!completed === was) return { changed:false, completed: was };
+
+    setState((st) => ({ ...st, data: { ...st.data, __completedOnce: !!completed } }));
+    if (!completed) return { changed:true, completed:false };
+
+    const { streak, counted } = recordCompletion(s.settings?.streak, { listId: s.activeListId });
+    if (counted){
+      updateSettings((next) => { next.settings.streak = streak; });
+    }
+    if (!hasCompletion(s.tripLog, s.activeListId, s.data.startedAt)) logTrip('complete');
+
+    return { changed:true, completed:true, counted, streak: streakStatus(streak) };
   }
 
   return {
@@ -301,9 +1712,58 @@ export function createActions({ getState, setState, deps = {} }){
     resetChecks,
     setAll,
     createItem,
+    editItem,
+    stepPacked,
+    moveItem,
     changeMode,
+    createList,
+    switchList,
+    duplicateList,
+    renameList,
+    setView,
+    toggleGroup,
+    archiveList,
+    deleteList,
+    closeRemovedList,
     wipeAll,
+    exportBackup,
+    checkData,
+    previewImport,
+    applyImport,
+    previewText,
+    importText,
+    logTrip,
+    reopenLogEntry,
+    clearLog,
+    setDeparture,
+    updateReminders,
+    markRemindersFired,
+    updateSyncSettings,
+    setShared,
+    joinSharedList,
+    applySyncedData,
+    saveAsTemplate,
+    updateTemplate,
+    refreshTemplate,
+    deleteTemplate,
+    createCategory,
+    renameCategory,
+    moveCategory,
+    deleteCategory,
+    undo,
+    redo,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    clearHistory: history.clear,
     shareList,
-    onCompletedOnce
+    previewShared,
+    listCategories,
+    addSharedItems,
+    shareLink,
+    linkQR,
+    readScan,
+    previewLink,
+    importLink,
+    syncCompletion
   };
 }
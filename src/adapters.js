@@ -0,0 +1,131 @@
+/* =============================================================================
+  /src/adapters.js — Storage adapters (async key/value)
+  - Same interface for every backend:
+      get(key) / set(key, value) / remove(key) / keys(prefix)
+    Values are plain JSON-y objects; adapters handle serialization.
+  - IndexedDB (default) + localStorage (fallback)
+  - pickAdapter(): IndexedDB when it opens, localStorage otherwise
+============================================================================= */
+
+'use strict';
+
+/**
+ * createIndexedDBAdapter
+ * @param {Object} [opts]
+ * @param {string} [opts.dbName]
+ * @param {string} [opts.storeName]
+ * @returns {Object} adapter
+ */
+export function createIndexedDBAdapter({ dbName = 'maleta', storeName = 'kv' } = {}){
+  let dbPromise = null;
+
+  function open(){
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined'){
+        reject(new Error('IDB_UNAVAILABLE'));
+        return;
+      }
+
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error || new Error('IDB_OPEN_FAILED'));
+      req.onblocked = () => reject(new Error('IDB_BLOCKED'));
+    });
+
+    // Let a later call retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  async function run(mode, fn){
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      let result;
+      if (req) req.onsuccess = () => { result = req.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error || new Error('IDB_TX_FAILED'));
+      tx.onabort = () => reject(tx.error || new Error('IDB_TX_ABORTED'));
+    });
+  }
+
+  return {
+    name: 'indexeddb',
+    ready: () => open().then(() => true),
+    get: async (key) => (await run('readonly', st => st.get(key))) ?? null,
+    set: (key, value) => run('readwrite', st => st.put(value, key)),
+    remove: (key) => run('readwrite', st => st.delete(key)),
+    keys: async (prefix = '') => {
+      const all = await run('readonly', st => st.getAllKeys());
+      return (all || []).map(String).filter(k => k.startsWith(prefix));
+    }
+  };
+}
+
+/**
+ * createLocalStorageAdapter
+ * Sync localStorage wrapped in the async adapter interface (JSON per key).
+ * @returns {Object} adapter
+ */
+export function createLocalStorageAdapter(){
+  return {
+    name: 'localstorage',
+    ready: async () => {
+      const probe = '__maleta_probe__';
+      localStorage.setItem(probe, '1');
+      localStorage.removeItem(probe);
+      return true;
+    },
+    get: async (key) => {
+      const raw = localStorage.getItem(key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    set: async (key, value) => {
+      localStorage.setItem(key, JSON.stringify(value));
+    },
+    remove: async (key) => {
+      localStorage.removeItem(key);
+    },
+    keys: async (prefix = '') => localStorageKeys(prefix)
+  };
+}
+
+/**
+ * pickAdapter
+ * IndexedDB if it opens, otherwise localStorage.
+ * @param {Object} [opts] forwarded to createIndexedDBAdapter
+ * @returns {Promise<Object>} adapter
+ */
+export async function pickAdapter(opts = {}){
+  const idb = createIndexedDBAdapter(opts);
+  try{
+    await idb.ready();
+    return idb;
+  }catch{
+    return createLocalStorageAdapter();
+  }
+}
+
+/**
+ * localStorageKeys
+ * Keys currently in localStorage that start with `prefix`.
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+export function localStorageKeys(prefix = ''){
+  const out = [];
+  try{
+    for (let i = 0; i < localStorage.length; i++){
+      const k = localStorage.key(i);
+      if (k && k.startsWith(prefix)) out.push(k);
+    }
+  }catch{}
+  return out;
+}
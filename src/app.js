@@ -1,28 +1,63 @@
 /* =============================================================================
   /src/app.js — Maleta · Checklist — App Orchestrator (NO-PWA for now)
-  - Boots store + storage
+  - Boots store + storage (awaits the async first load before painting)
   - Wires actions + render + UI + gestures + FX
   - Keeps mode theme (data-mode) synced
-  - Completion logic (streak + confetti + glow) lives here
+  - Departure reminders: hands the plan to sw.js, or shows due ones on open
+  - Live sync with other open tabs/windows (tabsync.js)
+  - Cross-device sync of shared lists (sync.js), fed from the persistence subscription
+  - `#lista=` links (sharelink.js) open an import preview on launch; QR codes
+    scanned in-app (qrscan.js) land in the same preview
+  - Web Share Target: text shared from other apps opens the shared-in sheet
+  - Search box: typing repaints the list only (state.search, see search.js)
+  - Tabs + add-category select repaint through store.select (only when their
+    input slice changed); the list is patched by key (render.js → reconcile.js)
+  - View options (status filter, sort, grouped layout + collapsed sections) are
+    per list, kept in its meta (view.js)
+  - Toggles are announced through the toast's live region (fx.announce)
+  - Completion FX (confetti + glow) live here; streaks are actions/streaks.js
 ============================================================================= */
 
 'use strict';
 
 import { createStore } from './state.js';
 import { createStorage } from './storage.js';
+import { pickAdapter } from './adapters.js';
+import { DATA_VERSION, isFutureVersionError } from './migrations.js';
+import { withQty } from './items.js';
+import { templateLabel, combinePresets } from './templates.js';
+import { createStreak } from './streaks.js';
+import { createReminders, planReminders, dueReminders } from './reminders.js';
 import { createActions } from './actions.js';
 
 import {
   setupRenderEvents,
   renderTabs,
+  tabsKey,
+  catsKey,
+  renderViewOptions,
   renderAddCategories,
   renderList,
-  renderProgress
+  renderProgress,
+  renderLists,
+  renderModeOptions,
+  renderTemplates,
+  renderTripLog,
+  renderStreak,
+  renderCountdown,
+  renderSyncStatus
 } from './render.js';
 
 import { initUI } from './ui.js';
 import { createFX } from './fx.js';
 import { initGestures } from './gestures.js';
+import { createNotifier } from './notify.js';
+import { createTabSync, removedIds, mergeLiveData, mergeLiveLists } from './tabsync.js';
+import { summarizeData } from './lists.js';
+import { createSync } from './sync.js';
+import { createSyncSettings } from './syncdoc.js';
+import { linkToken } from './sharelink.js';
+import { createScanner } from './qrscan.js';
 
 /* =========================
    CONFIG / CONSTANTS
@@ -30,12 +65,20 @@ import { initGestures } from './gestures.js';
 
 const STORAGE_KEY  = 'maleta_pwa_v2_data';
 const SETTINGS_KEY = 'maleta_pwa_v2_settings';
+const LIBRARY_KEY  = 'maleta_pwa_v2_lists';
+const TEMPLATES_KEY = 'maleta_pwa_v2_templates';
+const LOG_KEY       = 'maleta_pwa_v2_history';
+const DB_NAME      = 'maleta_pwa';
+// Outside the storage prefix on purpose: never migrated, never wiped
+const SYNC_CHANNEL  = 'maleta_pwa_sync';
 
 const DEFAULT_SETTINGS = {
   tripMode: 'salida',
   motion: true,
   sound: true,
-  streak: 0
+  streak: createStreak(),
+  reminders: createReminders(),
+  sync: createSyncSettings()
 };
 
 const PRESETS = {
@@ -134,31 +177,86 @@ const PRESETS = {
   }
 };
 
+// Built-in modes (also the only themes theme.css knows about)
+const THEMES = Object.keys(PRESETS);
+
+// User templates (kept in sync with store.templates; see boot)
+let userTemplates = [];
+
 function presetFor(mode){
-  return PRESETS[mode] || PRESETS.salida;
+  if (PRESETS[mode]) return { ...PRESETS[mode], theme: mode };
+
+  const t = userTemplates.find(x => x.id === mode);
+  if (t) return { label: templateLabel(t), theme: t.theme, cats: t.cats, items: t.items, custom: true };
+
+  return { ...PRESETS.salida, theme: 'salida' };
+}
+
+// "✈️ Viaje + ❄️ Clima frío" for combined lists
+function listName(mode){
+  return [].concat(mode).filter(Boolean).map(m => presetFor(m).label).join(' + ') || presetFor('salida').label;
+}
+
+function modeOptions(){
+  return {
+    builtins: THEMES.map(id => ({ id, label: PRESETS[id].label })),
+    templates: userTemplates.map(t => ({ id: t.id, label: templateLabel(t) }))
+  };
 }
 
 function uid(){
   return Math.random().toString(16).slice(2) + Date.now().toString(16);
 }
 
+/**
+ * newPreset
+ * @param {string|string[]} mode one mode, or several (primary first) to combine
+ */
 function newPreset(mode){
-  const p = presetFor(mode);
+  const modes = [].concat(mode).filter(Boolean);
+  const primary = modes[0] || 'salida';
+  const p = modes.length > 1 ? combinePresets(modes.map(presetFor)) : presetFor(primary);
+  const now = Date.now();
   return {
-    version: 2,
-    mode,
+    version: DATA_VERSION,
+    mode: primary,
+    // Which presets a combined list came from (primary first)
+    ...(modes.length > 1 ? { presets: modes } : {}),
     cats: p.cats.map(x => ({ ...x })),
-    items: p.items.map(x => ({
+    items: p.items.map(x => withQty({
       id: uid(),
       cat: x.cat,
       name: x.name,
       emoji: x.emoji || null,
-      done: false
-    })),
+      done: false,
+      updatedAt: now
+    }, x.qty || 1)),
     __completedOnce: false
   };
 }
 
+/**
+ * takeSharedPayload
+ * Web Share Target params (see manifest.webmanifest), removed from the URL
+ * so a reload doesn't offer the same text again.
+ * @returns {{title:string, text:string, url:string}|null}
+ */
+function takeSharedPayload(){
+  try{
+    const url = new URL(location.href);
+    const keys = ['shared_title', 'shared_text', 'shared_url'];
+    if (!keys.some(k => url.searchParams.has(k))) return null;
+
+    const [title, text, link] = keys.map(k => url.searchParams.get(k) || '');
+    keys.forEach(k => url.searchParams.delete(k));
+    history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+    return title || text || link ? { title, text, url: link } : null;
+  }catch{
+    return null;
+  }
+}
+
 /* =========================
    DOM
 ========================= */
@@ -168,15 +266,23 @@ const els = {
   app: document.getElementById('app'),
 
   tabRow: document.getElementById('tabRow'),
+  searchInput: document.getElementById('searchInput'),
+  viewStatus: document.getElementById('viewStatus'),
+  viewSort: document.getElementById('viewSort'),
   list: document.getElementById('list'),
   toast: document.getElementById('toast'),
 
   progressFill: document.getElementById('progressFill'),
   progressText: document.getElementById('progressText'),
   progressPct: document.getElementById('progressPct'),
+  progressShown: document.getElementById('progressShown'),
+
+  btnLists: document.getElementById('btnLists'),
+  listName: document.getElementById('listName'),
 
   tripPill: document.getElementById('tripPill'),
   streakChip: document.getElementById('streakChip'),
+  departChip: document.getElementById('departChip'),
 
   btnReset: document.getElementById('btnReset'),
   btnAdd: document.getElementById('btnAdd'),
@@ -188,18 +294,126 @@ const els = {
 
   settingsOverlay: document.getElementById('settingsOverlay'),
   addOverlay: document.getElementById('addOverlay'),
+  addTitle: document.getElementById('addTitle'),
   btnCloseSettings: document.getElementById('btnCloseSettings'),
   btnCloseAdd: document.getElementById('btnCloseAdd'),
 
+  listsOverlay: document.getElementById('listsOverlay'),
+  btnCloseLists: document.getElementById('btnCloseLists'),
+  listsList: document.getElementById('listsList'),
+  newListName: document.getElementById('newListName'),
+  newListModes: document.getElementById('newListModes'),
+  btnCreateList: document.getElementById('btnCreateList'),
+
   tripMode: document.getElementById('tripMode'),
   toggleMotion: document.getElementById('toggleMotion'),
   toggleSound: document.getElementById('toggleSound'),
   btnWipe: document.getElementById('btnWipe'),
+  btnExportBackup: document.getElementById('btnExportBackup'),
+  btnImportBackup: document.getElementById('btnImportBackup'),
+  backupFile: document.getElementById('backupFile'),
+  btnCheckData: document.getElementById('btnCheckData'),
+  dataCheck: document.getElementById('dataCheck'),
+
+  importOverlay: document.getElementById('importOverlay'),
+  btnCloseImport: document.getElementById('btnCloseImport'),
+  importSummary: document.getElementById('importSummary'),
+  btnImportMerge: document.getElementById('btnImportMerge'),
+  btnImportReplace: document.getElementById('btnImportReplace'),
+
+  btnOpenTextImport: document.getElementById('btnOpenTextImport'),
+  btnManageCats: document.getElementById('btnManageCats'),
+  btnHistory: document.getElementById('btnHistory'),
+  historyOverlay: document.getElementById('historyOverlay'),
+  btnCloseHistory: document.getElementById('btnCloseHistory'),
+  historyList: document.getElementById('historyList'),
+  btnClearHistory: document.getElementById('btnClearHistory'),
+  departOverlay: document.getElementById('departOverlay'),
+  btnCloseDepart: document.getElementById('btnCloseDepart'),
+  departAt: document.getElementById('departAt'),
+  departHint: document.getElementById('departHint'),
+  toggleReminders: document.getElementById('toggleReminders'),
+  reminderOffsets: document.getElementById('reminderOffsets'),
+  btnSaveDepart: document.getElementById('btnSaveDepart'),
+  btnClearDepart: document.getElementById('btnClearDepart'),
+  syncChip: document.getElementById('syncChip'),
+  btnSync: document.getElementById('btnSync'),
+  syncOverlay: document.getElementById('syncOverlay'),
+  btnCloseSync: document.getElementById('btnCloseSync'),
+  syncUrl: document.getElementById('syncUrl'),
+  syncToken: document.getElementById('syncToken'),
+  btnSaveSync: document.getElementById('btnSaveSync'),
+  toggleShareList: document.getElementById('toggleShareList'),
+  syncCode: document.getElementById('syncCode'),
+  btnCopySyncCode: document.getElementById('btnCopySyncCode'),
+  joinCode: document.getElementById('joinCode'),
+  btnJoinList: document.getElementById('btnJoinList'),
+  syncStatusText: document.getElementById('syncStatusText'),
+  btnSyncNow: document.getElementById('btnSyncNow'),
+
+  btnOpenLink: document.getElementById('btnOpenLink'),
+  linkOverlay: document.getElementById('linkOverlay'),
+  btnCloseLink: document.getElementById('btnCloseLink'),
+  toggleLinkChecks: document.getElementById('toggleLinkChecks'),
+  linkHint: document.getElementById('linkHint'),
+  btnShareLink: document.getElementById('btnShareLink'),
+  btnShowQR: document.getElementById('btnShowQR'),
+  btnScanQR: document.getElementById('btnScanQR'),
+  scanHintLink: document.getElementById('scanHintLink'),
+  qrBox: document.getElementById('qrBox'),
+  qrCode: document.getElementById('qrCode'),
+  qrNav: document.getElementById('qrNav'),
+  qrStep: document.getElementById('qrStep'),
+  qrHint: document.getElementById('qrHint'),
+  btnQrPrev: document.getElementById('btnQrPrev'),
+  btnQrNext: document.getElementById('btnQrNext'),
+  btnScanList: document.getElementById('btnScanList'),
+  scanHintLists: document.getElementById('scanHintLists'),
+  sharedOverlay: document.getElementById('sharedOverlay'),
+  btnCloseShared: document.getElementById('btnCloseShared'),
+  sharedItems: document.getElementById('sharedItems'),
+  sharedList: document.getElementById('sharedList'),
+  sharedCat: document.getElementById('sharedCat'),
+  btnAddShared: document.getElementById('btnAddShared'),
+  scanOverlay: document.getElementById('scanOverlay'),
+  btnCloseScan: document.getElementById('btnCloseScan'),
+  scanVideo: document.getElementById('scanVideo'),
+  scanStatus: document.getElementById('scanStatus'),
+  btnScanImage: document.getElementById('btnScanImage'),
+  scanFile: document.getElementById('scanFile'),
+  linkImportOverlay: document.getElementById('linkImportOverlay'),
+  btnCloseLinkImport: document.getElementById('btnCloseLinkImport'),
+  linkPreview: document.getElementById('linkPreview'),
+  btnLinkImport: document.getElementById('btnLinkImport'),
+  btnLinkDiscard: document.getElementById('btnLinkDiscard'),
+  btnSaveTemplate: document.getElementById('btnSaveTemplate'),
+  templatesOverlay: document.getElementById('templatesOverlay'),
+  btnCloseTemplates: document.getElementById('btnCloseTemplates'),
+  templatesList: document.getElementById('templatesList'),
+  newTemplateName: document.getElementById('newTemplateName'),
+  newTemplateEmoji: document.getElementById('newTemplateEmoji'),
+  newTemplateTheme: document.getElementById('newTemplateTheme'),
+  btnCreateTemplate: document.getElementById('btnCreateTemplate'),
+  catsOverlay: document.getElementById('catsOverlay'),
+  btnCloseCats: document.getElementById('btnCloseCats'),
+  catsList: document.getElementById('catsList'),
+  newCatEmoji: document.getElementById('newCatEmoji'),
+  newCatName: document.getElementById('newCatName'),
+  btnCreateCat: document.getElementById('btnCreateCat'),
+  textOverlay: document.getElementById('textOverlay'),
+  btnCloseText: document.getElementById('btnCloseText'),
+  importText: document.getElementById('importText'),
+  importTextCat: document.getElementById('importTextCat'),
+  importTextNew: document.getElementById('importTextNew'),
+  importTextPreview: document.getElementById('importTextPreview'),
+  btnPasteText: document.getElementById('btnPasteText'),
+  btnImportText: document.getElementById('btnImportText'),
 
   newName: document.getElementById('newName'),
   newCat: document.getElementById('newCat'),
   newEmoji: document.getElementById('newEmoji'),
   btnCreate: document.getElementById('btnCreate'),
+  newQty: document.getElementById('newQty'),
 };
 
 const dom = {
@@ -212,25 +426,54 @@ const dom = {
 
 boot();
 
-function boot(){
-  // Storage
+async function boot(){
+  // Storage: IndexedDB when available, localStorage otherwise
+  const adapter = await pickAdapter({ dbName: DB_NAME });
+  let fxRef = null;
+  let syncRef = null;
+  let lastStorageErrorAt = 0;
+
   const storage = createStorage({
+    adapter,
     storageKey: STORAGE_KEY,
     settingsKey: SETTINGS_KEY,
+    libraryKey: LIBRARY_KEY,
+    templatesKey: TEMPLATES_KEY,
+    logKey: LOG_KEY,
     defaultSettings: DEFAULT_SETTINGS,
     newPreset,
-    uid
+    listName,
+    uid,
+    onError: (err, op) => {
+      // Don't spam: one toast every few seconds is plenty
+      if (Date.now() - lastStorageErrorAt < 5000) return;
+      lastStorageErrorAt = Date.now();
+      fxRef?.toast?.(isFutureVersionError(err)
+        ? 'Esta lista es de una versión más nueva de la app. No la toco 🛑'
+        : 'No se pudo guardar en este dispositivo 😬');
+    }
   });
 
-  // Initial load
-  const settings = storage.loadSettings();
-  const data = storage.loadData(settings);
+  // Initial load (templates + library index + the active list's dataset)
+  await storage.migrateFromLocalStorage();
+  userTemplates = await storage.loadTemplates({ themes: THEMES });
+  const tripLog = await storage.loadLog();
+  const settings = await storage.loadSettings();
+  const library = await storage.loadLibrary(settings);
+  const activeMeta = library.lists.find(l => l.id === library.activeId);
+  const data = await storage.loadData(library.activeId, activeMeta?.mode || settings.tripMode);
+  settings.tripMode = data.mode;
 
   // Store
   const store = createStore({
     settings,
+    lists: library.lists,
+    activeListId: library.activeId,
     data,
-    activeCat: 'all'
+    activeCat: 'all',
+    search: '',
+    templates: userTemplates,
+    tripLog
   });
 
   // FX (needs store to exist)
@@ -239,13 +482,38 @@ function boot(){
     getMotion: () => !!store.getState().settings.motion,
     getSound:  () => !!store.getState().settings.sound
   });
+  fxRef = fx;
 
   // Debounced persistence
-  const { saveSettingsDebounced, saveDataDebounced } = storage.createDebouncedSavers(220);
+  const {
+    saveSettingsDebounced,
+    saveLibraryDebounced,
+    saveTemplatesDebounced,
+    saveLogDebounced,
+    saveDataDebounced,
+    cancelDataSave
+  } = storage.createDebouncedSavers(220);
+
+  const libraryOf = (st) => ({ activeId: st.activeListId, lists: st.lists });
 
   store.subscribe((prev, next) => {
     if (prev.settings !== next.settings) saveSettingsDebounced(next.settings);
-    if (prev.data !== next.data) saveDataDebounced(next.data);
+    if (prev.lists !== next.lists || prev.activeListId !== next.activeListId) saveLibraryDebounced(libraryOf(next));
+    if (prev.data !== next.data) saveDataDebounced(next.activeListId, next.data);
+    if (prev.templates !== next.templates){
+      userTemplates = next.templates || [];
+      saveTemplatesDebounced(userTemplates);
+    }
+
+    // Shared lists also go to the sync server (sync.js skips its own applies)
+    if (prev.data !== next.data && prev.activeListId === next.activeListId) syncRef?.markDirty(next.activeListId);
+    if (prev.lists !== next.lists){
+      for (const l of next.lists){
+        const old = prev.lists.find(x => x.id === l.id);
+        if (l.shared && (!old?.shared || old.name !== l.name || old.departAt !== l.departAt)) syncRef?.markDirty(l.id);
+      }
+    }
+    if (prev.settings.sync?.url !== next.settings.sync?.url) syncRef?.syncNow();
   });
 
   // Actions (proper wiring for /src/actions.js signature)
@@ -258,7 +526,31 @@ function boot(){
 
       // Persist using debouncers (actions will call these)
       saveSettings: () => saveSettingsDebounced(store.getState().settings),
-      saveData: () => saveDataDebounced(store.getState().data),
+      saveData: () => saveDataDebounced(store.getState().activeListId, store.getState().data),
+      saveLibrary: () => saveLibraryDebounced(libraryOf(store.getState())),
+      saveTemplates: () => saveTemplatesDebounced(store.getState().templates || []),
+      saveLog: () => saveLogDebounced(store.getState().tripLog || []),
+      themes: THEMES,
+
+      // List library
+      loadList: (id, mode) => storage.loadData(id, mode),
+      saveList: (id, listData) => storage.saveData(id, listData),
+      removeList: (id) => {
+        cancelDataSave(id);
+        storage.removeData(id);
+        storage.removeShadow(id);
+      },
+      listName,
+      uid,
+
+      // Undo/redo triggered from the toast button needs a repaint
+      requestRender: () => renderAll(),
+
+      // Backup import goes through the same migrate + repair as loading
+      upgradeData: storage.upgradeData,
+      inspectList: storage.inspectData,
+      isLocked: storage.isLocked,
+      sanitizeSettings: storage.sanitizeSettings,
 
       // FX plumbing
       toast: fx.toast,
@@ -269,8 +561,11 @@ function boot(){
     }
   });
 
+  // Undo history belongs to one list: opening another one starts fresh
+  store.select((st) => st.activeListId, () => actions.clearHistory());
+
   // Theme mode on root
-  syncModeTheme(store.getState().settings.tripMode);
+  syncModeTheme(store.getState().data.mode);
 
   // Render event wiring (tabs + list)
   setupRenderEvents({
@@ -279,27 +574,117 @@ function boot(){
     onTab: (catId) => {
       fx.haptic?.(10);
       store.setState({ activeCat: catId });
-      renderOnlyTabsAndList();
+      renderList(store.getState(), els.list);
       runProgress(); // progress isn't required but feels consistent
     },
     onToggle: (id) => {
       actions.toggleDone(id);
       renderList(store.getState(), els.list);
+      announceToggle(id);
       runProgress();
     },
     onDelete: (id) => {
       actions.deleteItem(id);
       renderAll();
+    },
+    onEdit: (id) => ui.openEdit(id),
+    onStep: (id, delta) => {
+      actions.stepPacked(id, delta);
+      renderList(store.getState(), els.list);
+      runProgress();
+    },
+    onGroup: (catId) => {
+      if (!actions.toggleGroup(catId).ok) return;
+      renderList(store.getState(), els.list);
+      els.list.querySelector(`[data-group="${CSS.escape(catId)}"]`)?.focus();
+    }
+  });
+
+  // Search: filters on top of the active tab, repaints the list only
+  els.searchInput?.addEventListener('input', () => setSearch(els.searchInput.value));
+  els.searchInput?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || !els.searchInput.value) return;
+    e.preventDefault();
+    els.searchInput.value = '';
+    setSearch('');
+  });
+
+  function setSearch(value){
+    const search = String(value || '').slice(0, 60);
+    if (search === store.getState().search) return;
+    store.setState({ search });
+    renderList(store.getState(), els.list);
+    runProgress();
+  }
+
+  // View options: saved on the active list, repaint tabs + list
+  els.viewStatus?.addEventListener('click', (e) => {
+    const group = e.target.closest('[data-grouped]');
+    if (group){
+      setView({ grouped: group.getAttribute('aria-pressed') !== 'true' });
+      els.viewStatus.querySelector('[data-grouped]')?.focus();
+      return;
+    }
+    const chip = e.target.closest('[data-status]');
+    if (!chip) return;
+    setView({ status: chip.dataset.status });
+    els.viewStatus.querySelector(`[data-status="${chip.dataset.status}"]`)?.focus();
+  });
+  els.viewSort?.addEventListener('change', () => setView({ sort: els.viewSort.value }));
+
+  function setView(patch){
+    if (!actions.setView(patch).ok) return;
+    const st = store.getState();
+    renderViewOptions(st, els.viewStatus, els.viewSort);
+    renderList(st, els.list);
+    runProgress();
+  }
+
+  // Cross-device sync (shared lists only; off until a server is set)
+  const sync = createSync({
+    getConfig: () => store.getState().settings.sync,
+    getSharedLists: () => store.getState().lists.filter(l => l.shared && !l.archived),
+    getData: async (id) => {
+      const st = store.getState();
+      if (id === st.activeListId) return st.data;
+      const meta = st.lists.find(l => l.id === id);
+      return meta ? storage.loadData(id, meta.mode) : null;
+    },
+    applyData: async (id, listData, patch) => {
+      await actions.applySyncedData(id, listData, patch);
+      if (id === store.getState().activeListId) renderAll();
+      else renderLists(store.getState(), els.listsList);
+    },
+    loadShadow: storage.loadShadow,
+    saveShadow: storage.saveShadow,
+    loadQueue: storage.loadSyncQueue,
+    saveQueue: storage.saveSyncQueue,
+    onStatus: (status) => renderSyncStatus(status, els.syncChip, els.syncStatusText)
+  });
+  syncRef = sync;
+
+  // Reminder notifications (tapping one opens its list)
+  const notifier = createNotifier({
+    onOpenList: async (id) => {
+      const res = await actions.switchList(id);
+      if (res?.ok) renderAll();
     }
   });
 
+  // QR scanning (share sheet + library); decoding is the browser's
+  const scanner = createScanner({ videoEl: els.scanVideo });
+
   // UI module (buttons + modals + settings inputs)
-  initUI({
+  const ui = initUI({
     els,
     store,
     actions,
     fx,
     storage,
+    modeOptions,
+    notifier,
+    sync,
+    scanner,
     onAfterStateChange: () => {
       renderAll();
     }
@@ -313,17 +698,107 @@ function boot(){
     onToggle: (id) => {
       actions.toggleDone(id);
       renderList(store.getState(), els.list);
+      announceToggle(id);
       runProgress();
     },
     onDelete: (id) => {
       actions.deleteItem(id);
       renderAll();
+    },
+    onLongPress: (id) => ui.openEdit(id),
+    onHold: () => fx.haptic?.(14),
+    onReorder: (id, to) => {
+      actions.moveItem(id, to);
+      renderList(store.getState(), els.list);
+    },
+    onDropOnTab: (id, catId) => {
+      actions.moveItem(id, { cat: catId });
+      renderAll();
     }
   });
 
+  // Tabs and the add-category select only repaint when what they show changed
+  store.select(tabsKey, () => renderTabs(store.getState(), els.tabRow));
+  store.select(catsKey, () => renderAddCategories(store.getState(), els.newCat));
+
   // First paint
+  renderTabs(store.getState(), els.tabRow);
+  renderAddCategories(store.getState(), els.newCat);
   renderAll();
 
+  // First pull/push of shared lists (queued offline changes included)
+  sync.start();
+
+  // Opened from a reminder while the app was closed (sw.js → ?list=<id>)
+  const launchListId = notifier.takeLaunchList();
+  if (launchListId && launchListId !== store.getState().activeListId){
+    const res = await actions.switchList(launchListId);
+    if (res?.ok) renderAll();
+  }
+
+  // Opened from a shared link (`#lista=…`), now or while already open
+  const openSharedLink = () => {
+    const token = linkToken(location.hash);
+    if (!token) return;
+    // The fragment is the whole list: don't leave it in the address bar/history
+    history.replaceState(null, '', location.pathname + location.search);
+    ui.previewLink(token);
+  };
+  window.addEventListener('hashchange', openSharedLink);
+  openSharedLink();
+
+  // Shared from another app (manifest share_target → ?shared_text=…)
+  const shared = takeSharedPayload();
+  if (shared){
+    // A Maleta link shared from a chat opens as a link, not as text
+    const token = linkToken((shared.url || shared.text).match(/#.*/)?.[0] || '');
+    if (token) ui.previewLink(token);
+    else ui.openShared(shared);
+  }
+
+  // Reminders: re-plan whenever lists or reminder settings change
+  let lastPlanKey = '';
+  store.subscribe((prev, next) => {
+    if (prev.lists !== next.lists || prev.settings?.reminders !== next.settings?.reminders) syncReminders();
+  });
+  syncReminders();
+  checkReminders();
+
+  // Countdown ticks + fallback check while the app is open
+  setInterval(() => {
+    if (document.hidden) return;
+    renderCountdown(store.getState(), els.departChip);
+    checkReminders();
+  }, 60000);
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) return;
+    renderCountdown(store.getState(), els.departChip);
+    checkReminders();
+  });
+
+  // Live sync: every change is broadcast; other tabs merge it into their store
+  let applyingRemote = false;
+  const tabs = createTabSync({ name: SYNC_CHANNEL, onMessage: applyRemote });
+
+  store.subscribe((prev, next) => {
+    if (applyingRemote) return;
+
+    // Switching lists swaps `data` wholesale: not an edit worth sending
+    if (prev.data !== next.data && prev.activeListId === next.activeListId){
+      tabs.post({
+        type: 'data',
+        listId: next.activeListId,
+        data: next.data,
+        removedItems: removedIds(prev.data?.items, next.data?.items),
+        removedCats: removedIds(prev.data?.cats, next.data?.cats)
+      });
+    }
+    if (prev.lists !== next.lists) tabs.post({ type: 'lists', lists: next.lists, removed: removedIds(prev.lists, next.lists) });
+    if (prev.settings !== next.settings) tabs.post({ type: 'settings', settings: next.settings });
+    if (prev.templates !== next.templates) tabs.post({ type: 'templates', templates: next.templates || [] });
+    if (prev.tripLog !== next.tripLog) tabs.post({ type: 'log', tripLog: next.tripLog || [] });
+  });
+
   /* =========================
      Render helpers
   ========================= */
@@ -332,25 +807,36 @@ function boot(){
     const st = store.getState();
 
     // Header chips
-    const p = presetFor(st.settings.tripMode);
+    const p = presetFor(st.data.mode);
+    const meta = (st.lists || []).find(l => l.id === st.activeListId);
     if (els.tripPill) els.tripPill.textContent = p.label;
-    if (els.streakChip) els.streakChip.textContent = `✨ ${st.settings.streak || 0}`;
+    if (els.listName) els.listName.textContent = meta?.name || p.label;
+    renderStreak(st, els.streakChip);
+    renderCountdown(st, els.departChip);
 
     // Theme
-    syncModeTheme(st.settings.tripMode);
+    syncModeTheme(st.data.mode);
 
-    // Render pieces
-    renderTabs(st, els.tabRow);
-    renderAddCategories(st, els.newCat);
+    // Render pieces (tabs + add-category select follow the store, see boot)
+    renderViewOptions(st, els.viewStatus, els.viewSort);
     renderList(st, els.list);
+    renderLists(st, els.listsList);
+    renderModeOptions(els.tripMode, modeOptions(), st.settings.tripMode);
+    renderTemplates(st, els.templatesList, modeOptions().builtins);
+    renderTripLog(st, els.historyList, { labelFor: (mode) => presetFor(mode).label });
+    renderModeOptions(els.newTemplateTheme, { builtins: modeOptions().builtins }, els.newTemplateTheme?.value || presetFor(st.data.mode).theme);
 
     runProgress();
   }
 
-  function renderOnlyTabsAndList(){
-    const st = store.getState();
-    renderTabs(st, els.tabRow);
-    renderList(st, els.list);
+  // Screen readers hear every toggle (the completion toast, if any, follows)
+  function announceToggle(id){
+    const items = store.getState().data.items || [];
+    const it = items.find(x => x.id === id);
+    if (!it) return;
+
+    const done = items.filter(i => i.done).length;
+    fx.announce?.(`${it.name}: ${it.done ? 'empacado ✅' : 'pendiente'} · ${done}/${items.length}`);
   }
 
   function runProgress(){
@@ -360,42 +846,116 @@ function boot(){
       progressFill: els.progressFill,
       progressText: els.progressText,
       progressPct: els.progressPct,
+      progressShown: els.progressShown,
       progressBarEl: dom.progressBar
     });
 
-    // Completion logic: streak + confetti + glow ONLY once per full completion
-    if (result.completed){
-      if (!st.data.__completedOnce){
-        store.setState((prev) => ({
-          data: { ...prev.data, __completedOnce: true },
-          settings: { ...prev.settings, streak: (prev.settings.streak || 0) + 1 }
-        }));
-
-        const next = store.getState();
-        if (els.streakChip) els.streakChip.textContent = `✨ ${next.settings.streak || 0}`;
-
-        // glow + confetti + toast
-        if (dom.progressBar && next.settings.motion){
-          dom.progressBar.classList.add('glow');
-          setTimeout(() => dom.progressBar.classList.remove('glow'), 900);
-        }
-        if (next.settings.motion) fx.confetti?.();
-        fx.toast?.('Checklist completo. Qué adulto responsable ✨');
-      }
-    } else {
-      // reset flag when it’s not complete anymore
-      if (st.data.__completedOnce){
-        store.setState((prev) => ({
-          data: { ...prev.data, __completedOnce: false }
-        }));
+    // Completion bookkeeping (flag, streak, history) is a domain action;
+    // glow + confetti + toast ONLY once per full completion
+    const done = actions.syncCompletion(result.completed);
+    if (done.changed && done.completed){
+      const next = store.getState();
+      renderStreak(next, els.streakChip);
+
+      if (dom.progressBar && next.settings.motion){
+        dom.progressBar.classList.add('glow');
+        setTimeout(() => dom.progressBar.classList.remove('glow'), 900);
       }
+      if (next.settings.motion) fx.confetti?.();
+      fx.toast?.(done.counted && done.streak.current > 1
+        ? `Checklist completo. ${done.streak.current} días seguidos ✨`
+        : 'Checklist completo. Qué adulto responsable ✨');
     }
 
     return result;
   }
 
+  /**
+   * applyRemote
+   * A change made in another tab. Savers still run (the merged state is a
+   * superset), only the re-broadcast is skipped.
+   */
+  function applyRemote(msg){
+    applyingRemote = true;
+    try{
+      switch (msg.type){
+        case 'data': {
+          const st = store.getState();
+          if (msg.listId !== st.activeListId || !msg.data) return;
+
+          const data = mergeLiveData(st.data, msg.data, msg);
+          store.setState((s) => ({
+            data,
+            lists: s.lists.map(l => l.id === s.activeListId ? { ...l, ...summarizeData(data) } : l)
+          }));
+          // Undo snapshots predate the other tab's edit: replaying them would clobber it
+          actions.clearHistory();
+          break;
+        }
+        case 'lists':
+          store.setState((s) => ({ lists: mergeLiveLists(s.lists, msg.lists, msg) }));
+          break;
+        case 'settings':
+          // tripMode follows the list open in *this* tab
+          store.setState((s) => ({ settings: { ...msg.settings, tripMode: s.settings.tripMode } }));
+          break;
+        case 'templates':
+          store.setState({ templates: Array.isArray(msg.templates) ? msg.templates : [] });
+          break;
+        case 'log':
+          store.setState({ tripLog: Array.isArray(msg.tripLog) ? msg.tripLog : [] });
+          break;
+        default:
+          return;
+      }
+    } finally {
+      applyingRemote = false;
+    }
+
+    const st = store.getState();
+    if (!st.lists.some(l => l.id === st.activeListId)){
+      actions.closeRemovedList().then(() => renderAll());
+      return;
+    }
+    renderAll();
+  }
+
+  /**
+   * syncReminders
+   * Background scheduling (sw.js) where the browser supports it. Only
+   * re-sent when the plan actually changed, not on every check/uncheck.
+   */
+  function syncReminders(){
+    const st = store.getState();
+    const plan = planReminders(st.lists, st.settings.reminders).filter(r => r.at > Date.now());
+    const key = plan.map(r => `${r.id}|${r.body}`).join(';');
+    if (key === lastPlanKey) return;
+    lastPlanKey = key;
+    notifier.schedule(plan);
+  }
+
+  /**
+   * checkReminders
+   * Fallback when nothing can fire in the background: show what's due now.
+   */
+  function checkReminders(){
+    if (notifier.canSchedule() && notifier.permission() === 'granted') return;
+
+    const st = store.getState();
+    const plan = planReminders(st.lists, st.settings.reminders);
+    const { show, fire } = dueReminders(plan, st.settings.reminders?.fired);
+    if (!fire.length) return;
+
+    for (const r of show){
+      notifier.show(r).then((shown) => {
+        if (!shown) fx.toast?.(`⏰ ${r.title}: ${r.body}`, 3200);
+      });
+    }
+    actions.markRemindersFired(fire, plan.map(r => r.id));
+  }
+
   function syncModeTheme(mode){
-    // Used by theme.css: :root[data-mode="..."]
-    document.documentElement.dataset.mode = mode || 'salida';
+    // Used by theme.css: :root[data-mode="..."] (templates borrow a built-in theme)
+    document.documentElement.dataset.mode = presetFor(mode).theme || 'salida';
   }
 }
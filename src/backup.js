@@ -0,0 +1,234 @@
+/* =============================================================================
+  /src/backup.js — Full JSON backup (pure, no DOM, no storage)
+  - createBackup: settings + library + every list's data + user templates, versioned
+  - Sync settings never travel (server token, this install's device id)
+  - parseBackup: validates through the same migrate/repair as storage
+  - planImport: "replace" or "merge" (items by id, newer updatedAt wins)
+============================================================================= */
+
+'use strict';
+
+import { DATA_VERSION, isFutureVersionError } from './migrations.js';
+import { repairListMeta, summarizeData } from './lists.js';
+import { repairTemplates, mergeTemplates } from './templates.js';
+import { mergeStreaks } from './streaks.js';
+
+export const BACKUP_KIND = 'maleta-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * createBackup
+ * @param {Object} p
+ * @param {Object} p.settings
+ * @param {string} p.activeId
+ * @param {Array<{meta:Object,data:Object}>} p.lists
+ * @param {Array} [p.templates] user templates
+ * @returns {Object} JSON-ready backup
+ */
+export function createBackup({ settings, activeId, lists, templates = [] }){
+  return {
+    kind: BACKUP_KIND,
+    backupVersion: BACKUP_VERSION,
+    dataVersion: DATA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: portableSettings(settings),
+    activeId: activeId || null,
+    lists: (lists || []).map(({ meta, data }) => ({ meta: { ...meta }, data })),
+    templates: [...templates]
+  };
+}
+
+/**
+ * parseBackup
+ * @param {string|Object} raw file contents or parsed JSON
+ * @param {Object} deps
+ * @param {Function} deps.upgradeData (raw, mode) => { data, report } (throws FUTURE_VERSION)
+ * @returns {{ok:true, backup:Object, repairs:string[]} | {ok:false, reason:string}}
+ */
+export function parseBackup(raw, { upgradeData }){
+  let obj = raw;
+  if (typeof raw === 'string'){
+    try{ obj = JSON.parse(raw); }catch{ return { ok:false, reason:'INVALID_JSON' }; }
+  }
+
+  if (!obj || typeof obj !== 'object' || obj.kind !== BACKUP_KIND || !Array.isArray(obj.lists)){
+    return { ok:false, reason:'NOT_A_BACKUP' };
+  }
+  if (Number(obj.backupVersion) > BACKUP_VERSION) return { ok:false, reason:'FUTURE_VERSION' };
+
+  const repairs = [];
+  const seen = new Set();
+  const lists = [];
+
+  for (const entry of obj.lists){
+    const meta = repairListMeta(entry?.meta);
+    if (!meta){
+      repairs.push('Se omitió una lista sin id');
+      continue;
+    }
+    if (seen.has(meta.id)){
+      repairs.push(`Se omitió "${meta.name}" (id repetido)`);
+      continue;
+    }
+    seen.add(meta.id);
+
+    let upgraded;
+    try{
+      upgraded = upgradeData(entry.data, meta.mode);
+    }catch (err){
+      if (isFutureVersionError(err)) return { ok:false, reason:'FUTURE_VERSION' };
+      repairs.push(`Se omitió "${meta.name}" (datos ilegibles)`);
+      continue;
+    }
+
+    upgraded.report.repairs.forEach(r => repairs.push(`${meta.name}: ${r}`));
+    lists.push({ meta: withCounts(meta, upgraded.data), data: upgraded.data });
+  }
+
+  if (!lists.length) return { ok:false, reason:'EMPTY' };
+
+  const activeId = seen.has(String(obj.activeId)) ? String(obj.activeId) : lists[0].meta.id;
+
+  return {
+    ok: true,
+    backup: {
+      exportedAt: obj.exportedAt || null,
+      // Older exports may still carry `sync`: importing it would clone another install's device id
+      settings: portableSettings(obj.settings),
+      activeId,
+      lists,
+      // Older backups have no templates: that's fine, not a repair
+      templates: repairTemplates(obj.templates)
+    },
+    repairs
+  };
+}
+
+/**
+ * planImport
+ * @param {{settings:Object, activeId:string, lists:Array<{meta,data}>}} local
+ * @param {{settings:Object, activeId:string, lists:Array<{meta,data}>}} incoming
+ * @param {'replace'|'merge'} strategy
+ * @returns {{result:Object, summary:Object}}
+ *   summary: { listsAdded, listsUpdated, listsRemoved, itemsAdded, itemsUpdated, templatesAdded }
+ */
+export function planImport(local, incoming, strategy = 'merge'){
+  const summary = { listsAdded: 0, listsUpdated: 0, listsRemoved: 0, itemsAdded: 0, itemsUpdated: 0, templatesAdded: 0 };
+  const localById = new Map((local?.lists || []).map(l => [l.meta.id, l]));
+
+  if (strategy === 'replace'){
+    const incomingIds = new Set(incoming.lists.map(l => l.meta.id));
+    summary.listsRemoved = [...localById.keys()].filter(id => !incomingIds.has(id)).length;
+
+    for (const l of incoming.lists){
+      if (localById.has(l.meta.id)) summary.listsUpdated++;
+      else summary.listsAdded++;
+      summary.itemsAdded += (l.data.items || []).length;
+    }
+    summary.templatesAdded = (incoming.templates || []).length;
+
+    return {
+      result: {
+        settings: { ...(local?.settings || {}), ...incoming.settings },
+        activeId: incoming.activeId,
+        lists: incoming.lists.map(l => ({ meta: { ...l.meta }, data: l.data })),
+        templates: [...(incoming.templates || [])]
+      },
+      summary
+    };
+  }
+
+  // merge
+  const lists = (local?.lists || []).map(l => ({ meta: { ...l.meta }, data: l.data }));
+  const indexById = new Map(lists.map((l, i) => [l.meta.id, i]));
+
+  for (const inc of incoming.lists){
+    const i = indexById.get(inc.meta.id);
+    if (i == null){
+      lists.push({ meta: { ...inc.meta }, data: inc.data });
+      summary.listsAdded++;
+      summary.itemsAdded += (inc.data.items || []).length;
+      continue;
+    }
+
+    const cur = lists[i];
+    const merged = mergeData(cur.data, inc.data);
+    if (!merged.added && !merged.updated) continue;
+
+    summary.listsUpdated++;
+    summary.itemsAdded += merged.added;
+    summary.itemsUpdated += merged.updated;
+
+    const newerMeta = inc.meta.updatedAt > cur.meta.updatedAt ? inc.meta : cur.meta;
+    lists[i] = {
+      meta: withCounts({ ...cur.meta, name: newerMeta.name, archived: newerMeta.archived, departAt: newerMeta.departAt, updatedAt: Math.max(cur.meta.updatedAt, inc.meta.updatedAt) }, merged.data),
+      data: merged.data
+    };
+  }
+
+  const merged = mergeTemplates(local?.templates, incoming.templates);
+  summary.templatesAdded = merged.added;
+
+  const localSettings = local?.settings || {};
+  return {
+    result: {
+      settings: {
+        ...localSettings,
+        streak: mergeStreaks(localSettings.streak, incoming.settings?.streak)
+      },
+      activeId: local?.activeId || incoming.activeId,
+      lists,
+      templates: merged.templates
+    },
+    summary
+  };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+// Everything but `sync`, which belongs to this install (so "replace" keeps the local one)
+function portableSettings(settings){
+  if (!settings || typeof settings !== 'object') return {};
+  const { sync, ...rest } = settings;
+  return rest;
+}
+
+// Categories: union by id (local order first). Items: by id, newer wins.
+function mergeData(localData, incomingData){
+  const cats = [...(localData.cats || [])];
+  const catIds = new Set(cats.map(c => c.id));
+  for (const c of incomingData.cats || []){
+    if (!catIds.has(c.id)){
+      cats.push({ ...c });
+      catIds.add(c.id);
+    }
+  }
+
+  const items = [...(localData.items || [])];
+  const indexById = new Map(items.map((it, i) => [it.id, i]));
+  let added = 0;
+  let updated = 0;
+
+  for (const it of incomingData.items || []){
+    const i = indexById.get(it.id);
+    if (i == null){
+      items.push({ ...it });
+      added++;
+    } else if ((it.updatedAt || 0) > (items[i].updatedAt || 0)){
+      items[i] = { ...it };
+      updated++;
+    }
+  }
+
+  return {
+    data: { ...localData, cats, items, __completedOnce: false },
+    added,
+    updated
+  };
+}
+
+function withCounts(meta, data){
+  return { ...meta, mode: data?.mode || meta.mode, ...summarizeData(data) };
+}
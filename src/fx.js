@@ -4,6 +4,7 @@
   - Haptics (vibrate)
   - Tick sound (WebAudio, no files)
   - Confetti (DOM based)
+  - announce: screen-reader-only message through the toast's live region
   - Tiny WAAPI helper (optional)
 ============================================================================= */
 
@@ -45,7 +46,11 @@ export function createFX({ toastEl = null, getMotion = () => true, getSound = ()
   });
 
   return {
-    toast: (msg, duration) => toast(msg, toastEl || 'toast', duration),
+    // toast(msg, duration) or toast(msg, { duration, action: { label, onClick } })
+    toast: (msg, opts) => (opts && typeof opts === 'object')
+      ? toast(msg, toastEl || 'toast', opts.duration ?? 1600, opts.action)
+      : toast(msg, toastEl || 'toast', opts),
+    announce: (msg) => announce(msg, toastEl || 'toast'),
     haptic: (ms = 12) => haptic(ms, true),
     tickSound: () => tickSound(!!getSound()),
     confetti: (opts = {}) => confettiBurst({ enabled: !!getMotion(), ...opts }),
@@ -76,7 +81,7 @@ export function initFX(opts = {}){
   }
 }
 
-export function toast(message, toastElOrId = 'toast', duration = 1600){
+export function toast(message, toastElOrId = 'toast', duration = 1600, action = null){
   const el = typeof toastElOrId === 'string'
     ? document.getElementById(toastElOrId)
     : toastElOrId;
@@ -84,6 +89,21 @@ export function toast(message, toastElOrId = 'toast', duration = 1600){
   if (!el) return;
 
   el.textContent = message;
+
+  // Optional inline action (e.g. "Deshacer")
+  if (action?.label && typeof action.onClick === 'function'){
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'toastAction';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => {
+      clearTimeout(_toastTimer);
+      el.classList.remove('show');
+      action.onClick();
+    }, { once: true });
+    el.append(' ', btn);
+  }
+
   el.classList.add('show');
 
   clearTimeout(_toastTimer);
@@ -92,6 +112,22 @@ export function toast(message, toastElOrId = 'toast', duration = 1600){
   }, duration);
 }
 
+/**
+ * announce
+ * Updates the toast's aria-live text without showing it. A visible toast
+ * with an action ("Deshacer") is left alone.
+ */
+export function announce(message, toastElOrId = 'toast'){
+  const el = typeof toastElOrId === 'string'
+    ? document.getElementById(toastElOrId)
+    : toastElOrId;
+
+  if (!el) return;
+  if (el.classList.contains('show') && el.querySelector('.toastAction')) return;
+
+  el.textContent = message;
+}
+
 export function haptic(ms = 12, enabled = true){
   if (!enabled) return;
   try{
@@ -2,6 +2,10 @@
   /src/gestures.js — Swipe gestures (Vanilla, Pro)
   - Swipe right: toggle done
   - Swipe left: delete
+  - Long-press: hold still → release to edit, or keep moving to drag
+  - Drag: reorder between rows (a row of another category moves it there too),
+    or drop on a category tab to move it there
+    (the click that follows a hold is swallowed)
   - Thresholds + resistance + snap
   - Scroll-friendly (only engages when horizontal intent is clear)
   - Delegation: works with dynamic lists
@@ -19,9 +23,16 @@ const DEFAULTS = {
   resistance: 0.32,         // extra drag beyond max
   // gesture behavior
   lockAxisThreshold: 8,     // px before deciding axis intent
+  longPressMs: 520,         // hold still this long to arm edit/drag
+  tabSelector: '.tab[data-cat]', // drop targets outside the list
+  autoScrollEdge: 56,       // px from the viewport edge that scrolls while dragging
   // callbacks
   onToggle: null,           // (id, el) => void
   onDelete: null,           // (id, el) => void
+  onLongPress: null,        // (id, el) => void (held and released without moving)
+  onHold: null,             // (id, el) => void (hold armed: good spot for a haptic)
+  onReorder: null,          // (id, { beforeId, afterId, cat }) => void | cat: the drop row's category
+  onDropOnTab: null,        // (id, catId) => void
   onReveal: null,           // (id, el, side) => void | side: 'left'|'right'|null
   // flags
   enabled: true,
@@ -50,12 +61,17 @@ export function initGestures(opts = {}){
 
   // Internal gesture state
   let active = null;
+  let longPressTimer = null;
+  let swallowClick = false;
+  let markedEl = null; // row/tab currently showing the drop hint
 
   function onPointerDown(e){
     if (!cfg.enabled) return;
     // primary pointer only
     if (e.button != null && e.button !== 0) return;
 
+    swallowClick = false;
+
     const row = e.target.closest(cfg.itemSelector);
     if (!row) return;
 
@@ -90,6 +106,10 @@ export function initGestures(opts = {}){
     // avoid text selection during gesture
     document.documentElement.classList.add('noSelect');
 
+    if (typeof cfg.onLongPress === 'function' || typeof cfg.onReorder === 'function'){
+      longPressTimer = setTimeout(fireLongPress, cfg.longPressMs);
+    }
+
     // We don't prevent default yet to keep scroll smooth until lock axis decides.
   }
 
@@ -104,12 +124,21 @@ export function initGestures(opts = {}){
     active.dx = active.lastX - active.startX;
     active.dy = active.lastY - active.startY;
 
+    // After a hold the vertical axis belongs to the drag, not to scrolling
+    if (active.held){
+      e.preventDefault?.();
+      dragMove(active, e);
+      return;
+    }
+
     // Decide axis intent after small movement
     if (!active.axisLocked) {
       const adx = Math.abs(active.dx);
       const ady = Math.abs(active.dy);
       if (adx < cfg.lockAxisThreshold && ady < cfg.lockAxisThreshold) return;
 
+      // moved: it's a swipe or a scroll, not a press
+      clearLongPress();
       active.axisLocked = (adx > ady) ? 'x' : 'y';
     }
 
@@ -148,6 +177,11 @@ export function initGestures(opts = {}){
     if (!active) return;
     if (e.pointerId !== active.pointerId) return;
 
+    if (active.held){
+      finishHold(active);
+      return;
+    }
+
     // If we never truly dragged horizontally, treat as normal click (do nothing here)
     if (!active.isDragging) {
       cleanupActive(false);
@@ -177,9 +211,117 @@ export function initGestures(opts = {}){
     if (!active) return;
     if (e.pointerId !== active.pointerId) return;
     if (active.row) snapBack(active.row, cfg.motion);
+    clearDropMarks();
     cleanupActive(false);
   }
 
+  function fireLongPress(){
+    longPressTimer = null;
+    if (!active || active.isDragging || active.axisLocked) return;
+
+    active.held = true;
+    active.moved = false;
+    active.drop = null;
+    swallowClick = true; // the pointerup that ends the hold must not toggle
+    active.row.classList.add('dragReady');
+    cfg.onHold?.(active.id, active.row);
+  }
+
+  function dragMove(a, e){
+    if (!a.moved){
+      if (Math.abs(a.dy) < cfg.lockAxisThreshold && Math.abs(a.dx) < cfg.lockAxisThreshold) return;
+      a.moved = true;
+      a.row.classList.add('dragging');
+    }
+
+    a.row.style.transition = 'none';
+    a.row.style.transform = `translate3d(0, ${a.dy}px, 0)`;
+
+    a.drop = findDropTarget(a, e.clientX, e.clientY);
+    markDrop(a.drop);
+    autoScroll(e.clientY);
+  }
+
+  function finishHold(a){
+    const { id, row, moved, drop } = a;
+
+    clearDropMarks();
+    row.style.transform = '';
+    cleanupActive(false);
+
+    if (!moved){
+      cfg.onLongPress?.(id, row);
+      return;
+    }
+    if (!drop) return;
+
+    if (drop.type === 'tab') cfg.onDropOnTab?.(id, drop.catId);
+    else cfg.onReorder?.(id, drop.before ? { beforeId: drop.id, cat: drop.cat } : { afterId: drop.id, cat: drop.cat });
+  }
+
+  // Geometry, not elementFromPoint: the dragged row sits under the finger
+  function findDropTarget(a, x, y){
+    const tab = Array.from(document.querySelectorAll(cfg.tabSelector))
+      .find(t => contains(t.getBoundingClientRect(), x, y));
+    if (tab){
+      const catId = tab.dataset.cat;
+      return catId && catId !== 'all' ? { type: 'tab', el: tab, catId } : null;
+    }
+
+    const rows = Array.from(listEl.querySelectorAll(cfg.itemSelector)).filter(r => r !== a.row);
+    for (const r of rows){
+      const rect = r.getBoundingClientRect();
+      if (y < rect.top || y > rect.bottom) continue;
+      return { type: 'row', el: r, id: r.dataset.id, cat: r.dataset.cat || null, before: y < rect.top + rect.height / 2 };
+    }
+    return null;
+  }
+
+  function markDrop(drop){
+    if (markedEl && markedEl !== drop?.el) clearDropMarks();
+    if (!drop) return;
+
+    markedEl = drop.el;
+    drop.el.classList.toggle('dropTarget', drop.type === 'tab');
+    drop.el.classList.toggle('dropBefore', drop.type === 'row' && drop.before);
+    drop.el.classList.toggle('dropAfter', drop.type === 'row' && !drop.before);
+  }
+
+  function clearDropMarks(){
+    markedEl?.classList.remove('dropTarget', 'dropBefore', 'dropAfter');
+    markedEl = null;
+  }
+
+  function autoScroll(y){
+    const edge = cfg.autoScrollEdge;
+    if (y < edge) window.scrollBy(0, -Math.ceil((edge - y) / 4));
+    else if (y > window.innerHeight - edge) window.scrollBy(0, Math.ceil((y - window.innerHeight + edge) / 4));
+  }
+
+  // Touch: once a hold is armed, keep the page from panning under the drag
+  function onTouchMove(e){
+    if (active?.held && e.cancelable) e.preventDefault();
+  }
+
+  function clearLongPress(){
+    if (longPressTimer == null) return;
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  }
+
+  function onClickCapture(e){
+    if (!swallowClick) return;
+    swallowClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }
+
+  // Touch long-press also opens the native context menu; not on rows
+  function onContextMenu(e){
+    if (!cfg.enabled || (typeof cfg.onLongPress !== 'function' && typeof cfg.onReorder !== 'function')) return;
+    if (e.target.closest(cfg.itemSelector)) e.preventDefault();
+  }
+
   function snapAndToggle(a){
     // snap to right briefly, then back
     const row = a.row;
@@ -217,13 +359,14 @@ export function initGestures(opts = {}){
   }
 
   function cleanupActive(hard){
+    clearLongPress();
     if (!active) return;
 
     const row = active.row;
     if (row) {
       row.releasePointerCapture?.(active.pointerId);
       row.style.willChange = '';
-      row.classList.remove('swiping', 'revealLeft', 'revealRight', 'swipeCommitLeft', 'swipeCommitRight');
+      row.classList.remove('swiping', 'revealLeft', 'revealRight', 'swipeCommitLeft', 'swipeCommitRight', 'dragReady', 'dragging');
       if (!hard) row.classList.remove('swipeRemove');
       // don't clear transform here; caller does snapBack or commit animation
     }
@@ -237,6 +380,9 @@ export function initGestures(opts = {}){
   listEl.addEventListener('pointermove', onPointerMove, { passive: false });
   listEl.addEventListener('pointerup', onPointerUp, { passive: true });
   listEl.addEventListener('pointercancel', onPointerCancel, { passive: true });
+  listEl.addEventListener('click', onClickCapture, true);
+  listEl.addEventListener('contextmenu', onContextMenu);
+  listEl.addEventListener('touchmove', onTouchMove, { passive: false });
 
   return {
     destroy(){
@@ -244,6 +390,10 @@ export function initGestures(opts = {}){
       listEl.removeEventListener('pointermove', onPointerMove);
       listEl.removeEventListener('pointerup', onPointerUp);
       listEl.removeEventListener('pointercancel', onPointerCancel);
+      listEl.removeEventListener('click', onClickCapture, true);
+      listEl.removeEventListener('contextmenu', onContextMenu);
+      listEl.removeEventListener('touchmove', onTouchMove);
+      clearLongPress();
     },
     setEnabled(v){ cfg.enabled = !!v; },
     setMotion(v){ cfg.motion = !!v; }
@@ -293,6 +443,10 @@ function setRevealClasses(row, side){
   row.classList.toggle('revealRight', side === 'right');
 }
 
+function contains(rect, x, y){
+  return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+}
+
 function getCurrentTranslate(el){
   const t = getComputedStyle(el).transform;
   if (!t || t === 'none') return 0;
@@ -0,0 +1,70 @@
+/* =============================================================================
+  /src/history.js — Undo/redo stacks (in memory, capped)
+  - Entries are { label, snapshot } where snapshot is whatever the caller
+    wants restored (actions.js stores { listId, data })
+  - Lives as long as the page: survives re-renders, not reloads
+============================================================================= */
+
+'use strict';
+
+/**
+ * createHistory
+ * @param {Object} [opts]
+ * @param {number} [opts.limit] max undo entries kept (oldest dropped first)
+ * @returns {Object} history API
+ */
+export function createHistory({ limit = 50 } = {}){
+  let past = [];
+  let future = [];
+
+  /**
+   * record
+   * Call BEFORE mutating, with the state you'd want back.
+   * A new record invalidates the redo stack.
+   */
+  function record(label, snapshot){
+    past.push({ label: String(label || 'Cambio'), snapshot });
+    if (past.length > limit) past = past.slice(past.length - limit);
+    future = [];
+  }
+
+  /**
+   * undo
+   * @param {any} current snapshot of the present (goes to the redo stack)
+   * @returns {{label:string, snapshot:any}|null} entry to restore
+   */
+  function undo(current){
+    const entry = past.pop();
+    if (!entry) return null;
+    future.push({ label: entry.label, snapshot: current });
+    return entry;
+  }
+
+  /**
+   * redo
+   * @param {any} current snapshot of the present (goes back to the undo stack)
+   * @returns {{label:string, snapshot:any}|null} entry to restore
+   */
+  function redo(current){
+    const entry = future.pop();
+    if (!entry) return null;
+    past.push({ label: entry.label, snapshot: current });
+    return entry;
+  }
+
+  function clear(){
+    past = [];
+    future = [];
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+    peekUndo: () => past[past.length - 1]?.label || null,
+    peekRedo: () => future[future.length - 1]?.label || null
+  };
+}
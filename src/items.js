@@ -0,0 +1,91 @@
+/* =============================================================================
+  /src/items.js — Item helpers (pure, no DOM, no storage)
+  - Optional quantities: { qty, packed } on top of the binary `done`
+  - Invariant: done === (packed >= qty); qty 1 items carry neither field
+  - Shared by storage (repair), actions, render and share/import text
+============================================================================= */
+
+'use strict';
+
+export const MAX_QTY = 99;
+
+/**
+ * itemQty
+ * @param {Object} it
+ * @returns {number} 1..MAX_QTY (1 when the item has no quantity)
+ */
+export function itemQty(it){
+  const n = Math.floor(Number(it?.qty));
+  return Number.isFinite(n) && n > 1 ? Math.min(n, MAX_QTY) : 1;
+}
+
+/**
+ * itemPacked
+ * @param {Object} it
+ * @returns {number} 0..qty
+ */
+export function itemPacked(it){
+  const qty = itemQty(it);
+  if (it?.done) return qty;
+  const n = Math.floor(Number(it?.packed));
+  return Number.isFinite(n) ? Math.max(0, Math.min(n, qty)) : 0;
+}
+
+/**
+ * itemFraction
+ * How much of the item is in the bag (0..1), for weighted progress.
+ */
+export function itemFraction(it){
+  return itemPacked(it) / itemQty(it);
+}
+
+/**
+ * withPacked
+ * Copy of `it` with `packed` set (clamped) and `done` kept in sync.
+ * @param {Object} it
+ * @param {number} packed
+ * @returns {Object}
+ */
+export function withPacked(it, packed){
+  const qty = itemQty(it);
+  const n = Math.max(0, Math.min(Math.floor(Number(packed)) || 0, qty));
+  return normalizeQty({ ...it, packed: n, done: n >= qty });
+}
+
+/**
+ * withQty
+ * Copy of `it` with a new quantity; packed is kept but clamped.
+ */
+export function withQty(it, qty){
+  const packed = itemPacked(it);
+  return withPacked({ ...it, qty, done: false }, packed);
+}
+
+/**
+ * normalizeQty
+ * Enforces the invariant on a (possibly hand-edited) item. Mutates + returns `it`.
+ */
+export function normalizeQty(it){
+  const qty = itemQty(it);
+  if (qty === 1){
+    delete it.qty;
+    delete it.packed;
+    it.done = !!it.done;
+    return it;
+  }
+
+  const packed = itemPacked(it);
+  it.qty = qty;
+  it.packed = packed;
+  it.done = packed >= qty;
+  return it;
+}
+
+/**
+ * qtyLabel
+ * "3/5" for items with a quantity, '' otherwise.
+ */
+export function qtyLabel(it){
+  const qty = itemQty(it);
+  return qty > 1 ? `${itemPacked(it)}/${qty}` : '';
+}
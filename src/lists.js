@@ -0,0 +1,139 @@
+/* =============================================================================
+  /src/lists.js — List library helpers (pure, no DOM, no storage)
+  - List metadata shape (id, name, mode, archived, departure, shared, view, timestamps, counts)
+  - repair helpers shared by storage + actions
+  - small selectors (summary, fallback list)
+============================================================================= */
+
+'use strict';
+
+import { DEFAULT_VIEW, repairView } from './view.js';
+
+/**
+ * createListMeta
+ * @param {Object} p
+ * @param {string} p.id
+ * @param {string} p.name
+ * @param {string} p.mode
+ * @param {Object} [p.data] optional data to derive counts from
+ * @param {number|null} [p.departAt] departure time (ms), optional
+ * @param {boolean} [p.shared] synced across devices (see sync.js)
+ * @returns {{id:string,name:string,mode:string,archived:boolean,departAt:number|null,shared:boolean,view:{status:string,sort:string},createdAt:number,updatedAt:number,done:number,total:number}}
+ */
+export function createListMeta({ id, name, mode, departAt = null, shared = false, data = null } = {}){
+  const now = Date.now();
+  return {
+    id: String(id),
+    name: cleanName(name),
+    mode: String(mode || 'salida'),
+    archived: false,
+    departAt: repairDepartAt(departAt),
+    shared: !!shared,
+    view: { ...DEFAULT_VIEW },
+    createdAt: now,
+    updatedAt: now,
+    ...summarizeData(data)
+  };
+}
+
+/**
+ * repairListMeta
+ * Returns null when the entry is unusable (no id).
+ */
+export function repairListMeta(m){
+  if (!m || typeof m !== 'object') return null;
+  const id = String(m.id || '').trim();
+  if (!id) return null;
+
+  return {
+    id,
+    name: cleanName(m.name),
+    mode: String(m.mode || 'salida'),
+    archived: !!m.archived,
+    departAt: repairDepartAt(m.departAt),
+    shared: !!m.shared,
+    view: repairView(m.view),
+    createdAt: toTime(m.createdAt),
+    updatedAt: toTime(m.updatedAt),
+    done: toCount(m.done),
+    total: toCount(m.total)
+  };
+}
+
+/**
+ * repairDepartAt
+ * @param {any} v ms timestamp
+ * @returns {number|null}
+ */
+export function repairDepartAt(v){
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+/**
+ * repairLibrary
+ * @param {any} lib persisted library index
+ * @returns {{activeId:string|null, lists:Array}}
+ */
+export function repairLibrary(lib){
+  const raw = Array.isArray(lib?.lists) ? lib.lists : [];
+
+  const seen = new Set();
+  const lists = [];
+  for (const m of raw){
+    const meta = repairListMeta(m);
+    if (!meta || seen.has(meta.id)) continue;
+    seen.add(meta.id);
+    lists.push(meta);
+  }
+
+  let activeId = lib?.activeId ? String(lib.activeId) : null;
+  if (!activeId || !seen.has(activeId)){
+    activeId = pickFallbackList(lists)?.id || null;
+  }
+
+  return { activeId, lists };
+}
+
+/**
+ * summarizeData
+ * Counts used by the library view (so inactive lists don't need loading).
+ */
+export function summarizeData(data){
+  const items = Array.isArray(data?.items) ? data.items : [];
+  return {
+    done: items.filter(i => i.done).length,
+    total: items.length
+  };
+}
+
+/**
+ * pickFallbackList
+ * First non-archived list that isn't `excludeId` (falls back to any list).
+ */
+export function pickFallbackList(lists, excludeId = null){
+  const arr = Array.isArray(lists) ? lists : [];
+  return arr.find(l => l.id !== excludeId && !l.archived)
+    || arr.find(l => l.id !== excludeId)
+    || null;
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function cleanName(v){
+  const s = String(v ?? '').trim().slice(0, 40);
+  return s || 'Mi lista';
+}
+
+function toTime(v){
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : Date.now();
+}
+
+function toCount(v){
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
@@ -0,0 +1,98 @@
+/* =============================================================================
+  /src/migrations.js — Versioned schema migrations for list data
+  - Ordered registry: each step is a pure function (data, ctx) => data
+  - runMigrations walks v(n) → v(n+1) until DATA_VERSION
+  - Unknown future versions are refused (never downgraded/overwritten)
+============================================================================= */
+
+'use strict';
+
+/** Version written by this build */
+export const DATA_VERSION = 3;
+
+/** Data without a usable version predates versioning; treat it as v2 */
+const BASE_VERSION = 2;
+
+/**
+ * Registry (keep it ordered, one step per version).
+ * `up` must be pure: no Date.now(), no storage. Use ctx.now instead.
+ */
+export const MIGRATIONS = [
+  {
+    from: 2,
+    to: 3,
+    name: 'Timestamps por item',
+    up: (d, ctx) => ({
+      ...d,
+      version: 3,
+      items: (Array.isArray(d.items) ? d.items : []).map(it => ({
+        ...it,
+        updatedAt: toTime(it?.updatedAt) || ctx.now
+      }))
+    })
+  }
+];
+
+/**
+ * dataVersion
+ * @param {any} d raw persisted data
+ * @returns {number}
+ */
+export function dataVersion(d){
+  const v = Number(d?.version);
+  return Number.isInteger(v) && v >= BASE_VERSION ? v : BASE_VERSION;
+}
+
+/**
+ * runMigrations
+ * @param {Object} raw persisted data (not mutated)
+ * @param {Object} [ctx]
+ * @param {number} [ctx.now] timestamp handed to each step
+ * @param {string[]} [ctx.steps] collects the names of the steps applied
+ * @returns {Object} data at DATA_VERSION (shape still needs repairData)
+ * @throws {Error} FUTURE_VERSION (err.version) | MISSING_MIGRATION
+ */
+export function runMigrations(raw, { now = Date.now(), steps = null } = {}){
+  let v = dataVersion(raw);
+  if (v > DATA_VERSION) throw futureVersionError(v);
+
+  let d = raw;
+  while (v < DATA_VERSION){
+    const step = MIGRATIONS.find(m => m.from === v);
+    if (!step){
+      const err = new Error('MISSING_MIGRATION');
+      err.version = v;
+      throw err;
+    }
+
+    d = step.up(d, { now });
+    steps?.push(`v${step.from} → v${step.to}: ${step.name}`);
+    v = step.to;
+  }
+
+  return d;
+}
+
+/**
+ * isFutureVersionError
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isFutureVersionError(err){
+  return err?.message === 'FUTURE_VERSION';
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function futureVersionError(v){
+  const err = new Error('FUTURE_VERSION');
+  err.version = v;
+  return err;
+}
+
+function toTime(v){
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
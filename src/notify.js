@@ -0,0 +1,132 @@
+/* =============================================================================
+  /src/notify.js — Local reminder notifications (browser plumbing)
+  - Permission handling (Notifications API)
+  - schedule(plan): hands the plan to sw.js, which uses Notification Triggers
+    where the browser has them
+  - show(reminder): immediate notification (on-open fallback)
+  - OPEN_LIST messages from sw.js + `?list=` launch param → onOpenList
+  - What to remind lives in reminders.js; this file only talks to the browser
+============================================================================= */
+
+'use strict';
+
+/**
+ * createNotifier
+ * @param {Object} [opts]
+ * @param {Function} [opts.onOpenList] (listId) => void (notification tapped)
+ */
+export function createNotifier({ onOpenList = () => {} } = {}){
+  const hasNotifications = typeof window !== 'undefined' && 'Notification' in window;
+  const hasSW = typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+  // Tapped notification while the app was already open
+  if (hasSW){
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data?.type === 'OPEN_LIST' && e.data.listId) safe(() => onOpenList(String(e.data.listId)));
+    });
+  }
+
+  function permission(){
+    return hasNotifications ? Notification.permission : 'unsupported';
+  }
+
+  async function requestPermission(){
+    if (!hasNotifications) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    try{
+      return await Notification.requestPermission();
+    }catch{
+      return Notification.permission;
+    }
+  }
+
+  /**
+   * canSchedule
+   * True when sw.js can fire reminders with the app closed.
+   * Otherwise the app shows them itself when opened (see app.js).
+   */
+  function canSchedule(){
+    return hasSW && hasNotifications
+      && typeof window.TimestampTrigger !== 'undefined'
+      && 'showTrigger' in Notification.prototype;
+  }
+
+  /**
+   * schedule
+   * @param {Array} plan planReminders() output (replaces whatever was scheduled)
+   * @returns {Promise<boolean>} false when background scheduling isn't available
+   */
+  async function schedule(plan){
+    if (!canSchedule() || permission() !== 'granted') return false;
+    try{
+      const reg = await navigator.serviceWorker.ready;
+      reg.active?.postMessage({ type: 'SCHEDULE_REMINDERS', reminders: plan || [] });
+      return true;
+    }catch{
+      return false;
+    }
+  }
+
+  /**
+   * show
+   * @param {{id:string, listId:string, title:string, body:string}} r
+   * @returns {Promise<boolean>}
+   */
+  async function show(r){
+    if (permission() !== 'granted') return false;
+    const options = {
+      body: r.body,
+      tag: r.id,
+      icon: './icons/icon-192.png',
+      data: { listId: r.listId }
+    };
+
+    try{
+      if (hasSW){
+        const reg = await navigator.serviceWorker.getRegistration();
+        if (reg){
+          await reg.showNotification(r.title, { ...options, actions: [{ action: 'open', title: 'Abrir lista' }] });
+          return true;
+        }
+      }
+      // No service worker (file://, dev): page-level notification
+      const n = new Notification(r.title, options);
+      n.onclick = () => {
+        safe(() => window.focus());
+        safe(() => onOpenList(r.listId));
+        n.close();
+      };
+      return true;
+    }catch{
+      return false;
+    }
+  }
+
+  /**
+   * takeLaunchList
+   * `?list=<id>` (sw.js opened a new window) → id, and cleans the URL.
+   * @returns {string|null}
+   */
+  function takeLaunchList(){
+    try{
+      const url = new URL(location.href);
+      const id = url.searchParams.get('list');
+      if (!id) return null;
+      url.searchParams.delete('list');
+      history.replaceState(null, '', url.pathname + url.search + url.hash);
+      return id;
+    }catch{
+      return null;
+    }
+  }
+
+  return { permission, requestPermission, canSchedule, schedule, show, takeLaunchList };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function safe(fn){
+  try{ fn?.(); }catch{}
+}
@@ -0,0 +1,363 @@
+/* =============================================================================
+  /src/qr.js — QR code encoder (pure, no DOM, no network)
+  - Byte mode only (links are ASCII anyway), ECC levels L and M
+  - Smallest version that fits (1..40), best of the 8 masks by penalty score
+  - Output is a square boolean matrix; drawing it is render.js's job
+  - Follows ISO/IEC 18004; structure after Project Nayuki's reference encoder
+============================================================================= */
+
+'use strict';
+
+// Per version (index 0 unused)
+const ECC_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+};
+const ECC_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+};
+// Format-info bits for each level
+const ECC_FORMAT = { L: 1, M: 0 };
+
+/**
+ * encodeQR
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {'L'|'M'} [opts.ecc]
+ * @param {number} [opts.maxVersion] refuse to go denser than this
+ * @returns {{version:number, size:number, modules:boolean[][]} | null} null = doesn't fit
+ *   modules[y][x], true = dark
+ */
+export function encodeQR(text, { ecc = 'M', maxVersion = 40 } = {}){
+  const level = ECC_PER_BLOCK[ecc] ? ecc : 'M';
+  const bytes = Array.from(new TextEncoder().encode(String(text ?? '')));
+
+  let version = 0;
+  for (let v = 1; v <= Math.min(40, maxVersion); v++){
+    if (4 + countBits(v) + bytes.length * 8 <= dataCodewords(v, level) * 8){
+      version = v;
+      break;
+    }
+  }
+  if (!version) return null;
+
+  // Mode (byte) + length + data, then terminator and pad bytes
+  const bits = [];
+  pushBits(bits, 0b0100, 4);
+  pushBits(bits, bytes.length, countBits(version));
+  bytes.forEach(b => pushBits(bits, b, 8));
+
+  const capacity = dataCodewords(version, level) * 8;
+  pushBits(bits, 0, Math.min(4, capacity - bits.length));
+  pushBits(bits, 0, (8 - (bits.length % 8)) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((n, b) => (n << 1) | b, 0));
+  for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) data.push(pad);
+
+  const grid = createGrid(version);
+  drawFunctionPatterns(grid, version, level);
+  drawCodewords(grid, withErrorCorrection(data, version, level));
+
+  // Keep the mask with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < 8; mask++){
+    applyMask(grid, mask);
+    drawFormatBits(grid, level, mask);
+    const score = penalty(grid.modules);
+    if (!best || score < best.score) best = { mask, score };
+    applyMask(grid, mask); // XOR again = undo
+  }
+  applyMask(grid, best.mask);
+  drawFormatBits(grid, level, best.mask);
+
+  return { version, size: grid.size, modules: grid.modules };
+}
+
+/**
+ * qrCapacity
+ * @param {number} version 1..40
+ * @param {'L'|'M'} [ecc]
+ * @returns {number} max bytes in byte mode
+ */
+export function qrCapacity(version, ecc = 'M'){
+  return Math.floor((dataCodewords(version, ecc) * 8 - 4 - countBits(version)) / 8);
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function countBits(version){
+  return version <= 9 ? 8 : 16;
+}
+
+function pushBits(out, value, len){
+  for (let i = len - 1; i >= 0; i--) out.push((value >>> i) & 1);
+}
+
+function rawDataModules(version){
+  let n = (16 * version + 128) * version + 64;
+  if (version >= 2){
+    const align = Math.floor(version / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (version >= 7) n -= 36;
+  }
+  return n;
+}
+
+function dataCodewords(version, level){
+  return Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+function alignmentPositions(version){
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const out = [6];
+  for (let pos = version * 4 + 10; out.length < count; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+function createGrid(version){
+  const size = version * 4 + 17;
+  const row = () => new Array(size).fill(false);
+  return {
+    size,
+    modules: Array.from({ length: size }, row),
+    reserved: Array.from({ length: size }, row)
+  };
+}
+
+function setFunction(grid, x, y, dark){
+  grid.modules[y][x] = dark;
+  grid.reserved[y][x] = true;
+}
+
+function drawFunctionPatterns(grid, version, level){
+  const { size } = grid;
+
+  for (let i = 0; i < size; i++){
+    setFunction(grid, 6, i, i % 2 === 0);
+    setFunction(grid, i, 6, i % 2 === 0);
+  }
+
+  // Finders (with their light separators)
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]){
+    for (let dy = -4; dy <= 4; dy++){
+      for (let dx = -4; dx <= 4; dx++){
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const d = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(grid, x, y, d !== 2 && d !== 4);
+      }
+    }
+  }
+
+  const pos = alignmentPositions(version);
+  const last = pos.length - 1;
+  pos.forEach((cx, i) => pos.forEach((cy, j) => {
+    // The three corners already hold finders
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++){
+      for (let dx = -2; dx <= 2; dx++){
+        setFunction(grid, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }));
+
+  // Reserve the format areas now; real bits go in once the mask is chosen
+  drawFormatBits(grid, level, 0);
+
+  if (version >= 7){
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++){
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(grid, a, b, dark);
+      setFunction(grid, b, a, dark);
+    }
+  }
+}
+
+function drawFormatBits(grid, level, mask){
+  const { size } = grid;
+  const data = (ECC_FORMAT[level] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) setFunction(grid, 8, i, bit(i));
+  setFunction(grid, 8, 7, bit(6));
+  setFunction(grid, 8, 8, bit(7));
+  setFunction(grid, 7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunction(grid, 14 - i, 8, bit(i));
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) setFunction(grid, size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunction(grid, 8, size - 15 + i, bit(i));
+  setFunction(grid, 8, size - 8, true);
+}
+
+// Zig-zag two columns at a time from the bottom-right, skipping the timing column
+function drawCodewords(grid, codewords){
+  const { size, modules, reserved } = grid;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2){
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let v = 0; v < size; v++){
+      for (let j = 0; j < 2; j++){
+        const x = right - j;
+        const y = upward ? size - 1 - v : v;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask(grid, mask){
+  const { size, modules, reserved } = grid;
+  for (let y = 0; y < size; y++){
+    for (let x = 0; x < size; x++){
+      if (reserved[y][x]) continue;
+      let flip;
+      switch (mask){
+        case 0: flip = (x + y) % 2 === 0; break;
+        case 1: flip = y % 2 === 0; break;
+        case 2: flip = x % 3 === 0; break;
+        case 3: flip = (x + y) % 3 === 0; break;
+        case 4: flip = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+        case 5: flip = (x * y) % 2 + (x * y) % 3 === 0; break;
+        case 6: flip = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+        default: flip = ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+      }
+      if (flip) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+/* =========================
+   Error correction (Reed–Solomon over GF(256), poly 0x11D)
+========================= */
+
+function withErrorCorrection(data, version, level){
+  const blocks = ECC_BLOCKS[level][version];
+  const eccLen = ECC_PER_BLOCK[level][version];
+  const raw = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - (raw % blocks);
+  const shortLen = Math.floor(raw / blocks);
+  const divisor = rsDivisor(eccLen);
+
+  const out = [];
+  let k = 0;
+  for (let i = 0; i < blocks; i++){
+    const dat = data.slice(k, k + shortLen - eccLen + (i < shortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < shortBlocks) dat.push(0); // placeholder, skipped when interleaving
+    out.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < out[0].length; i++){
+    out.forEach((block, j) => {
+      if (i !== shortLen - eccLen || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function rsDivisor(degree){
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++){
+    for (let j = 0; j < degree; j++){
+      out[j] = gfMul(out[j], root);
+      if (j + 1 < degree) out[j] ^= out[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return out;
+}
+
+function rsRemainder(data, divisor){
+  const out = new Array(divisor.length).fill(0);
+  for (const b of data){
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((coef, i) => { out[i] ^= gfMul(coef, factor); });
+  }
+  return out;
+}
+
+function gfMul(x, y){
+  let z = 0;
+  for (let i = 7; i >= 0; i--){
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/* =========================
+   Mask penalty (N1..N4 of the spec)
+========================= */
+
+function penalty(m){
+  const size = m.length;
+  let score = 0;
+  let dark = 0;
+
+  const lines = [];
+  for (let y = 0; y < size; y++){
+    lines.push(m[y]);
+    lines.push(m.map(row => row[y]));
+  }
+
+  for (const line of lines){
+    // N1: runs of 5+ same color
+    let run = 1;
+    for (let i = 1; i <= size; i++){
+      if (i < size && line[i] === line[i - 1]){
+        run++;
+        continue;
+      }
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+
+    // N3: finder look-alikes (1:1:3:1:1 with 4 light on either side)
+    const s = line.map(b => (b ? '1' : '0')).join('');
+    for (let i = s.indexOf('1011101'); i !== -1; i = s.indexOf('1011101', i + 1)){
+      const before = s.slice(Math.max(0, i - 4), i);
+      const after = s.slice(i + 7, i + 11);
+      if ((i < 4 || before === '0000') || (i + 11 > size || after === '0000')) score += 40;
+    }
+  }
+
+  // N2: 2×2 blocks of one color
+  for (let y = 0; y < size - 1; y++){
+    for (let x = 0; x < size - 1; x++){
+      const c = m[y][x];
+      if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  // N4: distance from 50% dark
+  m.forEach(row => row.forEach(b => { if (b) dark++; }));
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return score;
+}
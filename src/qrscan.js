@@ -0,0 +1,120 @@
+/* =============================================================================
+  /src/qrscan.js — QR scanning (browser plumbing)
+  - Decoding is the browser's BarcodeDetector (no library, no network)
+  - Where it's missing (iOS Safari, Firefox, most desktops) `supported()` is
+    false and ui.js hides the scan buttons, saying why
+  - Camera: rear camera into a <video>, a few frames a second
+  - Image file: every QR in the picture (a screenshot of a multi-QR sequence
+    works in one go)
+  - What the text means lives in sharelink.js; this file only reads codes
+============================================================================= */
+
+'use strict';
+
+const FRAME_MS = 250;
+
+/**
+ * createScanner
+ * @param {Object} p
+ * @param {HTMLVideoElement} p.videoEl
+ */
+export function createScanner({ videoEl }){
+  let detector = null;
+  let onText = () => {};
+  let stream = null;
+  let timer = null;
+  let lastText = '';
+
+  /**
+   * supported
+   * @returns {Promise<boolean>} false when this browser can't decode QR codes
+   */
+  async function supported(){
+    if (typeof window === 'undefined' || !('BarcodeDetector' in window)) return false;
+    try{
+      const formats = await window.BarcodeDetector.getSupportedFormats();
+      return formats.includes('qr_code');
+    }catch{
+      return false;
+    }
+  }
+
+  function getDetector(){
+    if (!detector) detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    return detector;
+  }
+
+  /**
+   * start
+   * @param {Function} handler (text) => void, once per new code seen
+   * @returns {Promise<{ok:true} | {ok:false, reason:'UNSUPPORTED'|'NO_CAMERA'|'DENIED'}>}
+   */
+  async function start(handler){
+    if (!(await supported())) return { ok:false, reason:'UNSUPPORTED' };
+    if (!navigator.mediaDevices?.getUserMedia) return { ok:false, reason:'NO_CAMERA' };
+
+    stop();
+    try{
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: 'environment' } },
+        audio: false
+      });
+    }catch (err){
+      return { ok:false, reason: err?.name === 'NotAllowedError' ? 'DENIED' : 'NO_CAMERA' };
+    }
+
+    lastText = '';
+    onText = typeof handler === 'function' ? handler : () => {};
+    videoEl.srcObject = stream;
+    videoEl.setAttribute('playsinline', '');
+    try{ await videoEl.play(); }catch{}
+
+    const tick = async () => {
+      if (!stream) return;
+      try{
+        if (videoEl.readyState >= 2){
+          const codes = await getDetector().detect(videoEl);
+          for (const c of codes) seen(c.rawValue);
+        }
+      }catch{}
+      if (stream) timer = setTimeout(tick, FRAME_MS);
+    };
+    tick();
+
+    return { ok:true };
+  }
+
+  function stop(){
+    clearTimeout(timer);
+    timer = null;
+    stream?.getTracks().forEach(t => t.stop());
+    stream = null;
+    if (videoEl) videoEl.srcObject = null;
+  }
+
+  /**
+   * scanFile
+   * @param {Blob} file image
+   * @returns {Promise<{ok:true, texts:string[]} | {ok:false, reason:'UNSUPPORTED'|'BAD_IMAGE'}>}
+   */
+  async function scanFile(file){
+    if (!(await supported())) return { ok:false, reason:'UNSUPPORTED' };
+    try{
+      const bitmap = await createImageBitmap(file);
+      const codes = await getDetector().detect(bitmap);
+      bitmap.close?.();
+      return { ok:true, texts: codes.map(c => c.rawValue).filter(Boolean) };
+    }catch{
+      return { ok:false, reason:'BAD_IMAGE' };
+    }
+  }
+
+  // The same code stays in view for many frames: report it once
+  function seen(text){
+    if (!text || text === lastText) return;
+    lastText = text;
+    try{ onText(text); }catch{}
+  }
+
+  return { supported, start, stop, scanFile };
+}
@@ -0,0 +1,153 @@
+/* =============================================================================
+  /src/reconcile.js — Keyed DOM patching (no business logic)
+  - Children are matched by key; unchanged ones are not touched at all
+    (running swipes, focus and finished entrance animations survive)
+  - Changed ones are patched in place: attributes and text, node by node
+  - New ones are inserted (their CSS entrance runs), removed ones get an exit
+    class and leave once it has played
+  - Gesture-owned state on a keyed node (inline style, swipe/drag classes) is
+    never overwritten
+============================================================================= */
+
+'use strict';
+
+const EXIT_CLASS = 'leaving';
+const EXIT_MS = 200;
+
+// Classes gestures.js / fx put on rows at runtime
+const TRANSIENT = new Set([
+  'swiping', 'swipeLift', 'revealLeft', 'revealRight',
+  'swipeCommitLeft', 'swipeCommitRight', 'swipeRemove',
+  'dragReady', 'dragging', 'dropBefore', 'dropAfter', 'popIt'
+]);
+
+// node → html it was last built from
+const built = new WeakMap();
+
+/**
+ * reconcile
+ * @param {HTMLElement} parent
+ * @param {Array<{key:string, html:string, children?:Array}>} entries desired children, in order.
+ *   With `children`, `html` is only the container's own tag (its content is reconciled in turn).
+ * @param {Object} [opts]
+ * @param {boolean} [opts.animate] play exit animations (false: remove at once)
+ */
+export function reconcile(parent, entries, { animate = true } = {}){
+  if (!parent) return;
+
+  const byKey = new Map();
+  for (const el of Array.from(parent.children)){
+    if (el.classList.contains(EXIT_CLASS)) continue;
+    const key = el.dataset.key;
+    if (key != null && !byKey.has(key)) byKey.set(key, el);
+    else el.remove(); // unkeyed leftovers (e.g. a full innerHTML paint)
+  }
+
+  let cursor = firstLive(parent.firstElementChild);
+  for (const entry of entries){
+    let el = byKey.get(entry.key);
+    byKey.delete(entry.key);
+
+    if (!el){
+      el = build(entry);
+    } else if (built.get(el) !== entry.html){
+      el = patchRoot(el, entry);
+    }
+
+    if (entry.children) reconcile(el, entry.children, { animate });
+
+    if (el !== cursor) parent.insertBefore(el, cursor);
+    else cursor = firstLive(cursor.nextElementSibling);
+  }
+
+  for (const el of byKey.values()) leave(el, animate);
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function build(entry){
+  const el = fromHTML(entry.html);
+  el.dataset.key = entry.key;
+  built.set(el, entry.html);
+  return el;
+}
+
+function patchRoot(el, entry){
+  const next = fromHTML(entry.html);
+  if (next.nodeName !== el.nodeName){
+    const fresh = build(entry);
+    el.replaceWith(fresh);
+    return fresh;
+  }
+
+  syncAttributes(el, next, { root: true });
+  if (!entry.children) syncChildren(el, next);
+  built.set(el, entry.html);
+  return el;
+}
+
+function syncAttributes(el, next, { root = false } = {}){
+  for (const { name } of Array.from(el.attributes)){
+    if (root && (name === 'style' || name === 'data-key')) continue;
+    if (!next.hasAttribute(name)) el.removeAttribute(name);
+  }
+
+  for (const { name, value } of Array.from(next.attributes)){
+    if (root && name === 'style') continue;
+    if (root && name === 'class'){
+      const keep = Array.from(el.classList).filter(c => TRANSIENT.has(c));
+      const cls = [...new Set([...next.classList, ...keep])].join(' ');
+      if (el.className !== cls) el.className = cls;
+      continue;
+    }
+    if (el.getAttribute(name) !== value) el.setAttribute(name, value);
+  }
+}
+
+// Index by index: rows are small, their inner structure rarely changes shape
+function syncChildren(el, next){
+  const have = Array.from(el.childNodes);
+  const want = Array.from(next.childNodes);
+
+  want.forEach((node, i) => {
+    const cur = have[i];
+    if (!cur){
+      el.appendChild(node);
+    } else if (cur.nodeType !== node.nodeType || cur.nodeName !== node.nodeName){
+      cur.replaceWith(node);
+    } else if (cur.nodeType === Node.ELEMENT_NODE){
+      syncAttributes(cur, node);
+      syncChildren(cur, node);
+    } else if (cur.nodeValue !== node.nodeValue){
+      cur.nodeValue = node.nodeValue;
+    }
+  });
+
+  for (let i = want.length; i < have.length; i++) have[i].remove();
+}
+
+function leave(el, animate){
+  if (!animate){
+    el.remove();
+    return;
+  }
+
+  el.classList.add(EXIT_CLASS);
+  el.removeAttribute('data-key');
+  const done = () => el.remove();
+  el.addEventListener('animationend', (e) => e.target === el && done());
+  setTimeout(done, EXIT_MS + 60);
+}
+
+function firstLive(el){
+  while (el && el.classList.contains(EXIT_CLASS)) el = el.nextElementSibling;
+  return el;
+}
+
+function fromHTML(html){
+  const t = document.createElement('template');
+  t.innerHTML = String(html).trim();
+  return t.content.firstElementChild;
+}
@@ -0,0 +1,147 @@
+/* =============================================================================
+  /src/reminders.js — Departure countdown + reminder planning (pure, no DOM)
+  - Each list may carry a departure time (`meta.departAt`, ms)
+  - Reminder settings live in `settings.reminders` ({ enabled, offsets, fired })
+  - planReminders: which notifications should exist for the library right now
+  - dueReminders: what the on-open fallback still has to show
+  - countdown: hero card label
+============================================================================= */
+
+'use strict';
+
+import { repairDepartAt } from './lists.js';
+import { formatDuration } from './triplog.js';
+
+const MIN = 60000;
+
+/** Offsets (minutes before departure) the user can pick from */
+export const REMINDER_OFFSETS = [
+  { min: 1440, label: '1 día antes' },
+  { min: 180,  label: '3 h antes' },
+  { min: 120,  label: '2 h antes' },
+  { min: 60,   label: '1 h antes' },
+  { min: 30,   label: '30 min antes' }
+];
+
+/** Tag prefix shared with sw.js (so it only cancels its own notifications) */
+export const REMINDER_TAG = 'maleta-rem:';
+
+/**
+ * createReminders
+ * @returns {{enabled:boolean, offsets:number[], fired:string[]}}
+ */
+export function createReminders(){
+  return { enabled: false, offsets: [1440, 120], fired: [] };
+}
+
+/**
+ * repairReminders
+ * @param {any} raw
+ * @returns {{enabled:boolean, offsets:number[], fired:string[]}}
+ */
+export function repairReminders(raw){
+  const base = createReminders();
+  if (!raw || typeof raw !== 'object') return base;
+
+  const allowed = REMINDER_OFFSETS.map(o => o.min);
+  const offsets = Array.isArray(raw.offsets)
+    ? [...new Set(raw.offsets.map(Number))].filter(n => allowed.includes(n)).sort((a, b) => b - a)
+    : base.offsets;
+
+  return {
+    enabled: !!raw.enabled,
+    offsets,
+    fired: Array.isArray(raw.fired) ? raw.fired.map(String).slice(-100) : []
+  };
+}
+
+/**
+ * planReminders
+ * One reminder per (list, offset) for lists that still have something to pack
+ * and haven't left yet. Ids include the departure time, so moving the date
+ * re-arms reminders that already fired.
+ * @param {Array} lists library metas
+ * @param {Object} reminders settings.reminders
+ * @param {number} [now]
+ * @returns {Array<{id:string, listId:string, at:number, departAt:number, title:string, body:string}>}
+ *   sorted by `at`; entries already past `at` are included (the fallback needs them)
+ */
+export function planReminders(lists, reminders, now = Date.now()){
+  const r = repairReminders(reminders);
+  if (!r.enabled || !r.offsets.length) return [];
+
+  const out = [];
+  for (const meta of Array.isArray(lists) ? lists : []){
+    const departAt = repairDepartAt(meta?.departAt);
+    if (!departAt || meta.archived || departAt <= now) continue;
+
+    const missing = Math.max(0, (meta.total || 0) - (meta.done || 0));
+    if (!missing) continue;
+
+    for (const min of r.offsets){
+      const at = departAt - min * MIN;
+      out.push({
+        id: `${REMINDER_TAG}${meta.id}:${departAt}:${min}`,
+        listId: String(meta.id),
+        at,
+        departAt,
+        title: meta.name || 'Mi lista',
+        // Late (fallback) reminders speak about the time that's actually left
+        body: reminderBody(departAt - Math.max(at, now), missing)
+      });
+    }
+  }
+
+  return out.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * dueReminders
+ * For the on-open fallback: everything due and not fired yet. When several
+ * offsets of one list piled up, only the closest to departure is shown.
+ * @param {Array} plan planReminders() output
+ * @param {string[]} fired ids already shown
+ * @param {number} [now]
+ * @returns {{show:Array, fire:string[]}} fire = every id to mark as fired
+ */
+export function dueReminders(plan, fired = [], now = Date.now()){
+  const seen = new Set(fired);
+  const due = (plan || []).filter(r => r.at <= now && !seen.has(r.id));
+
+  const latest = new Map();
+  for (const r of due) latest.set(r.listId, r); // plan is sorted: last wins
+
+  return { show: [...latest.values()], fire: due.map(r => r.id) };
+}
+
+/**
+ * reminderBody
+ * "Sales en 2 h y te faltan 4 items"
+ * @param {number} leftMs time until departure
+ * @param {number} missing items not packed yet
+ * @returns {string}
+ */
+export function reminderBody(leftMs, missing){
+  const items = missing === 1 ? '1 item' : `${missing} items`;
+  return `Sales en ${formatDuration(Math.max(MIN, leftMs))} y te faltan ${items}`;
+}
+
+/**
+ * countdown
+ * @param {number|null} departAt
+ * @param {number} [now]
+ * @returns {{label:string, state:'none'|'soon'|'later'|'past'}}
+ *   soon = less than a day left
+ */
+export function countdown(departAt, now = Date.now()){
+  const at = repairDepartAt(departAt);
+  if (!at) return { label: '📅 Fecha de salida', state: 'none' };
+
+  const left = at - now;
+  if (left <= 0) return { label: '🛫 Hora de salir', state: 'past' };
+
+  return {
+    label: `⏳ Sales en ${formatDuration(left)}`,
+    state: left < 1440 * MIN ? 'soon' : 'later'
+  };
+}
@@ -1,12 +1,41 @@
 /* =============================================================================
   /src/render.js — UI rendering (no business logic)
-  - Renders tabs, list, progress, add-category select
+  - Renders tabs, list, progress, add-category select, list library
+  - The list honours the search box (state.search) on top of the active tab,
+    with matches highlighted, then the list's own view (status filter + sort)
+  - Tabs and the progress header show how many items the view leaves visible
+  - Grouped layout (in "Todo"): sticky, collapsible header per category with a
+    done/total mini bar; tabs carry the same done/total badge
+  - The list is patched by key (reconcile.js), not rebuilt: only changed rows
+    are touched, new ones slide in, removed ones slide out
+  - tabsKey: the exact input of renderTabs, for store.select
+  - Keyboard + screen readers: rows are checkboxes (aria-checked, one roving
+    tab stop; arrows move, Space toggles, Enter edits, Delete removes, +/− step),
+    the tab row is a real tablist (arrows/Home/End switch tabs)
+  - Renders the shared-in sheet (received items + target list select)
+  - Renders the streak chip (current streak, best + trips in the tooltip)
+  - Renders the departure countdown + reminder offset chips
+  - Renders the cross-device sync status (topbar chip + modal text)
+  - Renders the backup import preview and the preview of a received link
+  - Draws QR codes (SVG) for the share sheet
+  - Renders the category manager
+  - Renders mode selectors (built-ins + user templates) and the template manager
+  - Renders the trip history (Historial)
   - Binds delegated events (tabs + list) via setupRenderEvents
   - Pure-ish: reads state, writes DOM
 ============================================================================= */
 
 'use strict';
 
+import { itemQty, itemPacked, itemFraction } from './items.js';
+import { formatDuration } from './triplog.js';
+import { streakStatus, streakTitle } from './streaks.js';
+import { REMINDER_OFFSETS, countdown } from './reminders.js';
+import { encodeQR } from './qr.js';
+import { searchItems } from './search.js';
+import { reconcile } from './reconcile.js';
+import { VIEW_STATUS, VIEW_SORT, repairView, matchesStatus, applyView, groupItems } from './view.js';
+
 /* =========================
    PUBLIC API
 ========================= */
@@ -20,28 +49,102 @@
  * @param {Function} opts.onTab     (catId) => void
  * @param {Function} opts.onToggle  (id) => void
  * @param {Function} opts.onDelete  (id) => void
+ * @param {Function} opts.onEdit    (id) => void
+ * @param {Function} opts.onStep    (id, delta) => void (quantity stepper)
+ * @param {Function} opts.onGroup   (catId) => void (collapse/expand a category section)
  */
-export function setupRenderEvents({ tabRow, list, onTab, onToggle, onDelete }){
+export function setupRenderEvents({ tabRow, list, onTab, onToggle, onDelete, onEdit, onStep, onGroup }){
   if (tabRow){
     tabRow.addEventListener('click', (e) => {
       const btn = e.target.closest('[data-cat]');
       if (!btn) return;
       onTab?.(btn.dataset.cat);
     });
+
+    // Automatic activation: moving to a tab selects it (tabs repaint, focus follows)
+    tabRow.addEventListener('keydown', (e) => {
+      const tab = e.target.closest('[role="tab"]');
+      if (!tab) return;
+
+      const tabs = Array.from(tabRow.querySelectorAll('[role="tab"]'));
+      const at = tabs.indexOf(tab);
+      const to = {
+        ArrowRight: (at + 1) % tabs.length,
+        ArrowLeft: (at - 1 + tabs.length) % tabs.length,
+        Home: 0,
+        End: tabs.length - 1
+      }[e.key];
+      if (to == null) return;
+
+      e.preventDefault();
+      onTab?.(tabs[to].dataset.cat);
+      tabRow.querySelector('[aria-selected="true"]')?.focus();
+    });
   }
 
   if (list){
     list.addEventListener('click', (e) => {
+      const head = e.target.closest('[data-group]');
+      if (head){
+        onGroup?.(head.dataset.group);
+        return;
+      }
+
       const row = e.target.closest('[data-id]');
       if (!row) return;
+      rovingId = row.dataset.id;
 
       if (e.target.closest('[data-action="del"]')){
         onDelete?.(row.dataset.id);
         return;
       }
 
+      if (e.target.closest('[data-action="edit"]')){
+        onEdit?.(row.dataset.id);
+        return;
+      }
+
+      const step = e.target.closest('[data-action="inc"], [data-action="dec"]');
+      if (step){
+        if (!step.disabled) onStep?.(row.dataset.id, step.dataset.action === 'inc' ? 1 : -1);
+        return;
+      }
+
       onToggle?.(row.dataset.id);
     });
+
+    list.addEventListener('keydown', (e) => {
+      const box = e.target.closest('[role="checkbox"]');
+      const row = box?.closest('[data-id]');
+      if (!row || e.altKey || e.ctrlKey || e.metaKey) return;
+
+      const id = row.dataset.id;
+      const boxes = liveBoxes(list);
+      const at = boxes.indexOf(box);
+      // Where focus goes if this row leaves the list (deleted, filtered out)
+      const near = rowId(boxes[at + 1] || boxes[at - 1]);
+
+      const move = { ArrowDown: at + 1, ArrowUp: at - 1, Home: 0, End: boxes.length - 1 }[e.key];
+      if (move != null){
+        e.preventDefault();
+        focusRow(list, rowId(boxes[Math.max(0, Math.min(move, boxes.length - 1))]));
+        return;
+      }
+
+      const act = {
+        ' ': () => onToggle?.(id),
+        Enter: () => onEdit?.(id),
+        Delete: () => onDelete?.(id),
+        '+': () => onStep?.(id, 1),
+        '-': () => onStep?.(id, -1)
+      }[e.key];
+      if (!act) return;
+
+      e.preventDefault();
+      act();
+      // Editing moves focus to the sheet; everything else stays in the list
+      if (e.key !== 'Enter') focusRow(list, row.isConnected && !row.classList.contains('leaving') ? id : near);
+    });
   }
 }
 
@@ -54,16 +157,57 @@ export function renderTabs(state, tabRow){
   if (!tabRow) return;
 
   const cats = state?.data?.cats || [];
+  const items = state?.data?.items || [];
   const active = state?.activeCat || 'all';
+  const { status } = activeView(state);
+
+  const tab = (id, name, emoji, inCat) => tabBtn(id, name, emoji, active === id, {
+    done: inCat.filter(i => i.done).length,
+    total: inCat.length,
+    // How many the status filter leaves visible (null when it shows all)
+    shown: status === 'all' ? null : inCat.filter(i => matchesStatus(i, status)).length
+  });
 
   const html = [
-    tabBtn('all', 'Todo', '🧩', active === 'all'),
-    ...cats.map(c => tabBtn(c.id, c.name, c.emoji || '🏷️', active === c.id))
+    tab('all', 'Todo', '🧩', items),
+    ...cats.map(c => tab(c.id, c.name, c.emoji || '🏷️', items.filter(i => i.cat === c.id)))
   ].join('');
 
   tabRow.innerHTML = html;
 }
 
+/**
+ * renderViewOptions
+ * Status chips (+ the grouped layout toggle) and sort select of the active list.
+ * @param {Object} state
+ * @param {HTMLElement} statusEl
+ * @param {HTMLSelectElement} sortEl
+ */
+export function renderViewOptions(state, statusEl, sortEl){
+  const view = activeView(state);
+
+  if (statusEl){
+    statusEl.innerHTML = VIEW_STATUS.map(o => {
+      const on = o.id === view.status;
+      return `
+        <button class="modeChip ${on ? 'on':''}" type="button" data-status="${esc(o.id)}" aria-pressed="${on}">
+          ${esc(o.label)}
+        </button>
+      `;
+    }).join('') + `
+      <button class="modeChip viewGroup ${view.grouped ? 'on':''}" type="button" data-grouped aria-pressed="${view.grouped}">
+        🗂️ Agrupar
+      </button>
+    `;
+  }
+
+  if (sortEl){
+    sortEl.innerHTML = VIEW_SORT.map(o => (
+      `<option value="${esc(o.id)}" ${o.id === view.sort ? 'selected' : ''}>${esc(o.label)}</option>`
+    )).join('');
+  }
+}
+
 /**
  * renderAddCategories
  * @param {Object} state
@@ -78,6 +222,38 @@ export function renderAddCategories(state, selectEl){
   )).join('');
 }
 
+/**
+ * renderListOptions
+ * Non-archived lists as <option>s, the active one selected.
+ * @param {Object} state
+ * @param {HTMLSelectElement} selectEl
+ */
+export function renderListOptions(state, selectEl){
+  if (!selectEl) return;
+
+  const lists = (state?.lists || []).filter(l => !l.archived);
+  selectEl.innerHTML = lists.map(l => (
+    `<option value="${esc(l.id)}" ${l.id === state?.activeListId ? 'selected' : ''}>${esc(l.name)}</option>`
+  )).join('');
+}
+
+/**
+ * renderSharedItems
+ * Items received from another app, each with a checkbox (all on).
+ * @param {Array<{name:string, emoji:string|null, qty:number}>} items
+ * @param {HTMLElement} el
+ */
+export function renderSharedItems(items, el){
+  if (!el) return;
+
+  el.innerHTML = (items || []).map((it, i) => `
+    <label class="sharedItem">
+      <input type="checkbox" data-index="${i}" checked />
+      <span>${it.emoji ? esc(it.emoji) + ' ' : ''}${esc(it.name)}${it.qty > 1 ? ` ×${it.qty}` : ''}</span>
+    </label>
+  `).join('');
+}
+
 /**
  * renderList
  * @param {Object} state
@@ -86,13 +262,48 @@ export function renderAddCategories(state, selectEl){
 export function renderList(state, listEl){
   if (!listEl) return;
 
-  const items = filteredItems(state);
-  if (!items.length){
-    listEl.innerHTML = emptyHTML();
-    return;
+  const motion = !!state?.settings?.motion;
+  const fresh = !listEl.querySelector('[data-key]');
+  reconcile(listEl, listEntries(state), { animate: motion });
+  syncRoving(listEl);
+  listEl.setAttribute('aria-labelledby', `tab-${state?.activeCat || 'all'}`); // the tabpanel is named by its tab
+
+  // Stagger only on a fresh paint with motion ON (patches keep their rows still)
+  if (fresh && motion){
+    listEl.querySelectorAll('.item').forEach((row, idx) => {
+      row.style.animationDelay = `${Math.min(idx * 35, 280)}ms`;
+    });
   }
+}
+
+/**
+ * catsKey
+ * Everything renderAddCategories draws, as one comparable string
+ * (`data.cats` is a fresh array after every data change).
+ * @param {Object} state
+ * @returns {string}
+ */
+export function catsKey(state){
+  return JSON.stringify((state?.data?.cats || []).map(c => [c.id, c.name, c.emoji]));
+}
 
-  listEl.innerHTML = items.map((it, idx) => rowHTML(state, it, idx)).join('');
+/**
+ * tabsKey
+ * Everything renderTabs draws, as one comparable string.
+ * @param {Object} state
+ * @returns {string}
+ */
+export function tabsKey(state){
+  const { status } = activeView(state);
+  const counts = new Map();
+  for (const it of state?.data?.items || []){
+    const c = counts.get(it.cat) || counts.set(it.cat, [0, 0, 0]).get(it.cat);
+    if (it.done) c[0]++;
+    c[1]++;
+    if (matchesStatus(it, status)) c[2]++;
+  }
+  const cats = (state?.data?.cats || []).map(c => [c.id, c.name, c.emoji, counts.get(c.id)]);
+  return JSON.stringify([state?.activeCat || 'all', status, cats, [...counts.values()]]);
 }
 
 /**
@@ -104,26 +315,468 @@ export function renderList(state, listEl){
  * @param {HTMLElement} els.progressFill
  * @param {HTMLElement} els.progressText
  * @param {HTMLElement} els.progressPct
+ * @param {HTMLElement} [els.progressShown] "👀 shown de total" while the view hides items
  * @param {HTMLElement|null} els.progressBarEl Optional (if not provided, query .progressBar)
  *
- * @returns {{done:number,total:number,pct:number,completed:boolean}}
+ * @returns {{done:number,total:number,pct:number,completed:boolean,shown:number}}
  */
 export function renderProgress(state, els){
   const items = state?.data?.items || [];
   const done  = items.filter(i => i.done).length;
   const total = items.length;
-  const pct   = total ? Math.round((done / total) * 100) : 0;
+  // Partially packed items count for their share (3 of 5 socks = 0.6)
+  const packed = items.reduce((sum, i) => sum + itemFraction(i), 0);
+  const pct   = total ? Math.floor((packed / total) * 100) : 0;
 
   if (els?.progressText) els.progressText.textContent = `${done}/${total}`;
   if (els?.progressPct)  els.progressPct.textContent  = `${pct}%`;
   if (els?.progressFill) els.progressFill.style.width = `${pct}%`;
 
+  // Tab, search and status filter together: what the list shows right now
+  const shown = filteredItems(state).length;
+  if (els?.progressShown){
+    els.progressShown.hidden = shown === total;
+    els.progressShown.textContent = `👀 ${shown} de ${total}`;
+  }
+
   // aria progress
   const bar = els?.progressBarEl || document.querySelector('.progressBar');
   if (bar) bar.setAttribute('aria-valuenow', String(pct));
 
   const completed = total > 0 && done === total;
-  return { done, total, pct, completed };
+  return { done, total, pct, completed, shown };
+}
+
+/**
+ * renderStreak
+ * Chip shows the current streak (0 once a day was skipped); the tooltip
+ * carries the full numbers.
+ * @param {Object} state
+ * @param {HTMLElement} chipEl
+ */
+export function renderStreak(state, chipEl){
+  if (!chipEl) return;
+  const status = streakStatus(state?.settings?.streak);
+  chipEl.textContent = `✨ ${status.current}`;
+  chipEl.title = streakTitle(status);
+  chipEl.setAttribute('aria-label', streakTitle(status));
+}
+
+/**
+ * renderCountdown
+ * Active list's departure countdown in the hero card.
+ * @param {Object} state
+ * @param {HTMLElement} el
+ * @param {number} [now]
+ */
+export function renderCountdown(state, el, now = Date.now()){
+  if (!el) return;
+  const meta = (state?.lists || []).find(l => l.id === state?.activeListId);
+  const c = countdown(meta?.departAt, now);
+
+  el.textContent = c.label;
+  el.className = `countdown ${c.state}`;
+  el.title = meta?.departAt ? new Date(meta.departAt).toLocaleString() : 'Fecha de salida';
+}
+
+/**
+ * renderReminderOffsets
+ * @param {HTMLElement} el
+ * @param {{offsets:number[]}} reminders
+ */
+export function renderReminderOffsets(el, reminders){
+  if (!el) return;
+  const picked = reminders?.offsets || [];
+
+  el.innerHTML = REMINDER_OFFSETS.map(o => {
+    const on = picked.includes(o.min);
+    return `
+      <button class="modeChip ${on ? 'on':''}" type="button" data-offset="${o.min}" aria-pressed="${on}">
+        ${esc(o.label)}
+      </button>
+    `;
+  }).join('');
+}
+
+/**
+ * renderSyncStatus
+ * @param {{state:string, at:number, pending:number, error:string|null}} status from sync.js
+ * @param {HTMLElement} chipEl topbar chip (hidden while sync is off)
+ * @param {HTMLElement} [textEl] longer text in the sync modal
+ */
+export function renderSyncStatus(status, chipEl, textEl){
+  const state = status?.state || 'off';
+  const pending = status?.pending || 0;
+  const when = status?.at ? new Date(status.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+
+  const text = {
+    off: 'Sin sincronizar: configura un servidor y comparte una lista.',
+    syncing: 'Sincronizando…',
+    synced: when ? `Sincronizado a las ${when}` : 'Sincronizado',
+    offline: `Sin conexión: ${pending} ${pending === 1 ? 'lista pendiente' : 'listas pendientes'}`,
+    error: `No se pudo sincronizar (${status?.error || 'error'})`
+  }[state] || '';
+
+  if (chipEl){
+    chipEl.hidden = state === 'off';
+    chipEl.className = `syncChip ${state}`;
+    chipEl.textContent = { syncing: '🔄', synced: '☁️', offline: '📴', error: '⚠️' }[state] || '';
+    chipEl.title = text;
+    chipEl.setAttribute('aria-label', text);
+  }
+  if (textEl) textEl.textContent = text;
+}
+
+/**
+ * renderLists
+ * List library (lists modal). Active first, archived at the end.
+ * @param {Object} state
+ * @param {HTMLElement} listsEl
+ */
+export function renderLists(state, listsEl){
+  if (!listsEl) return;
+
+  const lists = state?.lists || [];
+  const activeId = state?.activeListId;
+
+  const open = lists.filter(l => !l.archived);
+  const archived = lists.filter(l => l.archived);
+
+  const html = open.map(l => listRowHTML(l, l.id === activeId)).join('');
+  const archivedHTML = archived.length
+    ? `<div class="libSection">Archivadas</div>${archived.map(l => listRowHTML(l, false)).join('')}`
+    : '';
+
+  listsEl.innerHTML = html + archivedHTML;
+}
+
+/**
+ * renderModeOptions
+ * Built-in modes first, then the user's templates in their own group.
+ * @param {HTMLSelectElement} selectEl
+ * @param {{builtins:Array<{id,label}>, templates:Array<{id,label}>}} options
+ * @param {string} value selected mode (falls back to the first option)
+ */
+export function renderModeOptions(selectEl, { builtins = [], templates = [] } = {}, value){
+  if (!selectEl) return;
+
+  const opt = (o) => `<option value="${esc(o.id)}">${esc(o.label)}</option>`;
+  selectEl.innerHTML = builtins.map(opt).join('') + (templates.length
+    ? `<optgroup label="Mis plantillas">${templates.map(opt).join('')}</optgroup>`
+    : '');
+
+  const all = [...builtins, ...templates];
+  selectEl.value = all.some(o => o.id === value) ? value : (all[0]?.id || '');
+}
+
+/**
+ * renderModeChips
+ * Multi-select of presets for a new list; the first picked is the primary.
+ * @param {HTMLElement} el
+ * @param {{builtins:Array<{id,label}>, templates:Array<{id,label}>}} options
+ * @param {string[]} picked selected modes in pick order
+ */
+export function renderModeChips(el, { builtins = [], templates = [] } = {}, picked = []){
+  if (!el) return;
+
+  el.innerHTML = [...builtins, ...templates].map(o => {
+    const on = picked.includes(o.id);
+    const primary = picked[0] === o.id && picked.length > 1;
+    return `
+      <button class="modeChip ${on ? 'on':''}" type="button" data-mode="${esc(o.id)}" aria-pressed="${on}">
+        ${esc(o.label)}${primary ? ' <span class="modePrimary">principal</span>' : ''}
+      </button>
+    `;
+  }).join('');
+}
+
+/**
+ * renderTemplates
+ * User templates with inline name/emoji/theme edits, refresh and delete.
+ * @param {Object} state
+ * @param {HTMLElement} el
+ * @param {Array<{id,label}>} themes built-in modes a template can borrow colors from
+ */
+export function renderTemplates(state, el, themes = []){
+  if (!el) return;
+
+  const templates = state?.templates || [];
+  if (!templates.length){
+    el.innerHTML = `<div class="settingDesc">Aún no tienes plantillas.</div>`;
+    return;
+  }
+
+  el.innerHTML = templates.map(t => `
+    <div class="catRow" data-template-id="${esc(t.id)}">
+      <div class="catFields">
+        <input class="input catEmoji" data-field="emoji" value="${esc(t.emoji || '')}"
+               maxlength="2" placeholder="📌" aria-label="Emoji de ${esc(t.name)}" autocomplete="off" />
+        <input class="input" data-field="name" value="${esc(t.name)}"
+               maxlength="40" aria-label="Nombre de la plantilla" autocomplete="off" />
+        <span class="catCount" title="Items">${(t.items || []).length}</span>
+      </div>
+      <select class="select" data-field="theme" aria-label="Colores de ${esc(t.name)}">
+        ${themes.map(th => `<option value="${esc(th.id)}" ${th.id === t.theme ? 'selected' : ''}>Colores: ${esc(th.label)}</option>`).join('')}
+      </select>
+      <div class="libActions">
+        <button class="btn ghost" type="button" data-template-action="refresh" aria-label="Actualizar con la lista actual" title="Actualizar con la lista actual">🔄</button>
+        <button class="btn ghost" type="button" data-template-action="delete" aria-label="Eliminar" title="Eliminar">🗑️</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * renderTripLog
+ * Past completions/resets/mode changes, newest first.
+ * @param {Object} state
+ * @param {HTMLElement} el
+ * @param {Object} [opts]
+ * @param {Function} [opts.labelFor] (mode) => "✈️ Viaje"
+ */
+export function renderTripLog(state, el, { labelFor = (m) => m } = {}){
+  if (!el) return;
+
+  const log = state?.tripLog || [];
+  if (!log.length){
+    el.innerHTML = `<div class="settingDesc">Nada todavía. Completa una lista y aparece aquí 🏁</div>`;
+    return;
+  }
+
+  const icon = { complete: '🏁', reset: '↺', mode: '🔀' };
+  const what = { complete: 'Completada', reset: 'Reiniciada', mode: 'Cambio de modo' };
+
+  el.innerHTML = log.slice().reverse().map(e => {
+    const when = new Date(e.at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+    const took = e.durationMs != null ? ` · en ${formatDuration(e.durationMs)}` : '';
+
+    return `
+      <div class="libRow" data-log-id="${esc(e.id)}">
+        <div class="libOpen">
+          <span class="libName">${icon[e.type] || '•'} ${esc(e.listName)}</span>
+          <span class="libMeta">${what[e.type] || ''} · ${esc(when)} · ${e.done}/${e.total}${took} · ${esc(labelFor(e.mode))}</span>
+        </div>
+        <div class="libActions">
+          ${e.snapshot ? `<button class="btn ghost" type="button" data-log-action="reopen" aria-label="Reabrir como lista nueva" title="Reabrir como lista nueva">🗂️</button>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * renderCategoryManager
+ * Editable rows (emoji, name, order, delete) for the active list's categories.
+ * @param {Object} state
+ * @param {HTMLElement} el
+ * @param {Object} [opts]
+ * @param {string|null} [opts.confirmDeleteId] row showing the "what about its items?" panel
+ */
+export function renderCategoryManager(state, el, { confirmDeleteId = null } = {}){
+  if (!el) return;
+
+  const cats = state?.data?.cats || [];
+  const items = state?.data?.items || [];
+  const count = (id) => items.filter(it => it.cat === id).length;
+
+  el.innerHTML = cats.map((c, idx) => {
+    const n = count(c.id);
+    const others = cats.filter(o => o.id !== c.id);
+
+    const confirmHTML = c.id === confirmDeleteId ? `
+      <div class="catConfirm">
+        <div class="settingDesc">${n ? `Tiene ${n} item(s). ¿Qué hacemos con ellos?` : 'Está vacía.'}</div>
+        ${n ? `
+          <select class="select" data-field="moveTo" aria-label="Destino de los items">
+            ${others.map(o => `<option value="${esc(o.id)}">Mover a ${esc(o.emoji || '🏷️')} ${esc(o.name)}</option>`).join('')}
+            <option value="">Eliminar los items</option>
+          </select>` : ''}
+        <div class="catConfirmActions">
+          <button class="btn" type="button" data-cat-action="cancelDelete">Cancelar</button>
+          <button class="btn danger" type="button" data-cat-action="confirmDelete">Eliminar</button>
+        </div>
+      </div>` : '';
+
+    return `
+      <div class="catRow" data-cat-id="${esc(c.id)}">
+        <div class="catFields">
+          <input class="input catEmoji" data-field="emoji" value="${esc(c.emoji || '')}"
+                 maxlength="2" placeholder="🏷️" aria-label="Emoji de ${esc(c.name)}" autocomplete="off" />
+          <input class="input" data-field="name" value="${esc(c.name)}"
+                 maxlength="40" aria-label="Nombre de la categoría" autocomplete="off" />
+          <span class="catCount" title="Items">${n}</span>
+        </div>
+        <div class="libActions">
+          <button class="btn ghost" type="button" data-cat-action="up" aria-label="Subir" title="Subir" ${idx === 0 ? 'disabled' : ''}>⬆️</button>
+          <button class="btn ghost" type="button" data-cat-action="down" aria-label="Bajar" title="Bajar" ${idx === cats.length - 1 ? 'disabled' : ''}>⬇️</button>
+          <button class="btn ghost" type="button" data-cat-action="delete" aria-label="Eliminar" title="Eliminar" ${cats.length <= 1 ? 'disabled' : ''}>🗑️</button>
+        </div>
+        ${confirmHTML}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * renderImportPreview
+ * What "combinar" vs "reemplazar" would do with a backup.
+ * @param {Object} preview result of actions.previewImport
+ * @param {HTMLElement} el
+ */
+export function renderImportPreview(preview, el){
+  if (!el) return;
+  if (!preview?.ok){
+    el.innerHTML = '';
+    return;
+  }
+
+  const { backup, merge, replace, repairs } = preview;
+  const when = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'fecha desconocida';
+  const items = backup.lists.reduce((n, l) => n + (l.data.items || []).length, 0);
+
+  const repairsHTML = repairs.length
+    ? `<div class="importBlock warn">
+        <div class="settingTitle">Reparaciones (${repairs.length})</div>
+        <ul class="importNotes">${repairs.slice(0, 8).map(r => `<li>${esc(r)}</li>`).join('')}${repairs.length > 8 ? `<li>…y ${repairs.length - 8} más</li>` : ''}</ul>
+      </div>`
+    : '';
+
+  el.innerHTML = `
+    <div class="importBlock">
+      <div class="settingTitle">${backup.lists.length} lista(s) · ${items} items</div>
+      <div class="settingDesc">Copia del ${esc(when)}</div>
+    </div>
+
+    <div class="importBlock">
+      <div class="settingTitle">🔀 Combinar</div>
+      <div class="settingDesc">
+        ${merge.listsAdded} lista(s) nueva(s), ${merge.listsUpdated} actualizada(s) ·
+        ${merge.itemsAdded} item(s) nuevo(s), ${merge.itemsUpdated} más reciente(s)${merge.templatesAdded ? ` · ${merge.templatesAdded} plantilla(s)` : ''}.
+        Tus ajustes se quedan.
+      </div>
+    </div>
+
+    <div class="importBlock">
+      <div class="settingTitle">📦 Reemplazar todo</div>
+      <div class="settingDesc">
+        Quedan solo las ${backup.lists.length} lista(s) de la copia${replace.listsRemoved ? `; se borran ${replace.listsRemoved} lista(s) que no están en ella` : ''}.
+        Ajustes y plantillas incluidos.
+      </div>
+    </div>
+
+    ${repairsHTML}
+  `;
+}
+
+/**
+ * renderDataCheck
+ * Settings → "Revisar datos": version, migrations, repairs and the read-only state.
+ * @param {Object|null} result actions.checkData result (null clears)
+ * @param {HTMLElement} el
+ */
+export function renderDataCheck(result, el){
+  if (!el) return;
+  if (!result?.ok){
+    el.innerHTML = '';
+    el.hidden = true;
+    return;
+  }
+
+  const { name, locked, report } = result;
+  const notes = [...report.steps, ...report.repairs];
+  const list = (lines) => `<ul class="importNotes">${lines.slice(0, 8).map(r => `<li>${esc(r)}</li>`).join('')}${lines.length > 8 ? `<li>…y ${lines.length - 8} más</li>` : ''}</ul>`;
+
+  const body = locked
+    ? `<div class="importBlock warn">
+        <div class="settingTitle">🔒 Solo lectura</div>
+        <div class="settingDesc">La guardó una versión más nueva de la app (v${esc(report.from)}). Se ve aquí, pero tus cambios no se guardan. Actualiza la app para editarla.</div>
+      </div>`
+    : notes.length
+      ? `<div class="importBlock warn">
+          <div class="settingTitle">Al recargar se ajustaría (${notes.length})</div>
+          ${list(notes)}
+        </div>`
+      : `<div class="importBlock">
+          <div class="settingTitle">Todo en orden ✅</div>
+          <div class="settingDesc">Nada que migrar ni reparar.</div>
+        </div>`;
+
+  el.hidden = false;
+  el.innerHTML = `
+    <div class="settingDesc">${esc(name)} · datos v${esc(report.from)}${report.from < report.to ? ` → v${esc(report.to)}` : ''}</div>
+    ${body}
+  `;
+}
+
+/**
+ * renderLinkPreview
+ * What a received `#lista=` link would add (always as a new list).
+ * @param {Object} preview result of actions.previewLink
+ * @param {HTMLElement} el
+ */
+export function renderLinkPreview(preview, el){
+  if (!el) return;
+  if (!preview?.ok){
+    el.innerHTML = '';
+    return;
+  }
+
+  const { list, summary } = preview;
+  const perCat = new Map(list.cats.map(c => [c.id, 0]));
+  list.items.forEach(it => perCat.set(it.cat, (perCat.get(it.cat) || 0) + 1));
+
+  const catsHTML = list.cats
+    .filter(c => perCat.get(c.id))
+    .map(c => `<li>${esc(c.emoji || '🏷️')} ${esc(c.name)} · ${perCat.get(c.id)}</li>`)
+    .join('');
+
+  el.innerHTML = `
+    <div class="importBlock">
+      <div class="settingTitle">${esc(list.name || 'Lista sin nombre')}</div>
+      <div class="settingDesc">
+        ${summary.items} items en ${summary.cats} categoría(s)${list.checks ? ` · ${summary.packed} ya marcados` : ''}
+      </div>
+    </div>
+
+    <div class="importBlock">
+      <ul class="importNotes">${catsHTML}</ul>
+    </div>
+
+    <div class="settingDesc">Se guarda como una lista nueva; tus listas no se tocan.</div>
+  `;
+}
+
+/**
+ * renderQR
+ * One QR code as an SVG (crisp at any size, no canvas).
+ * @param {string} text
+ * @param {HTMLElement} el
+ * @returns {boolean} false when the text doesn't fit a QR code
+ */
+export function renderQR(text, el){
+  if (!el) return false;
+
+  // Sturdier M when it stays small, denser L otherwise
+  const qr = encodeQR(text, { ecc:'M', maxVersion: 15 }) || encodeQR(text, { ecc:'L' });
+  if (!qr){
+    el.innerHTML = '';
+    return false;
+  }
+
+  const quiet = 4;
+  const dim = qr.size + quiet * 2;
+  let path = '';
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + quiet},${y + quiet}h1v1h-1z`;
+  }));
+
+  el.innerHTML = `
+    <svg viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges" aria-hidden="true">
+      <rect width="${dim}" height="${dim}" fill="#fff"/>
+      <path d="${path}" fill="#000"/>
+    </svg>
+  `;
+  return true;
 }
 
 /* =========================
@@ -133,52 +786,215 @@ export function renderProgress(state, els){
 function filteredItems(state){
   const items = state?.data?.items || [];
   const active = state?.activeCat || 'all';
-  if (active === 'all') return items;
-  return items.filter(i => i.cat === active);
+  const inCat = active === 'all' ? items : items.filter(i => i.cat === active);
+
+  const hits = searchHits(state);
+  const found = hits ? inCat.filter(i => hits.has(i.id)) : inCat;
+  return applyView(found, state?.data?.cats, activeView(state));
+}
+
+// Rows (or category sections holding rows) for reconcile()
+function listEntries(state){
+  const items = filteredItems(state);
+  if (!items.length) return [{ key: 'empty', html: emptyHTML(state) }];
+
+  const hits = searchHits(state);
+  const view = activeView(state);
+
+  if (!view.grouped || (state?.activeCat || 'all') !== 'all'){
+    return items.map(it => ({ key: `i:${it.id}`, html: rowHTML(state, it, hits?.get(it.id)) }));
+  }
+
+  // Grouped: the header names the category, rows don't repeat it
+  const all = state?.data?.items || [];
+  return groupItems(items, state?.data?.cats).map(({ cat, items: rows }) => {
+    const inCat = all.filter(i => i.cat === cat.id);
+    const collapsed = view.collapsed.includes(cat.id);
+
+    return {
+      key: `g:${cat.id}`,
+      html: `<section class="group ${collapsed ? 'collapsed':''}" aria-label="${esc(cat.name)}"></section>`,
+      children: [
+        { key: 'head', html: groupHeadHTML(cat, inCat.filter(i => i.done).length, inCat.length, collapsed) },
+        ...(collapsed ? [] : rows.map(it => ({ key: `i:${it.id}`, html: rowHTML(state, it, hits?.get(it.id), { grouped: true }) })))
+      ]
+    };
+  });
+}
+
+/* Roving tab stop: one row checkbox is tabbable, arrows move between them */
+let rovingId = null;
+
+function liveBoxes(listEl){
+  return Array.from(listEl.querySelectorAll('.item:not(.leaving) [role="checkbox"]'));
 }
 
-function tabBtn(id, name, emoji, active){
-  return `<button class="tab ${active ? 'active':''}" data-cat="${esc(id)}">${esc(emoji)} ${esc(name)}</button>`;
+function rowId(box){
+  return box?.closest('[data-id]')?.dataset.id ?? null;
 }
 
-function rowHTML(state, it, idx=0){
+function syncRoving(listEl){
+  const boxes = liveBoxes(listEl);
+  const current = boxes.find(b => rowId(b) === rovingId) || boxes[0];
+  boxes.forEach(b => b.setAttribute('tabindex', b === current ? '0' : '-1'));
+}
+
+function focusRow(listEl, id){
+  if (id == null) return;
+  rovingId = id;
+  syncRoving(listEl);
+  liveBoxes(listEl).find(b => rowId(b) === id)?.focus();
+}
+
+function activeView(state){
+  const meta = (state?.lists || []).find(l => l.id === state?.activeListId);
+  return repairView(meta?.view);
+}
+
+// Same items + cats + query → same result (typing repaints the list only)
+let lastSearch = null;
+function searchHits(state){
+  const items = state?.data?.items;
+  const cats = state?.data?.cats;
+  const query = state?.search || '';
+  if (!query.trim()) return null;
+
+  if (lastSearch?.items !== items || lastSearch?.cats !== cats || lastSearch?.query !== query){
+    lastSearch = { items, cats, query, hits: searchItems(items, cats, query) };
+  }
+  return lastSearch.hits;
+}
+
+// <mark>s around the matched ranges (ranges index the raw name)
+function highlightHTML(text, ranges){
+  const s = String(text ?? '');
+  if (!ranges?.length) return esc(s);
+
+  let out = '';
+  let at = 0;
+  for (const [a, b] of ranges){
+    out += `${esc(s.slice(at, a))}<mark class="hit">${esc(s.slice(a, b))}</mark>`;
+    at = b;
+  }
+  return out + esc(s.slice(at));
+}
+
+function tabBtn(id, name, emoji, active, { done = 0, total = 0, shown = null } = {}){
+  const full = total > 0 && done === total;
+  const badge = `<span class="tabBadge ${full ? 'full':''}" title="${done} de ${total} empacados" aria-label="${done} de ${total} empacados">${done}/${total}</span>`;
+  const count = shown == null ? '' : ` <span class="tabCount" title="Visibles" aria-label="${shown} visibles">👀 ${shown}</span>`;
+  return `<button class="tab ${active ? 'active':''}" type="button" role="tab" id="tab-${esc(id)}" aria-selected="${active}" aria-controls="list" tabindex="${active ? 0 : -1}" data-cat="${esc(id)}"><span aria-hidden="true">${esc(emoji)}</span> ${esc(name)} ${badge}${count}</button>`;
+}
+
+function groupHeadHTML(cat, done, total, collapsed){
+  const pct = total ? Math.floor((done / total) * 100) : 0;
+  return `
+    <button class="groupHead ${done === total && total ? 'full':''}" type="button"
+      data-group="${esc(cat.id)}" aria-expanded="${!collapsed}">
+      <span class="groupName">${esc(cat.emoji || '🏷️')} ${esc(cat.name)}</span>
+      <span class="groupBar" aria-hidden="true"><span class="groupFill" style="width:${pct}%"></span></span>
+      <span class="groupCount">${done}/${total}</span>
+      <span class="groupChevron" aria-hidden="true">${collapsed ? '▸' : '▾'}</span>
+    </button>
+  `;
+}
+
+function rowHTML(state, it, ranges=null, { grouped = false } = {}){
   const cats = state?.data?.cats || [];
   const cat = cats.find(c => c.id === it.cat);
   const catName = cat?.name || 'Otros';
   const catEmoji = cat?.emoji || '🏷️';
+  const partial = !it.done && itemPacked(it) > 0;
+  const checked = it.done ? 'true' : (partial ? 'mixed' : 'false');
 
-  // Stagger only if motion ON
-  const motion = !!state?.settings?.motion;
-  const delay = motion ? Math.min(idx * 35, 280) : 0;
-
+  // The left part is the checkbox; row buttons stay clickable but off the Tab
+  // order (keys on the checkbox cover them)
   return `
-    <div class="item ${it.done ? 'done':''}" data-id="${esc(it.id)}" style="animation-delay:${delay}ms">
+    <div class="item ${it.done ? 'done':''} ${partial ? 'partial':''}" data-id="${esc(it.id)}" data-cat="${esc(it.cat)}">
       <div class="pop"></div>
 
-      <div class="itemLeft">
-        <div class="bubble">${esc(it.emoji || catEmoji || '✨')}</div>
+      <div class="itemLeft" role="checkbox" aria-checked="${checked}" tabindex="-1"
+        aria-keyshortcuts="Space Enter Delete">
+        <div class="bubble" aria-hidden="true">${esc(it.emoji || catEmoji || '✨')}</div>
         <div class="itemText">
-          <div class="itemName">${esc(it.name)}</div>
-          <div class="itemMeta">${esc(catEmoji)} ${esc(catName)}</div>
+          <div class="itemName">${highlightHTML(it.name, ranges)}</div>
+          ${grouped ? '' : `<div class="itemMeta"><span aria-hidden="true">${esc(catEmoji)}</span> ${esc(catName)}</div>`}
         </div>
       </div>
 
-      <div style="display:flex; align-items:center; gap:10px;">
-        <button class="btn ghost" type="button" data-action="del" aria-label="Eliminar" title="Eliminar">🗑️</button>
+      <div style="display:flex; align-items:center; gap:6px;">
+        ${stepperHTML(it)}
+        <button class="btn ghost" type="button" data-action="edit" tabindex="-1" aria-label="Editar ${esc(it.name)}" title="Editar">✏️</button>
+        <button class="btn ghost" type="button" data-action="del" tabindex="-1" aria-label="Eliminar ${esc(it.name)}" title="Eliminar">🗑️</button>
         <div class="check" aria-hidden="true"><div class="knob"></div></div>
       </div>
     </div>
   `;
 }
 
-function emptyHTML(){
+function stepperHTML(it){
+  const qty = itemQty(it);
+  if (qty === 1) return '';
+
+  const packed = itemPacked(it);
+  return `
+      <div class="stepper" role="group" aria-label="Cantidad empacada">
+        <button class="stepBtn" type="button" data-action="dec" tabindex="-1" aria-label="Uno menos" ${packed <= 0 ? 'disabled' : ''}>−</button>
+        <span class="stepCount" aria-live="polite">${packed}/${qty}</span>
+        <button class="stepBtn" type="button" data-action="inc" tabindex="-1" aria-label="Uno más" ${packed >= qty ? 'disabled' : ''}>+</button>
+      </div>
+  `;
+}
+
+function listRowHTML(l, active){
+  const pct = l.total ? Math.round((l.done / l.total) * 100) : 0;
+  const archiveBtn = l.archived
+    ? `<button class="btn ghost" type="button" data-list-action="unarchive" aria-label="Restaurar" title="Restaurar">📂</button>`
+    : `<button class="btn ghost" type="button" data-list-action="archive" aria-label="Archivar" title="Archivar">🗄️</button>`;
+
+  return `
+    <div class="libRow ${active ? 'active':''} ${l.archived ? 'archived':''}" data-list-id="${esc(l.id)}">
+      <button class="libOpen" type="button" data-list-action="open" ${active ? 'aria-current="true"' : ''}>
+        <span class="libName">${esc(l.name)}</span>
+        <span class="libMeta">${l.done}/${l.total} · ${pct}%</span>
+      </button>
+      <div class="libActions">
+        <button class="btn ghost" type="button" data-list-action="rename" aria-label="Renombrar" title="Renombrar">✏️</button>
+        <button class="btn ghost" type="button" data-list-action="dup" aria-label="Duplicar" title="Duplicar">📑</button>
+        ${archiveBtn}
+        <button class="btn ghost" type="button" data-list-action="del" aria-label="Eliminar" title="Eliminar">🗑️</button>
+      </div>
+    </div>
+  `;
+}
+
+function emptyHTML(state){
+  const query = String(state?.search || '').trim();
+  const { status } = activeView(state);
+
+  let bubble = '🫥';
+  let title = 'No hay items aquí.';
+  let hint = 'Cambia de categoría o agrega algo.';
+  if (query){
+    bubble = '🔎';
+    title = `Nada coincide con “${esc(query)}”.`;
+    hint = state?.activeCat && state.activeCat !== 'all' ? 'Prueba en “Todo” o con otra palabra.' : 'Prueba con otra palabra.';
+  } else if (status === 'pending' && (state?.data?.items || []).length){
+    bubble = '🎉';
+    title = 'No falta nada aquí.';
+    hint = 'Cambia a “Todo” para ver lo empacado.';
+  } else if (status === 'packed' && (state?.data?.items || []).length){
+    title = 'Aún no hay nada empacado aquí.';
+    hint = 'Cambia a “Todo” para ver lo que falta.';
+  }
+
   return `
     <div class="item">
       <div class="itemLeft">
-        <div class="bubble">🫥</div>
+        <div class="bubble">${bubble}</div>
         <div class="itemText">
-          <div class="itemName">No hay items aquí.</div>
-          <div class="itemMeta">Cambia de categoría o agrega algo.</div>
+          <div class="itemName">${title}</div>
+          <div class="itemMeta">${hint}</div>
         </div>
       </div>
       <div class="check" aria-hidden="true"><div class="knob"></div></div>
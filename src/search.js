@@ -0,0 +1,164 @@
+/* =============================================================================
+  /src/search.js — Item search (pure, no DOM)
+  - Accent- and case-insensitive ("adaptádor" finds "Adaptador")
+  - Fuzzy: substring, then letters in order from a word start (small gaps),
+    then one typo for longer words ("adpatador")
+  - Every word of the query must hit the item name or its category name
+  - Ranges point into the ORIGINAL text so render.js can highlight them
+============================================================================= */
+
+'use strict';
+
+const MAX_GAP = 2;       // letters skipped between two matched ones
+const TYPO_MIN_LEN = 4;  // shorter words would match almost anything
+
+/**
+ * parseQuery
+ * @param {string} q
+ * @returns {string[]} normalized words
+ */
+export function parseQuery(q){
+  return fold(String(q ?? '')).text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * matchText
+ * @param {string} token one normalized query word
+ * @param {string} text
+ * @returns {Array<[number, number]>|null} [start, end) ranges in `text`, null = no match
+ */
+export function matchText(token, text){
+  if (!token) return [];
+  const f = fold(text);
+  const hit = exact(token, f.text) || ordered(token, f.text) || typo(token, f.text);
+  if (!hit) return null;
+  return hit.map(([a, b]) => [f.starts[a], f.ends[b - 1]]);
+}
+
+/**
+ * searchItems
+ * @param {Array} items
+ * @param {Array} cats
+ * @param {string} query
+ * @returns {Map<string, Array<[number, number]>>|null} item id → ranges in its name
+ *   (empty when only the category matched); null when the query is empty
+ */
+export function searchItems(items, cats, query){
+  const tokens = parseQuery(query);
+  if (!tokens.length) return null;
+
+  const catNames = new Map((cats || []).map(c => [c.id, c.name || '']));
+  const hits = new Map();
+
+  for (const it of items || []){
+    const ranges = [];
+    const ok = tokens.every(t => {
+      const inName = matchText(t, it.name);
+      if (inName){
+        ranges.push(...inName);
+        return true;
+      }
+      return !!matchText(t, catNames.get(it.cat) || '');
+    });
+    if (ok) hits.set(it.id, mergeRanges(ranges));
+  }
+
+  return hits;
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+// Folded text + where each folded char came from in the original
+function fold(s){
+  let text = '';
+  const starts = [];
+  const ends = [];
+  let i = 0;
+  for (const ch of String(s ?? '')){
+    const f = ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const c of f){
+      text += c;
+      starts.push(i);
+      ends.push(i + ch.length);
+    }
+    i += ch.length;
+  }
+  return { text, starts, ends };
+}
+
+function isWordStart(text, i){
+  return i === 0 || !/[\p{L}\p{N}]/u.test(text[i - 1]);
+}
+
+function exact(token, text){
+  const i = text.indexOf(token);
+  return i < 0 ? null : [[i, i + token.length]];
+}
+
+// "cgdor" → c·ar·g·a·dor: every letter, in order, from a word start
+function ordered(token, text){
+  for (let s = text.indexOf(token[0]); s !== -1; s = text.indexOf(token[0], s + 1)){
+    if (!isWordStart(text, s)) continue;
+
+    const ranges = [[s, s + 1]];
+    let at = s + 1;
+    let ok = true;
+    for (let k = 1; k < token.length; k++){
+      const next = text.indexOf(token[k], at);
+      if (next < 0 || next - at > MAX_GAP){
+        ok = false;
+        break;
+      }
+      const last = ranges[ranges.length - 1];
+      if (next === last[1]) last[1] = next + 1;
+      else ranges.push([next, next + 1]);
+      at = next + 1;
+    }
+    if (ok) return ranges;
+  }
+  return null;
+}
+
+// One edit (swap, missing, extra or wrong letter) against the start of a word
+function typo(token, text){
+  if (token.length < TYPO_MIN_LEN) return null;
+
+  for (let s = 0; s < text.length; s++){
+    if (!isWordStart(text, s)) continue;
+    for (const len of [token.length, token.length - 1, token.length + 1]){
+      const part = text.slice(s, s + len);
+      if (part.length === len && editDistance(token, part) <= 1) return [[s, s + len]];
+    }
+  }
+  return null;
+}
+
+// Damerau–Levenshtein (optimal string alignment)
+function editDistance(a, b){
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++){
+    for (let j = 1; j <= b.length; j++){
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]){
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function mergeRanges(ranges){
+  const sorted = [...ranges].sort((x, y) => x[0] - y[0]);
+  const out = [];
+  for (const r of sorted){
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+  }
+  return out;
+}
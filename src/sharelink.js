@@ -0,0 +1,290 @@
+/* =============================================================================
+  /src/sharelink.js — A whole list inside a link (pure, no DOM, no network)
+  - Payload: compact JSON (categories + items, optionally the checks)
+  - Compressed with deflate-raw where CompressionStream exists, plain otherwise
+  - Travels base64url-encoded in the URL fragment (`#lista=…`), so it never
+    reaches any server, not even the one hosting the app
+  - listFromLink: payload → fresh cats/items for a NEW list (never merged)
+  - QR: one code holding the link, or a numbered sequence of parts when the
+    list is too big for one comfortably scannable code (see linkQRParts)
+============================================================================= */
+
+'use strict';
+
+import { MAX_QTY, itemQty, itemPacked, withQty, withPacked } from './items.js';
+
+export const LINK_KEY = 'lista';
+export const LINK_VERSION = 1;
+
+const MAX_LINK_CHARS = 32000;   // messengers and some browsers choke past this
+const MAX_JSON_BYTES = 512000;  // decompressed cap (a tiny link can't balloon)
+const MAX_CATS = 40;
+const MAX_ITEMS = 500;
+
+// Past ~900 bytes a code shown on a phone screen gets hard to scan
+const QR_SINGLE_MAX = 900;
+const QR_PART_CHARS = 700;
+const QR_MAX_PARTS = 8;
+const QR_PART = /^MALETA:([a-z0-9]{1,8}):(\d{1,2})\/(\d{1,2}):([A-Za-z0-9_-]+)$/;
+
+/**
+ * encodeListLink
+ * @param {Object} p
+ * @param {string} p.name list name
+ * @param {string} p.mode list mode (receivers without it fall back to theirs)
+ * @param {Object} p.data list data ({ cats, items })
+ * @param {boolean} [p.includeChecks] carry what's already packed
+ * @returns {Promise<{ok:true, token:string, items:number} | {ok:false, reason:'EMPTY'|'TOO_LONG'}>}
+ */
+export async function encodeListLink({ name, mode, data, includeChecks = false }){
+  const cats = (Array.isArray(data?.cats) ? data.cats : []).slice(0, MAX_CATS);
+  const catIndex = new Map(cats.map((c, i) => [c.id, i]));
+  const items = (Array.isArray(data?.items) ? data.items : [])
+    .filter(it => catIndex.has(it.cat))
+    .slice(0, MAX_ITEMS);
+  if (!items.length) return { ok:false, reason:'EMPTY' };
+
+  // Arrays instead of objects: keys would be most of the link
+  const payload = {
+    v: LINK_VERSION,
+    n: String(name || '').slice(0, 40),
+    m: String(mode || ''),
+    k: includeChecks ? 1 : 0,
+    c: cats.map(c => [c.id, c.name, c.emoji || '']),
+    i: items.map(it => {
+      const row = [catIndex.get(it.cat), it.name, it.emoji || '', itemQty(it)];
+      if (includeChecks) row.push(itemPacked(it));
+      return row;
+    })
+  };
+
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  const packed = await deflate(json);
+  const token = packed ? `z${toBase64Url(packed)}` : `j${toBase64Url(json)}`;
+  if (token.length > MAX_LINK_CHARS) return { ok:false, reason:'TOO_LONG' };
+
+  return { ok:true, token, items: items.length };
+}
+
+/**
+ * decodeListLink
+ * @param {string} token what follows `#lista=`
+ * @returns {Promise<{ok:true, list:{name:string, mode:string, checks:boolean, cats:Array, items:Array}> | {ok:false, reason:string}>}
+ *   reason: BAD_LINK | FUTURE_VERSION | UNSUPPORTED (no DecompressionStream here)
+ */
+export async function decodeListLink(token){
+  const raw = String(token || '').trim();
+  if (raw.length < 2 || raw.length > MAX_LINK_CHARS) return { ok:false, reason:'BAD_LINK' };
+
+  let bytes;
+  try{
+    bytes = fromBase64Url(raw.slice(1));
+  }catch{
+    return { ok:false, reason:'BAD_LINK' };
+  }
+
+  let json;
+  if (raw[0] === 'z'){
+    if (typeof DecompressionStream !== 'function') return { ok:false, reason:'UNSUPPORTED' };
+    try{ json = await inflate(bytes); }catch{ return { ok:false, reason:'BAD_LINK' }; }
+  } else if (raw[0] === 'j'){
+    json = bytes;
+  } else {
+    return { ok:false, reason:'BAD_LINK' };
+  }
+
+  let p;
+  try{ p = JSON.parse(new TextDecoder().decode(json)); }catch{ return { ok:false, reason:'BAD_LINK' }; }
+  if (!p || typeof p !== 'object' || !Array.isArray(p.c) || !Array.isArray(p.i)) return { ok:false, reason:'BAD_LINK' };
+  if (Number(p.v) > LINK_VERSION) return { ok:false, reason:'FUTURE_VERSION' };
+
+  const cats = p.c.slice(0, MAX_CATS)
+    .filter(c => Array.isArray(c) && c[0] && c[1])
+    .map(([id, name, emoji]) => ({ id: String(id).slice(0, 40), name: String(name).slice(0, 40), emoji: emoji ? String(emoji).slice(0, 16) : null }));
+
+  const checks = !!p.k;
+  const items = p.i.slice(0, MAX_ITEMS)
+    .filter(r => Array.isArray(r) && p.c[r[0]] && r[1])
+    .map(([ci, name, emoji, qty, packed]) => ({
+      cat: String(p.c[ci][0]).slice(0, 40),
+      name: String(name).slice(0, 60),
+      emoji: emoji ? String(emoji).slice(0, 16) : null,
+      qty: Math.max(1, Math.min(Math.floor(Number(qty)) || 1, MAX_QTY)),
+      packed: checks ? Math.max(0, Math.floor(Number(packed)) || 0) : 0
+    }))
+    .filter(it => cats.some(c => c.id === it.cat));
+
+  if (!cats.length || !items.length) return { ok:false, reason:'BAD_LINK' };
+
+  return {
+    ok: true,
+    list: { name: String(p.n || '').slice(0, 40), mode: String(p.m || ''), checks, cats, items }
+  };
+}
+
+/**
+ * linkUrl
+ * @param {string} href current page URL (its own fragment is dropped)
+ * @param {string} token
+ * @returns {string}
+ */
+export function linkUrl(href, token){
+  return `${String(href).split('#')[0]}#${LINK_KEY}=${token}`;
+}
+
+/**
+ * linkToken
+ * @param {string} hash location.hash
+ * @returns {string|null}
+ */
+export function linkToken(hash){
+  const m = String(hash || '').match(new RegExp(`^#?${LINK_KEY}=([A-Za-z0-9_-]+)`));
+  return m ? m[1] : null;
+}
+
+/**
+ * listFromLink
+ * Fresh ids for every item: the list lands as a new one, whatever is local.
+ * @param {Object} list decodeListLink().list
+ * @param {Object} opts
+ * @param {Function} opts.uid () => string
+ * @param {number} [opts.now]
+ * @returns {{cats:Array, items:Array}}
+ */
+export function listFromLink(list, { uid, now = Date.now() }){
+  const cats = (list?.cats || []).map(c => ({ ...c }));
+  const items = (list?.items || []).map(it => {
+    const base = withQty({
+      id: String(uid()),
+      cat: it.cat,
+      name: it.name,
+      emoji: it.emoji,
+      done: false,
+      updatedAt: now
+    }, it.qty);
+    return withPacked(base, it.packed);
+  });
+  return { cats, items };
+}
+
+/**
+ * linkQRParts
+ * What to put in the QR code(s). A single code carries the full link, so
+ * any camera app opens it; a sequence carries "MALETA:<set>:<n>/<total>:<chunk>"
+ * parts that only the in-app scanner puts back together.
+ * @param {string} href current page URL
+ * @param {string} token encodeListLink().token
+ * @returns {{ok:true, parts:string[]} | {ok:false, reason:'TOO_BIG'}}
+ */
+export function linkQRParts(href, token){
+  const url = linkUrl(href, token);
+  if (url.length <= QR_SINGLE_MAX) return { ok:true, parts: [url] };
+
+  const total = Math.ceil(token.length / QR_PART_CHARS);
+  if (total > QR_MAX_PARTS) return { ok:false, reason:'TOO_BIG' };
+
+  const set = hashSet(token);
+  const parts = [];
+  for (let i = 0; i < total; i++){
+    parts.push(`MALETA:${set}:${i + 1}/${total}:${token.slice(i * QR_PART_CHARS, (i + 1) * QR_PART_CHARS)}`);
+  }
+  return { ok:true, parts };
+}
+
+/**
+ * readScanned
+ * Folds one scanned text into the parts collected so far.
+ * @param {string} text QR contents
+ * @param {Object|null} pending previous result's `pending` (null to start)
+ * @returns {{token:string} | {pending:{set:string,total:number,chunks:Object}, have:number, total:number} | {error:'NOT_A_LIST'}}
+ */
+export function readScanned(text, pending = null){
+  const raw = String(text || '').trim();
+
+  const hash = raw.includes('#') ? raw.slice(raw.indexOf('#')) : '';
+  const token = linkToken(hash);
+  if (token) return { token };
+
+  const m = raw.match(QR_PART);
+  if (!m) return { error: 'NOT_A_LIST' };
+
+  const [, set, n, total, chunk] = m;
+  const count = Number(total);
+  const index = Number(n);
+  if (!count || index < 1 || index > count) return { error: 'NOT_A_LIST' };
+
+  // A part from another sequence starts over
+  const next = pending?.set === set && pending.total === count
+    ? { ...pending, chunks: { ...pending.chunks } }
+    : { set, total: count, chunks: {} };
+  next.chunks[index] = chunk;
+
+  const have = Object.keys(next.chunks).length;
+  if (have < count) return { pending: next, have, total: count };
+
+  return { token: Array.from({ length: count }, (_, i) => next.chunks[i + 1]).join('') };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+// Short id so parts of two different lists never get mixed
+function hashSet(s){
+  let h = 0;
+  for (let i = 0; i < s.length; i++) h = (Math.imul(h, 31) + s.charCodeAt(i)) >>> 0;
+  return h.toString(36).slice(0, 6);
+}
+
+// null when this browser can't compress (the link is just longer then)
+async function deflate(bytes){
+  if (typeof CompressionStream !== 'function') return null;
+  try{
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }catch{
+    return null;
+  }
+}
+
+async function inflate(bytes){
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const reader = stream.getReader();
+  const chunks = [];
+  let size = 0;
+
+  for (;;){
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_JSON_BYTES){
+      reader.cancel().catch(() => {});
+      throw new Error('TOO_BIG');
+    }
+    chunks.push(value);
+  }
+
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (const c of chunks){
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
+
+function toBase64Url(bytes){
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000){
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(s){
+  const b64 = s.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
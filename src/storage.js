@@ -1,74 +1,315 @@
 /* =============================================================================
   /src/storage.js — Local-first storage + migrations
+  - Async API on top of a storage adapter (IndexedDB or localStorage)
+  - one-time migration of `maleta_pwa_v2_*` keys out of localStorage
   - loadSettings / saveSettings
-  - loadData / saveData
-  - validate + repair
-  - basic migration to version 2
+  - loadLibrary / saveLibrary (list index)
+  - loadTemplates / saveTemplates (user templates)
+  - loadLog / saveLog (trip history)
+  - loadShadow / saveShadow / sync queue (cross-device sync bookkeeping)
+  - loadData / saveData / removeData (one dataset per list)
+  - versioned migrations (migrations.js) + validate/repair + dry-run inspect
+  - future schema versions are loaded read-only, never overwritten
+  - legacy single-list adoption
   - debounced savers
 ============================================================================= */
 
 'use strict';
 
+import { createListMeta, repairLibrary } from './lists.js';
+import { localStorageKeys } from './adapters.js';
+import { normalizeQty } from './items.js';
+import { repairTemplates } from './templates.js';
+import { repairLog } from './triplog.js';
+import { repairStreak } from './streaks.js';
+import { repairReminders } from './reminders.js';
+import { repairSyncSettings } from './syncdoc.js';
+import { DATA_VERSION, dataVersion, runMigrations, isFutureVersionError } from './migrations.js';
+
 /**
  * createStorage
+ * All loaders/savers are async and go through a storage adapter
+ * (see adapters.js). Failures are reported via `onError` instead of
+ * disappearing; loaders still fall back to sane defaults.
+ *
  * @param {Object} cfg
+ * @param {Object} cfg.adapter { get, set, remove, keys } (async)
  * @param {string} cfg.storageKey
  * @param {string} cfg.settingsKey
+ * @param {string} cfg.libraryKey
+ * @param {string} cfg.templatesKey
+ * @param {string} cfg.logKey trip history
+ * @param {string} cfg.syncKey last synced doc per shared list + offline queue
+ * @param {string} cfg.migratedKey marker written once localStorage was copied over
  * @param {Object} cfg.defaultSettings
  * @param {Function} cfg.newPreset (mode) => data
+ * @param {Function} cfg.listName (mode) => string (optional, default list name)
  * @param {Function} cfg.uid () => string (optional)
+ * @param {Function} cfg.onError (err, op) => void (optional)
  */
 export function createStorage(cfg){
   const {
+    adapter,
     storageKey = 'maleta_pwa_v2_data',
     settingsKey = 'maleta_pwa_v2_settings',
+    libraryKey = 'maleta_pwa_v2_lists',
+    templatesKey = 'maleta_pwa_v2_templates',
+    logKey = 'maleta_pwa_v2_history',
+    syncKey = 'maleta_pwa_v2_sync',
+    migratedKey = 'maleta_pwa_v2__migrated',
     defaultSettings,
     newPreset,
-    uid
+    listName = () => 'Mi lista',
+    uid,
+    onError
   } = cfg;
 
-  function loadSettings(){
+  // Each list lives under its own key: `${storageKey}:${listId}`
+  const listKey = (id) => `${storageKey}:${id}`;
+  // Sync: `${syncKey}:${listId}` = last doc agreed with the server, `${syncKey}` = queue
+  const shadowKey = (id) => `${syncKey}:${id}`;
+
+  // Every key this app owns shares this prefix (used by migration + wipe)
+  const keyPrefix = commonPrefix([storageKey, settingsKey, libraryKey, templatesKey, logKey, syncKey]);
+
+  // Lists stored by a newer schema version: loaded read-only, never saved
+  const lockedIds = new Set();
+
+  function report(err, op){
+    try{ onError?.(err, op); }catch{}
+  }
+
+  /**
+   * migrateFromLocalStorage
+   * First boot on a non-localStorage adapter: copy every `maleta_pwa_v2_*`
+   * key over, then drop the localStorage copies (so a later fallback boot
+   * never resurrects stale data).
+   * @returns {Promise<{migrated:number}>}
+   */
+  async function migrateFromLocalStorage(){
+    if (!adapter || adapter.name === 'localstorage') return { migrated: 0 };
+
     try{
-      const raw = localStorage.getItem(settingsKey);
-      const parsed = raw ? JSON.parse(raw) : {};
-      return sanitizeSettings({ ...defaultSettings, ...parsed });
-    }catch{
+      if (await adapter.get(migratedKey)) return { migrated: 0 };
+
+      const keys = localStorageKeys(keyPrefix);
+      for (const k of keys){
+        const raw = localStorage.getItem(k);
+        if (raw == null) continue;
+        try{
+          await adapter.set(k, JSON.parse(raw));
+        }catch (err){
+          report(err, `migrate:${k}`);
+          return { migrated: 0 };
+        }
+      }
+
+      await adapter.set(migratedKey, { at: Date.now(), keys: keys.length });
+      keys.forEach(k => { try{ localStorage.removeItem(k); }catch{} });
+      return { migrated: keys.length };
+    }catch (err){
+      report(err, 'migrate');
+      return { migrated: 0 };
+    }
+  }
+
+  async function loadSettings(){
+    try{
+      const parsed = await adapter.get(settingsKey);
+      return sanitizeSettings({ ...defaultSettings, ...(parsed || {}) });
+    }catch (err){
+      report(err, 'loadSettings');
       return sanitizeSettings({ ...defaultSettings });
     }
   }
 
-  function saveSettings(settings){
+  async function saveSettings(settings){
     try{
-      localStorage.setItem(settingsKey, JSON.stringify(sanitizeSettings(settings)));
-    }catch{}
+      await adapter.set(settingsKey, sanitizeSettings(settings));
+    }catch (err){
+      report(err, 'saveSettings');
+    }
   }
 
-  function loadData(settingsOrMode){
-    const mode = typeof settingsOrMode === 'string'
-      ? settingsOrMode
-      : (settingsOrMode?.tripMode || defaultSettings.tripMode);
+  /**
+   * loadLibrary
+   * Returns the list index. On first boot it adopts the legacy single
+   * dataset (`storageKey`) as the first list, so nobody loses their checklist.
+   * @returns {Promise<{activeId:string, lists:Array}>}
+   */
+  async function loadLibrary(settings){
+    const mode = settings?.tripMode || defaultSettings.tripMode;
 
     try{
-      const raw = localStorage.getItem(storageKey);
-      if (!raw) return newPreset(mode);
+      const lib = repairLibrary(await adapter.get(libraryKey));
+      if (lib.lists.length) return lib;
+    }catch (err){
+      report(err, 'loadLibrary');
+    }
 
-      const parsed = JSON.parse(raw);
-      const repaired = repairData(parsed, mode);
-      return repaired;
-    }catch{
+    const data = await loadLegacyData(mode);
+    const meta = createListMeta({ id: makeId(), name: listName(data.mode), mode: data.mode, data });
+    const lib = { activeId: meta.id, lists: [meta] };
+
+    await saveData(meta.id, data);
+    await saveLibrary(lib);
+    try{ await adapter.remove(storageKey); }catch{}
+
+    return lib;
+  }
+
+  async function saveLibrary(lib){
+    try{
+      await adapter.set(libraryKey, repairLibrary(lib));
+    }catch (err){
+      report(err, 'saveLibrary');
+    }
+  }
+
+  /**
+   * loadTemplates
+   * @param {Object} [opts]
+   * @param {string[]} [opts.themes] valid theme keys
+   * @returns {Promise<Array>}
+   */
+  async function loadTemplates({ themes = [] } = {}){
+    try{
+      return repairTemplates(await adapter.get(templatesKey), { themes });
+    }catch (err){
+      report(err, 'loadTemplates');
+      return [];
+    }
+  }
+
+  async function saveTemplates(templates){
+    try{
+      await adapter.set(templatesKey, repairTemplates(templates));
+    }catch (err){
+      report(err, 'saveTemplates');
+    }
+  }
+
+  async function loadLog(){
+    try{
+      return repairLog(await adapter.get(logKey));
+    }catch (err){
+      report(err, 'loadLog');
+      return [];
+    }
+  }
+
+  async function saveLog(log){
+    try{
+      await adapter.set(logKey, repairLog(log));
+    }catch (err){
+      report(err, 'saveLog');
+    }
+  }
+
+  async function loadShadow(listId){
+    try{
+      const raw = await adapter.get(shadowKey(listId));
+      return raw && typeof raw === 'object' && raw.doc ? raw : null;
+    }catch (err){
+      report(err, 'loadShadow');
+      return null;
+    }
+  }
+
+  async function saveShadow(listId, shadow){
+    try{
+      await adapter.set(shadowKey(listId), { rev: shadow?.rev ?? null, doc: shadow?.doc || null });
+    }catch (err){
+      report(err, 'saveShadow');
+    }
+  }
+
+  async function removeShadow(listId){
+    try{
+      await adapter.remove(shadowKey(listId));
+    }catch (err){
+      report(err, 'removeShadow');
+    }
+  }
+
+  async function loadSyncQueue(){
+    try{
+      const raw = await adapter.get(syncKey);
+      return Array.isArray(raw) ? raw.map(String) : [];
+    }catch (err){
+      report(err, 'loadSyncQueue');
+      return [];
+    }
+  }
+
+  async function saveSyncQueue(ids){
+    try{
+      await adapter.set(syncKey, [...new Set(ids || [])].map(String));
+    }catch (err){
+      report(err, 'saveSyncQueue');
+    }
+  }
+
+  async function loadData(listId, mode = defaultSettings.tripMode){
+    try{
+      const parsed = await adapter.get(listKey(listId));
+      if (!parsed) return newPreset(mode);
+
+      try{
+        return upgradeData(parsed, mode).data;
+      }catch (err){
+        if (!isFutureVersionError(err)) throw err;
+        // Written by a newer build: show what we can, never write it back
+        lockedIds.add(listId);
+        report(err, 'loadData');
+        return repairData(parsed, mode);
+      }
+    }catch (err){
+      report(err, 'loadData');
       return newPreset(mode);
     }
   }
 
-  function saveData(data){
+  async function saveData(listId, data){
+    if (!listId) return;
+    // Read-only here: already reported once when it was loaded
+    if (lockedIds.has(listId)) return;
     try{
-      localStorage.setItem(storageKey, JSON.stringify(repairData(data, data?.mode || defaultSettings.tripMode)));
-    }catch{}
+      await adapter.set(listKey(listId), repairData(data, data?.mode || defaultSettings.tripMode));
+    }catch (err){
+      report(err, 'saveData');
+    }
   }
 
-  function wipeAllStorage(){
-    try{ localStorage.removeItem(storageKey); }catch{}
-    try{ localStorage.removeItem(settingsKey); }catch{}
+  async function removeData(listId){
+    lockedIds.delete(listId);
+    try{
+      await adapter.remove(listKey(listId));
+    }catch (err){
+      report(err, 'removeData');
+    }
+  }
+
+  async function loadLegacyData(mode){
+    try{
+      const parsed = await adapter.get(storageKey);
+      if (!parsed) return newPreset(mode);
+      return upgradeData(parsed, mode).data;
+    }catch{
+      return newPreset(mode);
+    }
+  }
+
+  async function wipeAllStorage(){
+    lockedIds.clear();
+    try{
+      const keys = await adapter.keys(keyPrefix);
+      await Promise.all(keys.map(k => adapter.remove(k)));
+    }catch (err){
+      report(err, 'wipe');
+    }
+    // Leftovers from before the migration (or a fallback boot)
+    localStorageKeys(keyPrefix).forEach(k => { try{ localStorage.removeItem(k); }catch{} });
   }
 
   /* =========================
@@ -77,11 +318,19 @@ export function createStorage(cfg){
 
   function createDebouncedSavers(wait = 220){
     const debSaveSettings = debounce((settings) => saveSettings(settings), wait);
-    const debSaveData = debounce((data) => saveData(data), wait);
+    const debSaveLibrary = debounce((lib) => saveLibrary(lib), wait);
+    const debSaveTemplates = debounce((templates) => saveTemplates(templates), wait);
+    const debSaveLog = debounce((log) => saveLog(log), wait);
+    // Keyed by list id: switching lists must not cancel the previous list's save
+    const debSaveData = debounceKeyed((listId, data) => saveData(listId, data), wait);
 
     return {
       saveSettingsDebounced: debSaveSettings,
-      saveDataDebounced: debSaveData
+      saveLibraryDebounced: debSaveLibrary,
+      saveTemplatesDebounced: debSaveTemplates,
+      saveLogDebounced: debSaveLog,
+      saveDataDebounced: debSaveData,
+      cancelDataSave: debSaveData.cancel
     };
   }
 
@@ -96,20 +345,67 @@ export function createStorage(cfg){
     out.motion = !!out.motion;
     out.sound = !!out.sound;
 
-    // streak should be non-negative int
-    out.streak = clampInt(out.streak, 0, 999999);
+    // streak record (see streaks.js); legacy bare counters are adopted as totals
+    out.streak = repairStreak(out.streak);
+    out.reminders = repairReminders(out.reminders);
+    out.sync = repairSyncSettings(out.sync, uid);
 
     return out;
   }
 
-  function repairData(d, fallbackMode){
+  /**
+   * upgradeData
+   * Migration pipeline + shape repair. Pure with respect to storage.
+   * @param {any} raw persisted data
+   * @param {string} mode fallback mode
+   * @returns {{data:Object, report:{from:number,to:number,steps:string[],repairs:string[]}}}
+   * @throws {Error} FUTURE_VERSION when the data is newer than this build
+   */
+  function upgradeData(raw, mode){
+    const report = { from: dataVersion(raw), to: DATA_VERSION, steps: [], repairs: [] };
+    const migrated = runMigrations(raw, { now: Date.now(), steps: report.steps });
+    const data = repairData(migrated, mode, report.repairs);
+    return { data, report };
+  }
+
+  /**
+   * inspectData
+   * Dry run: what loading this list would migrate/repair. Writes nothing.
+   * @returns {Promise<{from:number,to:number,steps:string[],repairs:string[],refused:boolean}>}
+   */
+  async function inspectData(listId){
+    const raw = await adapter.get(listKey(listId));
+    if (!raw){
+      return { from: DATA_VERSION, to: DATA_VERSION, steps: [], repairs: ['Sin datos guardados: se crearía desde el modo'], refused: false };
+    }
+    try{
+      return { ...upgradeData(raw, defaultSettings.tripMode).report, refused: false };
+    }catch (err){
+      if (!isFutureVersionError(err)) throw err;
+      return { from: err.version, to: DATA_VERSION, steps: [], repairs: [], refused: true };
+    }
+  }
+
+  /**
+   * repairData
+   * @param {any} d
+   * @param {string} fallbackMode
+   * @param {string[]|null} notes collects a human readable line per repair
+   */
+  function repairData(d, fallbackMode, notes = null){
+    const note = (msg) => { notes?.push(msg); };
+
     // If it's not even an object, restart
-    if (!d || typeof d !== 'object') return newPreset(fallbackMode);
+    if (!d || typeof d !== 'object'){
+      note('Datos ilegibles: se regeneró la lista desde el modo');
+      return newPreset(fallbackMode);
+    }
 
-    // Ensure core shape
+    // Ensure core shape (unknown top-level fields are kept for newer features)
     const mode = String(d.mode || fallbackMode || defaultSettings.tripMode);
     const out = {
-      version: 2,
+      ...d,
+      version: DATA_VERSION,
       mode,
       cats: Array.isArray(d.cats) ? d.cats.map(repairCat) : null,
       items: Array.isArray(d.items) ? d.items.map(repairItem) : null,
@@ -117,47 +413,77 @@ export function createStorage(cfg){
     };
 
     // If missing cats/items, regenerate preset for this mode
-    if (!out.cats || !out.items) return newPreset(mode);
+    if (!out.cats || !out.items){
+      note('Faltaban categorías o items: se regeneró la lista desde el modo');
+      return newPreset(mode);
+    }
 
-    // Ensure at least 1 cat; if empty, regenerate
-    if (!out.cats.length) return newPreset(mode);
+    // Ensure at least 1 cat; if empty, regenerate (a just-joined shared list
+    // is empty on purpose until its first sync, see actions.joinSharedList)
+    if (!out.cats.length && !out.__pendingJoin){
+      note('Sin categorías: se regeneró la lista desde el modo');
+      return newPreset(mode);
+    }
+
+    // Drop duplicated category ids (first one wins)
+    const seenCats = new Set();
+    const cats = out.cats.filter(c => {
+      if (seenCats.has(c.id)) return false;
+      seenCats.add(c.id);
+      return true;
+    });
+    if (cats.length !== out.cats.length) note(`${out.cats.length - cats.length} categoría(s) duplicada(s) eliminada(s)`);
+    out.cats = cats;
 
     // Ensure items cat ids exist; if not, push to 'otros' or first cat
     const catIds = new Set(out.cats.map(c => c.id));
-    const fallbackCat = catIds.has('otros') ? 'otros' : out.cats[0].id;
+    const fallbackCat = catIds.has('otros') ? 'otros' : out.cats[0]?.id;
 
+    let moved = 0;
     out.items = out.items.map(it => {
-      if (!catIds.has(it.cat)) it.cat = fallbackCat;
+      if (fallbackCat && !catIds.has(it.cat)){
+        it.cat = fallbackCat;
+        moved++;
+      }
       return it;
     });
+    if (moved) note(`${moved} item(s) sin categoría válida movido(s) a "${fallbackCat}"`);
 
     // Ensure unique IDs
     const seen = new Set();
+    let reIded = 0;
     out.items.forEach(it => {
       if (!it.id || seen.has(it.id)){
         it.id = makeId();
+        reIded++;
       }
       seen.add(it.id);
     });
+    if (reIded) note(`${reIded} item(s) con id repetido o vacío recibieron uno nuevo`);
 
     return out;
   }
 
+  // Known fields are sanitized; anything else is kept as-is so newer
+  // schema versions don't lose data when they pass through here.
   function repairCat(c){
     const id = String(c?.id || 'otros').trim() || 'otros';
     const name = String(c?.name || 'Otros').trim() || 'Otros';
     const emoji = c?.emoji ? String(c.emoji).slice(0, 4) : null;
-    return { id, name, emoji };
+    return { ...plain(c), id, name, emoji };
   }
 
   function repairItem(it){
-    return {
-      id: String(it?.id || makeId()),
+    // qty/packed survive; normalizeQty keeps them consistent with `done`
+    return normalizeQty({
+      ...plain(it),
+      id: it?.id ? String(it.id) : '',
       cat: String(it?.cat || 'otros'),
       name: String(it?.name || 'Sin nombre').slice(0, 80),
       emoji: it?.emoji ? String(it.emoji).slice(0, 4) : null,
-      done: !!it?.done
-    };
+      done: !!it?.done,
+      updatedAt: clampInt(it?.updatedAt, 0, Number.MAX_SAFE_INTEGER)
+    });
   }
 
   function makeId(){
@@ -166,10 +492,29 @@ export function createStorage(cfg){
   }
 
   return {
+    adapter,
+    migrateFromLocalStorage,
     loadSettings,
     saveSettings,
+    loadLibrary,
+    saveLibrary,
+    loadTemplates,
+    saveTemplates,
+    loadLog,
+    saveLog,
+    loadShadow,
+    saveShadow,
+    removeShadow,
+    loadSyncQueue,
+    saveSyncQueue,
     loadData,
     saveData,
+    removeData,
+    inspectData,
+    upgradeData,
+    repairData,
+    sanitizeSettings,
+    isLocked: (listId) => lockedIds.has(listId),
     wipeAllStorage,
     createDebouncedSavers
   };
@@ -187,6 +532,38 @@ function debounce(fn, wait = 200){
   };
 }
 
+function commonPrefix(keys){
+  let p = String(keys[0] || '');
+  for (const k of keys.slice(1)){
+    while (p && !String(k).startsWith(p)) p = p.slice(0, -1);
+  }
+  return p;
+}
+
+/**
+ * debounceKeyed
+ * One timer per first argument (e.g. list id). Exposes cancel(key).
+ */
+function debounceKeyed(fn, wait = 200){
+  const timers = new Map();
+  function run(key, ...args){
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      fn(key, ...args);
+    }, wait));
+  }
+  run.cancel = (key) => {
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  };
+  return run;
+}
+
+function plain(v){
+  return v && typeof v === 'object' && !Array.isArray(v) ? v : {};
+}
+
 function clampInt(v, min, max){
   const n = Number(v);
   if (!Number.isFinite(n)) return min;
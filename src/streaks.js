@@ -0,0 +1,165 @@
+/* =============================================================================
+  /src/streaks.js — Completion streaks (pure, no DOM, no storage)
+  - A streak counts consecutive calendar days (local time) with at least one
+    completed list; a day without one breaks it
+  - One completion per list per day counts once: un-checking and re-checking
+    the last item, or completing the same list again today, changes nothing
+  - Tracks current + best streak and the number of counted trips
+  - Persisted inside settings (`settings.streak`); repair + merge helpers
+    shared by storage and backup
+============================================================================= */
+
+'use strict';
+
+/**
+ * createStreak
+ * @returns {{current:number, best:number, total:number, lastDay:string|null, lists:string[]}}
+ *   lists = list ids already counted on `lastDay`
+ */
+export function createStreak(){
+  return { current: 0, best: 0, total: 0, lastDay: null, lists: [] };
+}
+
+/**
+ * dayKey
+ * Local calendar day: "2026-10-19"
+ * @param {number} [ts]
+ * @returns {string}
+ */
+export function dayKey(ts = Date.now()){
+  const d = new Date(ts);
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()]
+    .map((n, i) => String(n).padStart(i ? 2 : 4, '0'))
+    .join('-');
+}
+
+/**
+ * recordCompletion
+ * @param {Object} streak current record
+ * @param {Object} p
+ * @param {string} p.listId
+ * @param {number} [p.now]
+ * @returns {{streak:Object, counted:boolean}} counted=false when that list already counted today
+ */
+export function recordCompletion(streak, { listId, now = Date.now() }){
+  const cur = repairStreak(streak);
+  const id = String(listId || '');
+  const day = dayKey(now);
+
+  // Same day: only a list that hasn't counted yet adds a trip (streak unchanged)
+  if (cur.lastDay === day){
+    if (cur.lists.includes(id)) return { streak: cur, counted: false };
+    return {
+      streak: { ...cur, total: cur.total + 1, lists: [...cur.lists, id] },
+      counted: true
+    };
+  }
+
+  // Clock went backwards: nothing sensible to extend
+  if (cur.lastDay && day < cur.lastDay) return { streak: cur, counted: false };
+
+  const current = cur.lastDay === previousDay(day) ? cur.current + 1 : 1;
+  return {
+    streak: {
+      current,
+      best: Math.max(cur.best, current),
+      total: cur.total + 1,
+      lastDay: day,
+      lists: [id]
+    },
+    counted: true
+  };
+}
+
+/**
+ * streakStatus
+ * What the UI shows. A streak whose last day is older than yesterday is over.
+ * @param {Object} streak
+ * @param {number} [now]
+ * @returns {{current:number, best:number, total:number, today:boolean}}
+ */
+export function streakStatus(streak, now = Date.now()){
+  const s = repairStreak(streak);
+  const day = dayKey(now);
+  const today = s.lastDay === day;
+  const alive = today || s.lastDay === previousDay(day);
+
+  return { current: alive ? s.current : 0, best: s.best, total: s.total, today };
+}
+
+/**
+ * streakTitle
+ * "Racha: 3 días seguidos · Mejor: 5 · 12 viajes completados"
+ * @param {{current:number, best:number, total:number}} status
+ * @returns {string}
+ */
+export function streakTitle({ current, best, total }){
+  const days = current === 1 ? 'día seguido' : 'días seguidos';
+  const trips = total === 1 ? 'viaje completado' : 'viajes completados';
+  return `Racha: ${current} ${days} · Mejor: ${best} · ${total} ${trips}`;
+}
+
+/**
+ * repairStreak
+ * Older builds stored a bare counter of completions: it becomes `total`
+ * (no dates to rebuild a streak from).
+ * @param {any} raw
+ * @returns {Object} streak record
+ */
+export function repairStreak(raw){
+  if (typeof raw === 'number' || typeof raw === 'string'){
+    return { ...createStreak(), total: toCount(raw) };
+  }
+  if (!raw || typeof raw !== 'object') return createStreak();
+
+  const lastDay = isDayKey(raw.lastDay) ? raw.lastDay : null;
+  const current = lastDay ? toCount(raw.current) : 0;
+
+  return {
+    current,
+    best: Math.max(toCount(raw.best), current),
+    total: toCount(raw.total),
+    lastDay,
+    lists: lastDay && Array.isArray(raw.lists) ? [...new Set(raw.lists.map(String))].slice(0, 200) : []
+  };
+}
+
+/**
+ * mergeStreaks
+ * Backup merge: the record with the latest day drives the current streak,
+ * best/total keep the highest value.
+ * @returns {Object} streak record
+ */
+export function mergeStreaks(a, b){
+  const x = repairStreak(a);
+  const y = repairStreak(b);
+  const newer = (y.lastDay || '') > (x.lastDay || '') ? y : x;
+  const sameDay = x.lastDay && x.lastDay === y.lastDay;
+
+  return {
+    current: sameDay ? Math.max(x.current, y.current) : newer.current,
+    best: Math.max(x.best, y.best),
+    total: Math.max(x.total, y.total),
+    lastDay: newer.lastDay,
+    lists: sameDay ? [...new Set([...x.lists, ...y.lists])] : newer.lists
+  };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function previousDay(key){
+  const [y, m, d] = key.split('-').map(Number);
+  // Noon avoids DST edges when stepping back one day
+  return dayKey(new Date(y, m - 1, d - 1, 12).getTime());
+}
+
+function isDayKey(v){
+  return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+function toCount(v){
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, 999999) : 0;
+}
@@ -0,0 +1,262 @@
+/* =============================================================================
+  /src/sync.js — Cross-device sync of shared lists over HTTP
+  - Lists marked `shared` are pushed/pulled to `settings.sync.url`
+  - Merge is conflict-free (see syncdoc.js); the server only stores docs
+  - Dirty list ids are queued (and persisted) while offline, flushed when the
+    connection comes back
+  - Status for the UI: off | synced | syncing | offline | error
+
+  PROTOCOL (JSON, one resource per shared list)
+    GET  {url}/lists/{listId}
+      200 { "rev": "<opaque>", "doc": <sync doc> }
+      404 list not on the server yet
+    PUT  {url}/lists/{listId}
+      body { "baseRev": "<rev the doc was merged against>" | null, "doc": <sync doc> }
+      200 { "rev": "<new rev>" }
+      409 { "rev": "<current rev>", "doc": <current doc> }   baseRev is stale
+    Optional header: Authorization: Bearer <settings.sync.token>
+    A conforming stand-in server is ~50 lines: tools/sync-server.mjs
+============================================================================= */
+
+'use strict';
+
+import { docFromData, mergeDocs, dataFromDoc, sameDoc } from './syncdoc.js';
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * createSync
+ * @param {Object} p
+ * @param {Function} p.getConfig () => { url, token, device }
+ * @param {Function} p.getSharedLists () => Array<meta> (shared lists only)
+ * @param {Function} p.getData (listId) => Promise<data|null>
+ * @param {Function} p.applyData (listId, data, { meta, removedItems, removedCats }) => Promise|void
+ * @param {Function} p.loadShadow (listId) => Promise<{rev, doc}|null> last synced doc
+ * @param {Function} p.saveShadow (listId, {rev, doc}) => Promise
+ * @param {Function} p.loadQueue () => Promise<string[]>
+ * @param {Function} p.saveQueue (ids) => Promise
+ * @param {Function} [p.onStatus] (status) => void
+ * @param {Function} [p.fetch] defaults to window.fetch
+ * @param {number} [p.debounceMs] push delay after a local change
+ * @param {number} [p.pollMs] pull interval while visible
+ */
+export function createSync({
+  getConfig,
+  getSharedLists,
+  getData,
+  applyData,
+  loadShadow,
+  saveShadow,
+  loadQueue,
+  saveQueue,
+  onStatus = () => {},
+  fetch: fetchImpl = (...args) => fetch(...args),
+  debounceMs = 1200,
+  pollMs = 30000
+}){
+  let queue = new Set();
+  let status = { state: 'off', at: 0, pending: 0, error: null };
+  let pushTimer = null;
+  let pollTimer = null;
+  let running = null;
+  let again = false;
+  let applying = false;
+
+  const enabled = () => !!getConfig()?.url && getSharedLists().length > 0;
+
+  function setStatus(state, extra = {}){
+    status = { ...status, state, pending: queue.size, ...extra };
+    try{ onStatus(status); }catch{}
+  }
+
+  /**
+   * start
+   * Restores the persisted queue, listens for connectivity, starts polling.
+   */
+  async function start(){
+    try{ queue = new Set(await loadQueue() || []); }catch{ queue = new Set(); }
+
+    window.addEventListener('online', () => syncNow());
+    window.addEventListener('offline', () => enabled() && setStatus('offline'));
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) syncNow();
+    });
+
+    pollTimer = setInterval(() => {
+      if (!document.hidden) syncNow();
+    }, pollMs);
+
+    return syncNow();
+  }
+
+  function stop(){
+    clearInterval(pollTimer);
+    clearTimeout(pushTimer);
+  }
+
+  /**
+   * markDirty
+   * A shared list changed locally: queue it and push shortly.
+   * Ignored while this module is applying remote changes itself.
+   */
+  function markDirty(listId){
+    if (applying || !listId) return;
+    if (!getSharedLists().some(l => l.id === listId)) return;
+
+    queue.add(listId);
+    persistQueue();
+    setStatus(status.state === 'off' ? 'syncing' : status.state);
+
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(() => syncNow([listId]), debounceMs);
+  }
+
+  /**
+   * syncNow
+   * @param {string[]} [ids] defaults to every shared list (pull + push)
+   * @returns {Promise<Object>} status
+   */
+  async function syncNow(ids = null){
+    if (!enabled()){
+      setStatus('off');
+      return status;
+    }
+
+    // One cycle at a time; a request during a cycle runs one more after it
+    if (running){
+      again = true;
+      return running;
+    }
+
+    running = (async () => {
+      const shared = new Set(getSharedLists().map(l => l.id));
+      const targets = [...new Set([...(ids || shared), ...queue])].filter(id => shared.has(id));
+
+      setStatus('syncing');
+      try{
+        for (const id of targets){
+          await syncList(id);
+          queue.delete(id);
+        }
+        persistQueue();
+        setStatus('synced', { at: Date.now(), error: null });
+      }catch (err){
+        persistQueue();
+        setStatus(isOffline(err) ? 'offline' : 'error', { error: String(err?.message || err) });
+      }
+      return status;
+    })();
+
+    try{
+      return await running;
+    } finally {
+      running = null;
+      if (again){
+        again = false;
+        syncNow();
+      }
+    }
+  }
+
+  /* =========================
+     INTERNALS
+  ========================= */
+
+  async function syncList(id){
+    const cfg = getConfig();
+    const meta = getSharedLists().find(l => l.id === id);
+    const data = await getData(id);
+    if (!meta || !data) return;
+
+    const shadow = await loadShadow(id);
+    const mine = docFromData(shadow?.doc, data, { meta, device: cfg.device });
+    let local = mine;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++){
+      const remote = await request(cfg, 'GET', id);
+
+      // First contact with a list that already exists (a phone that just
+      // joined): its name/mode are placeholders, the server's must win
+      if (remote && !shadow) local = { ...local, list: {} };
+      const merged = remote ? mergeDocs(local, remote.doc) : local;
+
+      let rev = remote?.rev ?? null;
+      if (!remote || !sameDoc(merged, remote.doc)){
+        const res = await request(cfg, 'PUT', id, { baseRev: rev, doc: merged });
+        if (res?.conflict){
+          // Someone pushed in between: fold their doc in and try again
+          local = mergeDocs(merged, res.doc);
+          continue;
+        }
+        rev = res.rev;
+      }
+
+      await saveShadow(id, { rev, doc: merged });
+      // Nothing came from the server: local data already is the merged doc
+      // (re-applying would clear undo and repaint on every poll)
+      if (shadow && sameDoc(merged, mine)) return;
+      await apply(id, merged, data);
+      return;
+    }
+
+    throw new Error('SYNC_CONFLICT');
+  }
+
+  async function apply(id, doc, before){
+    const { data, meta } = dataFromDoc(doc, before);
+    const tombs = doc.tombstones || {};
+    const removedItems = (before.items || []).filter(it => tombs[`i:${it.id}`]).map(it => it.id);
+    const removedCats = (before.cats || []).filter(c => tombs[`c:${c.id}`]).map(c => c.id);
+
+    applying = true;
+    try{
+      await applyData(id, data, { meta, removedItems, removedCats });
+    } finally {
+      applying = false;
+    }
+  }
+
+  async function request(cfg, method, id, body){
+    const headers = { 'Accept': 'application/json' };
+    if (body) headers['Content-Type'] = 'application/json';
+    if (cfg.token) headers.Authorization = `Bearer ${cfg.token}`;
+
+    const res = await fetchImpl(`${cfg.url}/lists/${encodeURIComponent(id)}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (method === 'GET' && res.status === 404) return null;
+    if (method === 'PUT' && res.status === 409){
+      const cur = await res.json();
+      return { conflict: true, rev: cur?.rev ?? null, doc: cur?.doc };
+    }
+    if (!res.ok) throw new Error(`HTTP_${res.status}`);
+
+    const json = await res.json();
+    if (method === 'GET' && !json?.doc) throw new Error('BAD_RESPONSE');
+    return json;
+  }
+
+  function persistQueue(){
+    Promise.resolve(saveQueue([...queue])).catch(() => {});
+  }
+
+  return {
+    start,
+    stop,
+    markDirty,
+    syncNow,
+    status: () => status
+  };
+}
+
+/* =========================
+   HELPERS
+========================= */
+
+// fetch rejects with a TypeError when there's no network at all
+function isOffline(err){
+  return err instanceof TypeError || (typeof navigator !== 'undefined' && navigator.onLine === false);
+}
@@ -0,0 +1,241 @@
+/* =============================================================================
+  /src/syncdoc.js — Conflict-free sync documents (pure, no DOM, no network)
+  - A shared list travels as a "sync doc": every field is a last-writer-wins
+    register { v, t, d } (value, time, device) and deletes are tombstones
+  - docFromData: local list data → doc, diffed against the last synced doc
+    so only fields that actually changed get a new timestamp
+  - mergeDocs: commutative + idempotent, so both phones end up identical
+    whatever order the merges happen in
+  - dataFromDoc: doc → list data (the shape the rest of the app uses)
+  - Sync settings repair (settings.sync)
+============================================================================= */
+
+'use strict';
+
+import { itemQty, itemPacked, withQty, withPacked } from './items.js';
+
+export const SYNC_DOC_VERSION = 1;
+
+const LIST_FIELDS = ['name', 'mode', 'departAt'];
+const CAT_FIELDS  = ['name', 'emoji', 'order'];
+const ITEM_FIELDS = ['cat', 'name', 'emoji', 'qty', 'packed', 'order'];
+
+/**
+ * createSyncSettings
+ * @param {string} device this install's id (LWW tie-breaker)
+ * @returns {{url:string, token:string, device:string}}
+ */
+export function createSyncSettings(device = ''){
+  return { url: '', token: '', device: String(device || '') };
+}
+
+/**
+ * repairSyncSettings
+ * @param {any} raw
+ * @param {Function} [uid] used when the device id is missing
+ * @returns {{url:string, token:string, device:string}}
+ */
+export function repairSyncSettings(raw, uid = () => Math.random().toString(16).slice(2)){
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const url = String(s.url || '').trim().replace(/\/+$/, '');
+  return {
+    url: /^https?:\/\//i.test(url) ? url.slice(0, 300) : '',
+    token: String(s.token || '').slice(0, 300),
+    device: String(s.device || '').slice(0, 40) || String(uid())
+  };
+}
+
+/**
+ * createDoc
+ * @returns {Object} empty sync doc
+ */
+export function createDoc(){
+  return { v: SYNC_DOC_VERSION, list: {}, cats: {}, items: {}, tombstones: {} };
+}
+
+/**
+ * docFromData
+ * @param {Object|null} base last doc both sides agreed on (null = never synced)
+ * @param {Object} data local list data
+ * @param {Object} p
+ * @param {Object} p.meta list meta ({ name, departAt })
+ * @param {string} p.device
+ * @param {number} [p.now]
+ * @returns {Object} doc
+ */
+export function docFromData(base, data, { meta = {}, device, now = Date.now() }){
+  const prev = repairDoc(base);
+  const doc = { ...createDoc(), tombstones: { ...prev.tombstones } };
+
+  // A register only gets a new stamp when its value differs from `base`
+  const reg = (old, v, t) => (old && sameValue(old.v, v) ? old : { v, t: Math.max(t, (old?.t || 0) + 1), d: device });
+
+  const listValues = { name: meta.name ?? null, mode: data?.mode ?? null, departAt: meta.departAt ?? null };
+  for (const f of LIST_FIELDS) doc.list[f] = reg(prev.list[f], listValues[f], now);
+
+  const cats = Array.isArray(data?.cats) ? data.cats : [];
+  cats.forEach((c, order) => {
+    const old = prev.cats[c.id] || {};
+    const values = { name: c.name ?? null, emoji: c.emoji ?? null, order };
+    doc.cats[c.id] = Object.fromEntries(CAT_FIELDS.map(f => [f, reg(old[f], values[f], now)]));
+  });
+
+  const items = Array.isArray(data?.items) ? data.items : [];
+  items.forEach((it, order) => {
+    const old = prev.items[it.id] || {};
+    const values = {
+      cat: it.cat,
+      name: it.name,
+      emoji: it.emoji ?? null,
+      qty: itemQty(it),
+      packed: itemPacked(it),
+      order
+    };
+    // Edits carry their own time (made offline hours ago ≠ made now); a
+    // shifted position doesn't touch updatedAt, so it's stamped `now`
+    const t = (f) => (f === 'order' ? now : Math.min(now, it.updatedAt || now));
+    doc.items[it.id] = Object.fromEntries(ITEM_FIELDS.map(f => [f, reg(old[f], values[f], t(f))]));
+  });
+
+  // Whatever was in `base` and is gone now was deleted here
+  for (const id of Object.keys(prev.cats)){
+    if (!doc.cats[id]) doc.tombstones[`c:${id}`] = Math.max(now, doc.tombstones[`c:${id}`] || 0);
+  }
+  for (const id of Object.keys(prev.items)){
+    if (!doc.items[id]) doc.tombstones[`i:${id}`] = Math.max(now, doc.tombstones[`i:${id}`] || 0);
+  }
+
+  return prune(doc);
+}
+
+/**
+ * mergeDocs
+ * Per-register LWW (time, then device id), tombstones win over registers.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object} doc
+ */
+export function mergeDocs(a, b){
+  const x = repairDoc(a);
+  const y = repairDoc(b);
+  const doc = createDoc();
+
+  for (const f of LIST_FIELDS) setIf(doc.list, f, newer(x.list[f], y.list[f]));
+
+  for (const key of ['cats', 'items']){
+    const fields = key === 'cats' ? CAT_FIELDS : ITEM_FIELDS;
+    const ids = new Set([...Object.keys(x[key]), ...Object.keys(y[key])]);
+    for (const id of ids){
+      const l = x[key][id] || {};
+      const r = y[key][id] || {};
+      doc[key][id] = {};
+      for (const f of fields) setIf(doc[key][id], f, newer(l[f], r[f]));
+    }
+  }
+
+  for (const [k, t] of [...Object.entries(x.tombstones), ...Object.entries(y.tombstones)]){
+    doc.tombstones[k] = Math.max(t, doc.tombstones[k] || 0);
+  }
+
+  return prune(doc);
+}
+
+/**
+ * dataFromDoc
+ * @param {Object} doc
+ * @param {Object} [local] current local data (version/presets/flags are kept)
+ * @returns {{data:Object, meta:{name:string|null, departAt:number|null}}}
+ */
+export function dataFromDoc(doc, local = {}){
+  const d = repairDoc(doc);
+  const byOrder = (m) => Object.entries(m)
+    .sort(([ia, a], [ib, b]) => (a.order?.v ?? 0) - (b.order?.v ?? 0) || (ia < ib ? -1 : ia > ib ? 1 : 0));
+
+  const cats = byOrder(d.cats).map(([id, c]) => ({ id, name: c.name?.v ?? id, emoji: c.emoji?.v ?? null }));
+  const catIds = new Set(cats.map(c => c.id));
+
+  const items = byOrder(d.items).map(([id, r]) => {
+    // Registers from different phones may disagree (qty 3 + packed 4): clamp
+    const base = {
+      id,
+      cat: catIds.has(r.cat?.v) ? r.cat.v : (cats[0]?.id || String(r.cat?.v || '')),
+      name: String(r.name?.v ?? ''),
+      emoji: r.emoji?.v ?? null,
+      done: false,
+      updatedAt: Math.max(0, ...ITEM_FIELDS.filter(f => f !== 'order').map(f => r[f]?.t || 0))
+    };
+    return withPacked(withQty(base, r.qty?.v ?? 1), r.packed?.v ?? 0);
+  }).filter(it => it.name);
+
+  return {
+    data: {
+      ...local,
+      mode: d.list.mode?.v || local.mode || 'salida',
+      cats,
+      items
+    },
+    meta: {
+      name: d.list.name?.v ?? null,
+      departAt: d.list.departAt?.v ?? null
+    }
+  };
+}
+
+/**
+ * sameDoc
+ * Structural equality (key order doesn't matter).
+ */
+export function sameDoc(a, b){
+  return canonical(repairDoc(a)) === canonical(repairDoc(b));
+}
+
+/**
+ * repairDoc
+ * @param {any} raw
+ * @returns {Object} doc (unknown shapes → empty doc)
+ */
+export function repairDoc(raw){
+  if (!raw || typeof raw !== 'object' || raw.v !== SYNC_DOC_VERSION) return createDoc();
+  const obj = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? v : {});
+  return {
+    v: SYNC_DOC_VERSION,
+    list: obj(raw.list),
+    cats: obj(raw.cats),
+    items: obj(raw.items),
+    tombstones: obj(raw.tombstones)
+  };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function newer(a, b){
+  if (!a) return b;
+  if (!b) return a;
+  if (a.t !== b.t) return a.t > b.t ? a : b;
+  return String(a.d) >= String(b.d) ? a : b;
+}
+
+function setIf(obj, key, value){
+  if (value) obj[key] = value;
+}
+
+// Deleted things don't keep their registers around
+function prune(doc){
+  for (const id of Object.keys(doc.cats)) if (doc.tombstones[`c:${id}`]) delete doc.cats[id];
+  for (const id of Object.keys(doc.items)) if (doc.tombstones[`i:${id}`]) delete doc.items[id];
+  return doc;
+}
+
+function sameValue(a, b){
+  return a === b || (a == null && b == null);
+}
+
+function canonical(v){
+  if (Array.isArray(v)) return `[${v.map(canonical).join(',')}]`;
+  if (v && typeof v === 'object'){
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonical(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
@@ -0,0 +1,156 @@
+/* =============================================================================
+  /src/tabsync.js — Live sync between open tabs/windows of the app
+  - Transport: BroadcastChannel, or the `storage` event when it's missing
+  - Messages carry whole slices (data / lists / settings / templates / log)
+    plus the ids removed since the sender's previous state
+  - Merge (pure): per-item last-writer-wins on `updatedAt`, so two tabs
+    checking different items at the same time both keep their checks
+============================================================================= */
+
+'use strict';
+
+import { itemPacked } from './items.js';
+
+/**
+ * createTabSync
+ * @param {Object} p
+ * @param {string} p.name channel name (also the storage-event fallback key)
+ * @param {Function} p.onMessage (msg) => void, only for messages from other tabs
+ * @returns {{id:string, post:(msg:Object)=>void, close:()=>void, transport:string}}
+ */
+export function createTabSync({ name, onMessage = () => {} }){
+  const id = Math.random().toString(16).slice(2);
+  const receive = (msg) => {
+    if (!msg || typeof msg !== 'object' || msg.from === id) return;
+    // A message this tab can't apply is dropped; the next one carries the whole slice again
+    try{ onMessage(msg); }catch{}
+  };
+
+  if (typeof BroadcastChannel === 'function'){
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (e) => receive(e.data);
+    return {
+      id,
+      transport: 'broadcast',
+      post: (msg) => {
+        try{ channel.postMessage({ ...msg, from: id, at: msg.at || Date.now() }); }catch{}
+      },
+      close: () => channel.close()
+    };
+  }
+
+  // Fallback: other tabs get a `storage` event for every write to this key
+  const onStorage = (e) => {
+    if (e.key !== name || !e.newValue) return;
+    try{ receive(JSON.parse(e.newValue)); }catch{}
+  };
+  window.addEventListener('storage', onStorage);
+
+  return {
+    id,
+    transport: 'storage',
+    post: (msg) => {
+      try{
+        localStorage.setItem(name, JSON.stringify({ ...msg, from: id, at: msg.at || Date.now(), nonce: Math.random() }));
+      }catch{}
+    },
+    close: () => window.removeEventListener('storage', onStorage)
+  };
+}
+
+/**
+ * removedIds
+ * Ids present in `prev` but not in `next` (what the sender deleted).
+ * @param {Array<{id}>} prev
+ * @param {Array<{id}>} next
+ * @returns {string[]}
+ */
+export function removedIds(prev, next){
+  const keep = new Set((next || []).map(x => x.id));
+  return (prev || []).filter(x => !keep.has(x.id)).map(x => x.id);
+}
+
+/**
+ * mergeLiveData
+ * Incoming order wins (it's the latest reorder); each item keeps whichever
+ * side touched it last. Local-only items survive unless the sender removed
+ * them and nobody edited them here afterwards.
+ * @param {Object} local active list data in this tab
+ * @param {Object} incoming data from another tab
+ * @param {Object} [opts]
+ * @param {string[]} [opts.removedItems]
+ * @param {string[]} [opts.removedCats]
+ * @param {number} [opts.at] when the sender produced `incoming`
+ * @returns {Object} merged data
+ */
+export function mergeLiveData(local, incoming, { removedItems = [], removedCats = [], at = Date.now() } = {}){
+  if (!local) return incoming;
+  if (!incoming) return local;
+
+  const goneItems = new Set(removedItems);
+  const goneCats = new Set(removedCats);
+  const localItems = local.items || [];
+  const localById = new Map(localItems.map(it => [it.id, it]));
+
+  const items = (incoming.items || []).map(it => {
+    const mine = localById.get(it.id);
+    return mine && (mine.updatedAt || 0) > (it.updatedAt || 0) ? mine : it;
+  });
+
+  // Local-only items go back next to the item they followed here
+  const incomingIds = new Set(items.map(it => it.id));
+  localItems.forEach((it, i) => {
+    if (incomingIds.has(it.id)) return;
+    if (goneItems.has(it.id) && (it.updatedAt || 0) <= at) return;
+
+    const before = localItems.slice(0, i).reverse().find(x => incomingIds.has(x.id));
+    const pos = before ? items.findIndex(x => x.id === before.id) + 1 : 0;
+    items.splice(pos, 0, it);
+    incomingIds.add(it.id);
+  });
+
+  // Categories: incoming order + local-only ones, and never orphan an item
+  const cats = [...(incoming.cats || [])];
+  const catIds = new Set(cats.map(c => c.id));
+  const usedCats = new Set(items.map(it => it.cat));
+  for (const c of local.cats || []){
+    if (catIds.has(c.id)) continue;
+    if (goneCats.has(c.id) && !usedCats.has(c.id)) continue;
+    cats.push(c);
+    catIds.add(c.id);
+  }
+
+  const out = { ...local, ...incoming, cats, items };
+
+  // Same rule as actions.updateData: the trip starts with the first check
+  const starts = [local.startedAt, incoming.startedAt].filter(Boolean);
+  if (items.some(it => itemPacked(it) > 0) && starts.length) out.startedAt = Math.min(...starts);
+  else delete out.startedAt;
+
+  return out;
+}
+
+/**
+ * mergeLiveLists
+ * Library metas: newer `updatedAt` wins per list; removed ids drop out.
+ * @param {Array} local
+ * @param {Array} incoming
+ * @param {Object} [opts]
+ * @param {string[]} [opts.removed]
+ * @returns {Array}
+ */
+export function mergeLiveLists(local, incoming, { removed = [] } = {}){
+  const gone = new Set(removed);
+  const localById = new Map((local || []).map(l => [l.id, l]));
+
+  const lists = (incoming || []).map(l => {
+    const mine = localById.get(l.id);
+    return mine && (mine.updatedAt || 0) > (l.updatedAt || 0) ? mine : l;
+  });
+
+  const ids = new Set(lists.map(l => l.id));
+  for (const l of local || []){
+    if (!ids.has(l.id) && !gone.has(l.id)) lists.push(l);
+  }
+  return lists;
+}
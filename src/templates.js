@@ -0,0 +1,192 @@
+/* =============================================================================
+  /src/templates.js — User templates (pure, no DOM, no storage)
+  - A template is a saved list skeleton: categories + items (always unchecked)
+    plus a name, an emoji and one of the built-in themes
+  - Template ids double as the list `mode` ("tpl-…"), so presetFor/newPreset
+    treat them exactly like the built-in presets
+  - repair + merge helpers shared by storage, actions and backup
+  - combinePresets: several presets/templates → one skeleton (multi-mode lists)
+============================================================================= */
+
+'use strict';
+
+import { itemQty } from './items.js';
+import { normalizeText } from './utils.js';
+
+export const TEMPLATE_PREFIX = 'tpl-';
+
+/**
+ * isTemplateMode
+ * @param {string} mode
+ * @returns {boolean}
+ */
+export function isTemplateMode(mode){
+  return String(mode || '').startsWith(TEMPLATE_PREFIX);
+}
+
+/**
+ * createTemplate
+ * @param {Object} p
+ * @param {string} p.id without prefix (uid)
+ * @param {string} p.name
+ * @param {string} [p.emoji]
+ * @param {string} p.theme built-in mode whose colors it borrows
+ * @param {Object} p.data list data to copy categories/items from
+ * @returns {Object} template
+ */
+export function createTemplate({ id, name, emoji = null, theme, data }){
+  const now = Date.now();
+  return {
+    id: `${TEMPLATE_PREFIX}${id}`,
+    name: cleanName(name),
+    emoji: cleanEmoji(emoji),
+    theme: String(theme || 'salida'),
+    ...skeletonOf(data),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * skeletonOf
+ * Categories + items of a list without ids, checks or timestamps.
+ * @param {Object} data
+ * @returns {{cats:Array, items:Array}}
+ */
+export function skeletonOf(data){
+  const cats = (Array.isArray(data?.cats) ? data.cats : []).map(c => ({
+    id: String(c.id),
+    name: String(c.name || c.id),
+    emoji: c.emoji || null
+  }));
+
+  const items = (Array.isArray(data?.items) ? data.items : []).map(it => {
+    const out = { cat: String(it.cat), name: String(it.name), emoji: it.emoji || null };
+    if (itemQty(it) > 1) out.qty = itemQty(it);
+    return out;
+  });
+
+  return { cats, items };
+}
+
+/**
+ * combinePresets
+ * Categories merge by id (first preset's name/emoji and order win, new ones
+ * are appended); items are deduped by normalized name within a category,
+ * keeping the larger quantity.
+ * @param {Array<{cats:Array, items:Array}>} presets primary first
+ * @returns {{cats:Array, items:Array}}
+ */
+export function combinePresets(presets){
+  const cats = [];
+  const catIds = new Set();
+  const items = [];
+  const itemIndex = new Map();
+
+  for (const p of presets || []){
+    for (const c of p?.cats || []){
+      if (catIds.has(c.id)) continue;
+      catIds.add(c.id);
+      cats.push({ ...c });
+    }
+
+    for (const it of p?.items || []){
+      const key = `${it.cat}::${normalizeText(it.name)}`;
+      const i = itemIndex.get(key);
+      if (i == null){
+        itemIndex.set(key, items.length);
+        items.push({ ...it });
+      } else if (itemQty(it) > itemQty(items[i])){
+        items[i] = { ...items[i], qty: itemQty(it) };
+      }
+    }
+  }
+
+  return { cats, items };
+}
+
+/**
+ * templateLabel
+ * "🎸 Rider gira" (what the mode selector and default list names show)
+ */
+export function templateLabel(t){
+  return `${t?.emoji || '📌'} ${t?.name || 'Plantilla'}`;
+}
+
+/**
+ * repairTemplates
+ * @param {any} raw persisted array
+ * @param {Object} [opts]
+ * @param {string[]} [opts.themes] allowed theme keys (unknown → first one)
+ * @returns {Array} templates (bad entries dropped, ids unique)
+ */
+export function repairTemplates(raw, { themes = [] } = {}){
+  const arr = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const out = [];
+
+  for (const t of arr){
+    if (!t || typeof t !== 'object' || !isTemplateMode(t.id) || seen.has(t.id)) continue;
+    seen.add(t.id);
+
+    const { cats, items } = skeletonOf(t);
+    if (!cats.length) continue;
+    const catIds = new Set(cats.map(c => c.id));
+
+    out.push({
+      id: String(t.id),
+      name: cleanName(t.name),
+      emoji: cleanEmoji(t.emoji),
+      theme: themes.length && !themes.includes(t.theme) ? themes[0] : String(t.theme || 'salida'),
+      cats,
+      items: items.filter(it => catIds.has(it.cat) && it.name),
+      createdAt: toTime(t.createdAt),
+      updatedAt: toTime(t.updatedAt)
+    });
+  }
+
+  return out;
+}
+
+/**
+ * mergeTemplates
+ * Union by id; on conflict the newer `updatedAt` wins.
+ * @returns {{templates:Array, added:number, updated:number}}
+ */
+export function mergeTemplates(local, incoming){
+  const templates = [...(local || [])];
+  const indexById = new Map(templates.map((t, i) => [t.id, i]));
+  let added = 0;
+  let updated = 0;
+
+  for (const t of incoming || []){
+    const i = indexById.get(t.id);
+    if (i == null){
+      templates.push(t);
+      added++;
+    } else if ((t.updatedAt || 0) > (templates[i].updatedAt || 0)){
+      templates[i] = t;
+      updated++;
+    }
+  }
+
+  return { templates, added, updated };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function cleanName(v){
+  return String(v ?? '').trim().slice(0, 40) || 'Plantilla';
+}
+
+function cleanEmoji(v){
+  const e = String(v ?? '').trim().slice(0, 4);
+  return e || null;
+}
+
+function toTime(v){
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
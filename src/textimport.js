@@ -0,0 +1,228 @@
+/* =============================================================================
+  /src/textimport.js — Paste text → checklist (pure, no DOM)
+  - Understands the app's own share format (✅/⬜ lines under "emoji Name")
+  - Markdown task lists (- [ ] / - [x]) with # headings
+  - Plain text: one item per line, "Heading:" lines as categories
+  - Quantities: trailing "3/5" (packed/qty, as shared) or "×5" / "x5"
+  - planTextImport: match headings to existing categories or create new ones
+  - parseSharedText: what another app shared (title/text/url) → flat item list
+============================================================================= */
+
+'use strict';
+
+import { normalizeText, slugId } from './utils.js';
+import { MAX_QTY, withQty, withPacked } from './items.js';
+
+const CHECKED   = /^(?:✅|☑\uFE0F?|✔\uFE0F?|\[[xX]\])\s*/u;
+const UNCHECKED = /^(?:⬜|☐|⬛|🔲|\[\s\])\s*/u;
+const MD_TASK   = /^[-*+]\s+\[([ xX])\]\s+/;
+const BULLET    = /^(?:[-*+•·]|\d+[.)])\s+/;
+const MD_HEAD   = /^#{1,6}\s+/;
+const QTY_PACKED = /\s+(\d{1,2})\s*\/\s*(\d{1,2})$/;
+const QTY_TIMES  = /\s+[×xX]\s?(\d{1,2})$/;
+const LEAD_EMOJI = /^(\p{Extended_Pictographic}(?:\uFE0F|\u20E3|[\u{1F3FB}-\u{1F3FF}]|\u200D\p{Extended_Pictographic}\uFE0F?)*)\s*(.*)$/u;
+
+/**
+ * parseChecklistText
+ * @param {string} text
+ * @returns {{title:string|null, groups:Array<{heading:{name:string,emoji:string|null}|null, items:Array<{name:string,emoji:string|null,done:boolean,qty:number,packed:number}>}>}}
+ */
+export function parseChecklistText(text){
+  const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n').map(l => l.trim());
+
+  // If anything carries a checkbox, bare lines are headings (share format)
+  const hasChecks = lines.some(l => CHECKED.test(l) || UNCHECKED.test(l) || MD_TASK.test(l));
+
+  let title = null;
+  const groups = [];
+  let current = { heading: null, items: [] };
+  groups.push(current);
+
+  lines.forEach((line, idx) => {
+    if (!line) return;
+
+    // Share header: "🧳 Salida · Checklist"
+    if (idx === firstNonEmpty(lines) && /·\s*checklist$/i.test(line)){
+      title = line.replace(/\s*·\s*checklist$/i, '').trim();
+      return;
+    }
+
+    const item = parseItemLine(line, hasChecks);
+    if (item){
+      current.items.push(item);
+      return;
+    }
+
+    const heading = parseHeading(line.replace(MD_HEAD, '').replace(/:\s*$/, ''));
+    if (!heading.name) return;
+    current = { heading, items: [] };
+    groups.push(current);
+  });
+
+  return {
+    title,
+    groups: groups.filter(g => g.items.length)
+  };
+}
+
+/**
+ * planTextImport
+ * Maps parsed groups onto a list's categories.
+ * @param {Object} parsed from parseChecklistText
+ * @param {Object} data target list data ({ cats, items })
+ * @param {Object} opts
+ * @param {string} opts.fallbackCat category for items without a heading
+ * @param {Function} opts.uid () => string
+ * @returns {{cats:Array, items:Array, newCats:number, skipped:number}}
+ *   cats: categories to append, items: items to append (deduped by name per category)
+ */
+export function planTextImport(parsed, data, { fallbackCat = 'otros', uid } = {}){
+  const existing = Array.isArray(data?.cats) ? data.cats : [];
+  const byName = new Map(existing.map(c => [normalizeText(c.name), c.id]));
+  const usedIds = new Set(existing.map(c => c.id));
+
+  const cats = [];
+  const items = [];
+  const now = Date.now();
+
+  const seen = new Set((data?.items || []).map(it => `${it.cat}::${normalizeText(it.name)}`));
+  let skipped = 0;
+
+  for (const g of parsed?.groups || []){
+    let catId = fallbackCat;
+
+    if (g.heading){
+      const key = normalizeText(g.heading.name);
+      if (byName.has(key)){
+        catId = byName.get(key);
+      } else {
+        catId = slugId(g.heading.name, usedIds);
+        usedIds.add(catId);
+        byName.set(key, catId);
+        cats.push({ id: catId, name: g.heading.name.slice(0, 40), emoji: g.heading.emoji });
+      }
+    }
+
+    for (const it of g.items){
+      const key = `${catId}::${normalizeText(it.name)}`;
+      if (seen.has(key)){
+        skipped++;
+        continue;
+      }
+      seen.add(key);
+
+      const base = withQty({
+        id: typeof uid === 'function' ? String(uid()) : key,
+        cat: catId,
+        name: it.name.slice(0, 60),
+        emoji: it.emoji,
+        done: false,
+        updatedAt: now
+      }, it.qty || 1);
+      items.push(withPacked(base, it.done ? (it.qty || 1) : (it.packed || 0)));
+    }
+  }
+
+  return { cats, items, newCats: cats.length, skipped };
+}
+
+/**
+ * parseSharedText
+ * Web Share Target payload → items. Headings are dropped (the user picks the
+ * category), and a single chat line like "leche, pan y huevos" is split.
+ * @param {{title?:string, text?:string, url?:string}} shared
+ * @param {Object} [opts]
+ * @param {number} [opts.max]
+ * @returns {{title:string|null, items:Array<{name:string, emoji:string|null, qty:number}>}}
+ */
+export function parseSharedText({ title = '', text = '', url = '' } = {}, { max = 100 } = {}){
+  const parsed = parseChecklistText(text);
+  let items = parsed.groups.flatMap(g => g.items);
+
+  if (items.length === 1 && /[,;]/.test(items[0].name)){
+    const parts = items[0].name.split(/\s*[,;]\s*/).filter(Boolean);
+    const last = parts.pop() || '';
+    items = [...parts, ...last.split(/\s+y\s+/i)]
+      .map(p => p.trim())
+      .filter(Boolean)
+      .map(p => ({ ...splitEmoji(p), qty: 1 }));
+  }
+
+  // A shared page: its title is the item (the URL when there's no title)
+  const cleanTitle = String(title || '').trim();
+  const cleanUrl = String(url || '').trim();
+  if (!items.length && (cleanTitle || cleanUrl)) items = [{ name: cleanTitle || cleanUrl, emoji: null, qty: 1 }];
+
+  return {
+    title: parsed.title || cleanTitle || null,
+    items: items.slice(0, max).map(it => ({
+      name: it.name.slice(0, 60),
+      emoji: it.emoji || null,
+      qty: it.qty || 1
+    }))
+  };
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+function parseItemLine(line, hasChecks){
+  let rest = line;
+  let done = false;
+
+  const md = rest.match(MD_TASK);
+  if (md){
+    done = md[1].toLowerCase() === 'x';
+    rest = rest.slice(md[0].length);
+  } else if (CHECKED.test(rest)){
+    done = true;
+    rest = rest.replace(CHECKED, '');
+  } else if (UNCHECKED.test(rest)){
+    rest = rest.replace(UNCHECKED, '');
+  } else if (BULLET.test(rest)){
+    rest = rest.replace(BULLET, '');
+  } else if (hasChecks || MD_HEAD.test(rest) || /:\s*$/.test(rest)){
+    // bare line in a checkbox text, "# Heading" or "Heading:" → not an item
+    return null;
+  }
+
+  const { name: raw, emoji } = splitEmoji(rest);
+  const { name, qty, packed } = splitQty(raw);
+  if (!name) return null;
+  return { name, emoji, done: done || (qty > 1 && packed >= qty), qty, packed: done ? qty : packed };
+}
+
+// "Medias 3/5" → { name:'Medias', qty:5, packed:3 } · "Medias ×5" → qty 5
+function splitQty(s){
+  const pm = s.match(QTY_PACKED);
+  if (pm){
+    const packed = Number(pm[1]);
+    const qty = Number(pm[2]);
+    if (qty > 1 && qty <= MAX_QTY && packed <= qty){
+      return { name: s.slice(0, pm.index).trim(), qty, packed };
+    }
+  }
+
+  const tm = s.match(QTY_TIMES);
+  if (tm){
+    const qty = Number(tm[1]);
+    if (qty > 1 && qty <= MAX_QTY) return { name: s.slice(0, tm.index).trim(), qty, packed: 0 };
+  }
+
+  return { name: s, qty: 1, packed: 0 };
+}
+
+function parseHeading(line){
+  return splitEmoji(line);
+}
+
+function splitEmoji(s){
+  const m = String(s).trim().match(LEAD_EMOJI);
+  if (!m) return { name: String(s).trim(), emoji: null };
+  return { name: m[2].trim(), emoji: m[1] || null };
+}
+
+function firstNonEmpty(lines){
+  return lines.findIndex(l => !!l);
+}
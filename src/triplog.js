@@ -0,0 +1,149 @@
+/* =============================================================================
+  /src/triplog.js — Trip history log (pure, no DOM, no storage)
+  - One entry per completion, reset or mode change, newest last
+  - Entries carry counts, time-to-complete (from the first check) and a
+    snapshot of the list so a past trip can be re-opened as a new list
+  - Capped: oldest entries are dropped first
+============================================================================= */
+
+'use strict';
+
+import { summarizeData } from './lists.js';
+
+export const LOG_LIMIT = 200;
+
+export const LOG_TYPES = ['complete', 'reset', 'mode'];
+
+/**
+ * createLogEntry
+ * @param {Object} p
+ * @param {string} p.id
+ * @param {'complete'|'reset'|'mode'} p.type
+ * @param {Object} p.meta list meta ({ id, name })
+ * @param {Object} p.data list data at that moment (before a reset/mode change)
+ * @param {number} [p.now]
+ * @returns {Object} entry
+ */
+export function createLogEntry({ id, type, meta, data, now = Date.now() }){
+  const startedAt = toTime(data?.startedAt);
+  const { done, total } = summarizeData(data);
+
+  return {
+    id: String(id),
+    type: LOG_TYPES.includes(type) ? type : 'complete',
+    at: now,
+    listId: String(meta?.id || ''),
+    listName: String(meta?.name || 'Lista'),
+    mode: String(data?.mode || meta?.mode || 'salida'),
+    done,
+    total,
+    startedAt: startedAt || null,
+    // Only meaningful for completions; null when nothing was checked
+    durationMs: type === 'complete' && startedAt ? Math.max(0, now - startedAt) : null,
+    snapshot: snapshotOf(data)
+  };
+}
+
+/**
+ * appendLogEntry
+ * @param {Array} log
+ * @param {Object} entry
+ * @param {number} [limit]
+ * @returns {Array} new log
+ */
+export function appendLogEntry(log, entry, limit = LOG_LIMIT){
+  const next = [...(Array.isArray(log) ? log : []), entry];
+  return next.length > limit ? next.slice(next.length - limit) : next;
+}
+
+/**
+ * hasCompletion
+ * Whether this run of the list (same first check) is already logged as complete.
+ * @param {Array} log
+ * @param {string} listId
+ * @param {number} startedAt data.startedAt of the run
+ * @returns {boolean}
+ */
+export function hasCompletion(log, listId, startedAt){
+  const at = toTime(startedAt);
+  if (!at) return false;
+  return (Array.isArray(log) ? log : []).some(e =>
+    e?.type === 'complete' && e.listId === String(listId || '') && e.startedAt === at
+  );
+}
+
+/**
+ * repairLog
+ * @param {any} raw persisted array
+ * @returns {Array} valid entries, sorted by time
+ */
+export function repairLog(raw){
+  const arr = Array.isArray(raw) ? raw : [];
+  const seen = new Set();
+  const out = [];
+
+  for (const e of arr){
+    if (!e || typeof e !== 'object' || !e.id || seen.has(String(e.id))) continue;
+    const at = toTime(e.at);
+    if (!at) continue;
+    seen.add(String(e.id));
+
+    out.push({
+      id: String(e.id),
+      type: LOG_TYPES.includes(e.type) ? e.type : 'complete',
+      at,
+      listId: String(e.listId || ''),
+      listName: String(e.listName || 'Lista').slice(0, 40),
+      mode: String(e.mode || 'salida'),
+      done: toCount(e.done),
+      total: toCount(e.total),
+      startedAt: toTime(e.startedAt) || null,
+      durationMs: e.durationMs == null || !Number.isFinite(Number(e.durationMs)) ? null : Math.max(0, Number(e.durationMs)),
+      snapshot: e.snapshot && Array.isArray(e.snapshot.cats) && Array.isArray(e.snapshot.items) ? e.snapshot : null
+    });
+  }
+
+  out.sort((a, b) => a.at - b.at);
+  return out.slice(-LOG_LIMIT);
+}
+
+/**
+ * formatDuration
+ * "45 min", "2 h 10 min", "3 d 4 h"
+ * @param {number|null} ms
+ * @returns {string}
+ */
+export function formatDuration(ms){
+  if (ms == null || !Number.isFinite(ms)) return '';
+  const min = Math.max(1, Math.round(ms / 60000));
+  if (min < 60) return `${min} min`;
+
+  const h = Math.floor(min / 60);
+  if (h < 24) return min % 60 ? `${h} h ${min % 60} min` : `${h} h`;
+
+  const d = Math.floor(h / 24);
+  return h % 24 ? `${d} d ${h % 24} h` : `${d} d`;
+}
+
+/* =========================
+   INTERNALS
+========================= */
+
+// Just what a re-opened list needs (no ids: they're regenerated)
+function snapshotOf(data){
+  return {
+    mode: String(data?.mode || 'salida'),
+    cats: (Array.isArray(data?.cats) ? data.cats : []).map(c => ({ ...c })),
+    items: (Array.isArray(data?.items) ? data.items : []).map(({ id, updatedAt, ...rest }) => ({ ...rest }))
+  };
+}
+
+function toTime(v){
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+}
+
+function toCount(v){
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
@@ -1,13 +1,42 @@
 /* =============================================================================
   /src/ui.js — UI glue (modals, buttons, mobile-only, focus)
   - Mobile-only enforcement (soft) with DEV bypass
-  - Open/close modals (settings/add) + focus restore
-  - Button bindings (reset/add/settings/share/selectAll/uncheckAll/wipe)
+  - Open/close modals (settings/add/lists) + focus restore
+  - Add modal doubles as the edit sheet (openEdit prefills it)
+  - Button bindings (reset/add/settings/lists/share/selectAll/uncheckAll/wipe)
+  - List library modal (open/rename/duplicate/archive/delete/create)
+  - Backup export (download) + import (file → preview → merge/replace)
+  - Data check (what a reload of the active list would migrate/repair)
+  - Text import modal (paste → live preview → add to list / new list)
+  - Category manager modal (create, rename, re-emoji, reorder, delete)
+  - Templates modal (save current list as template, edit, refresh, delete)
+  - Historial modal (past trips → re-open as a new list)
+  - Departure modal (date per list, reminder toggle + offsets, permission)
+  - Sync modal (server, share the current list, join by code, sync now)
+  - Share sheet (list → `#lista=` link or QR codes) + preview of a received link
+  - QR scanner modal (camera or image → same preview as a link)
+  - Shared-in sheet (text from other apps → pick items, list, category)
   - Sync settings inputs with store
 ============================================================================= */
 
 'use strict';
 
+import {
+  renderImportPreview,
+  renderDataCheck,
+  renderAddCategories,
+  renderCategoryManager,
+  renderModeChips,
+  renderStreak,
+  renderReminderOffsets,
+  renderSyncStatus,
+  renderLinkPreview,
+  renderQR,
+  renderListOptions,
+  renderSharedItems
+} from './render.js';
+import { cssEsc } from './utils.js';
+
 /**
  * initUI
  * @param {Object} cfg
@@ -16,10 +45,14 @@
  * @param {Object} cfg.actions actions from actions.js
  * @param {Object} cfg.fx { toast, haptic, unlockAudio }
  * @param {Object} cfg.storage { wipeAllStorage? optional }
+ * @param {Function} cfg.modeOptions () => { builtins, templates } (new-list preset picker)
+ * @param {Object} cfg.notifier from notify.js (reminder permission + capabilities)
+ * @param {Object} cfg.sync from sync.js (syncNow + status)
+ * @param {Object} cfg.scanner from qrscan.js (camera / image QR reading)
  * @param {Function} cfg.onAfterStateChange called after actions that change state (so app.js can rerender)
  */
 export function initUI(cfg){
-  const { els, store, actions, fx, storage, onAfterStateChange } = cfg;
+  const { els, store, actions, fx, storage, modeOptions, notifier, sync, scanner, onAfterStateChange } = cfg;
 
   // Dev bypass: allow desktop testing if running on localhost or file://
   const DEV_BYPASS = isDevEnv();
@@ -43,6 +76,39 @@ export function initUI(cfg){
   // Bind add modal create
   bindAddModal({ els, store, actions, fx, onAfterStateChange });
 
+  // Bind list library modal
+  bindListsModal({ els, store, actions, modeOptions, onAfterStateChange });
+
+  // Bind backup export/import
+  bindBackup({ els, actions, fx, onAfterStateChange });
+
+  // Bind text import modal
+  bindTextImport({ els, store, actions, fx, onAfterStateChange });
+
+  // Bind category manager
+  bindCategoryManager({ els, store, actions, fx, onAfterStateChange });
+
+  // Bind templates modal
+  bindTemplates({ els, store, actions, fx, onAfterStateChange });
+
+  // Bind trip history modal
+  bindTripLog({ els, actions, fx, onAfterStateChange });
+
+  // Bind departure date + reminders modal
+  bindDeparture({ els, store, actions, fx, notifier, onAfterStateChange });
+
+  // Bind cross-device sync modal
+  bindSync({ els, store, actions, fx, sync, onAfterStateChange });
+
+  // Bind share sheet (link + QR), QR scanner and received link preview
+  const links = bindShareLink({ els, store, actions, fx, scanner, onAfterStateChange });
+
+  // Bind the sheet for text shared from other apps
+  const shared = bindSharedIn({ els, store, actions, fx, onAfterStateChange });
+
+  // Undo/redo shortcuts
+  bindHistoryKeys({ els, actions, onAfterStateChange });
+
   // Keep inputs synced when settings change
   store?.subscribe?.((prev, next) => {
     if (prev?.settings !== next?.settings){
@@ -55,7 +121,12 @@ export function initUI(cfg){
     openSettings: () => openSettings(els, fx),
     closeSettings: () => closeSettings(els),
     openAdd: () => openAdd(els, fx),
+    openEdit: (id) => openEdit(els, fx, store.getState?.(), id),
     closeAdd: () => closeAdd(els),
+    openLists: () => openLists(els, fx),
+    closeLists: () => closeLists(els),
+    previewLink: (token) => links.preview(token),
+    openShared: (payload) => shared.open(payload),
     sync: () => syncSettingsInputs(els, store.getState?.())
   };
 }
@@ -118,6 +189,11 @@ function bindButtons({ els, store, actions, fx, storage, onAfterStateChange }){
     openSettings(els, fx, { returnFocusEl: els.btnSettings });
   });
 
+  els.btnLists?.addEventListener('click', () => {
+    safe(() => fx?.unlockAudio?.());
+    openLists(els, fx, { returnFocusEl: els.btnLists });
+  });
+
   els.btnSelectAll?.addEventListener('click', () => {
     safe(() => fx?.unlockAudio?.());
     actions.setAll?.(true);
@@ -138,13 +214,13 @@ function bindButtons({ els, store, actions, fx, storage, onAfterStateChange }){
     // share doesn't change state usually
   });
 
-  els.btnWipe?.addEventListener('click', () => {
+  els.btnWipe?.addEventListener('click', async () => {
     // Soft confirm (prevents accidental "oops I deleted my life")
     const ok = confirm('¿Seguro que quieres borrar TODO? (listas + progreso)');
     if (!ok) return;
 
     // optional hard wipe storage first
-    safe(() => storage?.wipeAllStorage?.());
+    try{ await storage?.wipeAllStorage?.(); }catch{}
     actions.wipeAll?.();
     closeSettings(els);
     onAfterStateChange?.();
@@ -168,11 +244,119 @@ function bindOverlays({ els, fx }){
     if (e.target === els.addOverlay) closeAdd(els);
   });
 
+  // Lists
+  els.btnCloseLists?.addEventListener('click', () => closeLists(els));
+  els.listsOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.listsOverlay) closeLists(els);
+  });
+
+  // Import preview
+  els.btnCloseImport?.addEventListener('click', () => closeImport(els));
+  els.importOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.importOverlay) closeImport(els);
+  });
+
+  // Text import
+  els.btnCloseText?.addEventListener('click', () => closeTextImport(els));
+  els.textOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.textOverlay) closeTextImport(els);
+  });
+
+  // Categories
+  els.btnCloseCats?.addEventListener('click', () => closeCats(els));
+  els.catsOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.catsOverlay) closeCats(els);
+  });
+
+  // Templates
+  els.btnCloseTemplates?.addEventListener('click', () => closeTemplates(els));
+  els.templatesOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.templatesOverlay) closeTemplates(els);
+  });
+
+  // Historial
+  els.btnCloseHistory?.addEventListener('click', () => closeHistory(els));
+  els.historyOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.historyOverlay) closeHistory(els);
+  });
+
+  // Sincronizar
+  els.btnCloseSync?.addEventListener('click', () => closeSync(els));
+  els.syncOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.syncOverlay) closeSync(els);
+  });
+
+  // Enlace
+  els.btnCloseLink?.addEventListener('click', () => closeLink(els));
+  els.linkOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.linkOverlay) closeLink(els);
+  });
+  els.btnCloseScan?.addEventListener('click', () => closeScan(els));
+  els.scanOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.scanOverlay) closeScan(els);
+  });
+  els.btnCloseShared?.addEventListener('click', () => closeShared(els));
+  els.sharedOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.sharedOverlay) closeShared(els);
+  });
+  els.btnCloseLinkImport?.addEventListener('click', () => closeLinkImport(els));
+  els.linkImportOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.linkImportOverlay) closeLinkImport(els);
+  });
+
+  // Salida
+  els.btnCloseDepart?.addEventListener('click', () => closeDepart(els));
+  els.departOverlay?.addEventListener('click', (e) => {
+    if (e.target === els.departOverlay) closeDepart(els);
+  });
+
   // ESC to close
   window.addEventListener('keydown', (e) => {
     if (e.key !== 'Escape') return;
+    if (els.sharedOverlay?.classList.contains('show')){
+      closeShared(els);
+      return;
+    }
+    if (els.linkImportOverlay?.classList.contains('show')){
+      closeLinkImport(els);
+      return;
+    }
+    if (els.scanOverlay?.classList.contains('show')){
+      closeScan(els);
+      return;
+    }
+    if (els.linkOverlay?.classList.contains('show')){
+      closeLink(els);
+      return;
+    }
+    if (els.syncOverlay?.classList.contains('show')){
+      closeSync(els);
+      return;
+    }
+    if (els.departOverlay?.classList.contains('show')){
+      closeDepart(els);
+      return;
+    }
+    if (els.historyOverlay?.classList.contains('show')){
+      closeHistory(els);
+      return;
+    }
+    if (els.templatesOverlay?.classList.contains('show')){
+      closeTemplates(els);
+      return;
+    }
+    if (els.catsOverlay?.classList.contains('show')){
+      closeCats(els);
+      return;
+    }
+    if (els.importOverlay?.classList.contains('show')){
+      closeImport(els);
+      return;
+    }
+    if (els.textOverlay?.classList.contains('show')) closeTextImport(els);
     if (els.addOverlay?.classList.contains('show')) closeAdd(els);
     if (els.settingsOverlay?.classList.contains('show')) closeSettings(els);
+    if (els.listsOverlay?.classList.contains('show')) closeLists(els);
   }, { passive:true });
 
   // Basic focus trap inside open modals
@@ -180,8 +364,20 @@ function bindOverlays({ els, fx }){
     if (e.key !== 'Tab') return;
 
     const activeOverlay =
+      els.sharedOverlay?.classList.contains('show') ? els.sharedOverlay :
+      els.linkImportOverlay?.classList.contains('show') ? els.linkImportOverlay :
+      els.scanOverlay?.classList.contains('show') ? els.scanOverlay :
+      els.linkOverlay?.classList.contains('show') ? els.linkOverlay :
+      els.syncOverlay?.classList.contains('show') ? els.syncOverlay :
+      els.departOverlay?.classList.contains('show') ? els.departOverlay :
+      els.historyOverlay?.classList.contains('show') ? els.historyOverlay :
+      els.templatesOverlay?.classList.contains('show') ? els.templatesOverlay :
+      els.catsOverlay?.classList.contains('show') ? els.catsOverlay :
+      els.importOverlay?.classList.contains('show') ? els.importOverlay :
+      els.textOverlay?.classList.contains('show') ? els.textOverlay :
       els.addOverlay?.classList.contains('show') ? els.addOverlay :
       els.settingsOverlay?.classList.contains('show') ? els.settingsOverlay :
+      els.listsOverlay?.classList.contains('show') ? els.listsOverlay :
       null;
 
     if (!activeOverlay) return;
@@ -209,6 +405,13 @@ function bindOverlays({ els, fx }){
 
 let lastFocusEl = null;
 
+// Set by bindShareLink: stop the QR carousel / the camera when their modal closes
+let onLinkClose = null;
+let onScanClose = null;
+
+// Item being edited through the Add modal (null = adding)
+let editingId = null;
+
 export function openSettings(els, fx, { returnFocusEl = null } = {}){
   if (!els.settingsOverlay) return;
 
@@ -216,6 +419,7 @@ export function openSettings(els, fx, { returnFocusEl = null } = {}){
 
   els.settingsOverlay.classList.add('show');
   els.settingsOverlay.setAttribute('aria-hidden', 'false');
+  renderDataCheck(null, els.dataCheck); // a previous check may be about another list
   safe(() => fx?.haptic?.(8));
 
   // Focus first focusable
@@ -237,8 +441,11 @@ export function openAdd(els, fx, { returnFocusEl = null } = {}){
 
   lastFocusEl = returnFocusEl || document.activeElement;
 
+  editingId = null;
+  setAddModalMode(els, 'add');
   if (els.newName) els.newName.value = '';
   if (els.newEmoji) els.newEmoji.value = '';
+  if (els.newQty) els.newQty.value = '1';
 
   els.addOverlay.classList.add('show');
   els.addOverlay.setAttribute('aria-hidden', 'false');
@@ -247,6 +454,47 @@ export function openAdd(els, fx, { returnFocusEl = null } = {}){
   safe(() => fx?.haptic?.(8));
 }
 
+/**
+ * openEdit
+ * Same sheet as Add, prefilled with the item and saving through editItem.
+ * @param {Object} els
+ * @param {Object} fx
+ * @param {Object} state
+ * @param {string} id item id
+ */
+export function openEdit(els, fx, state, id){
+  if (!els.addOverlay) return;
+
+  const it = (state?.data?.items || []).find(x => x.id === id);
+  if (!it) return;
+
+  // Row buttons get re-rendered after saving: fall back to the row's fresh node
+  lastFocusEl = { focus: () => document.querySelector(`.item[data-id="${cssEsc(id)}"] [data-action="edit"]`)?.focus?.() };
+
+  editingId = id;
+  setAddModalMode(els, 'edit');
+  if (els.newName) els.newName.value = it.name || '';
+  if (els.newEmoji) els.newEmoji.value = it.emoji || '';
+  if (els.newCat) els.newCat.value = it.cat;
+  if (els.newQty) els.newQty.value = String(it.qty || 1);
+
+  els.addOverlay.classList.add('show');
+  els.addOverlay.setAttribute('aria-hidden', 'false');
+
+  setTimeout(() => {
+    els.newName?.focus();
+    els.newName?.select?.();
+  }, 60);
+  safe(() => fx?.haptic?.(8));
+}
+
+function setAddModalMode(els, mode){
+  const editing = mode === 'edit';
+  if (els.addTitle) els.addTitle.textContent = editing ? 'Editar' : 'Agregar';
+  if (els.btnCreate) els.btnCreate.textContent = editing ? 'Guardar cambios' : 'Agregar a la lista';
+  if (els.btnOpenTextImport) els.btnOpenTextImport.hidden = editing;
+}
+
 export function closeAdd(els){
   if (!els.addOverlay) return;
   els.addOverlay.classList.remove('show');
@@ -254,6 +502,269 @@ export function closeAdd(els){
   restoreFocus();
 }
 
+export function openLists(els, fx, { returnFocusEl = null } = {}){
+  if (!els.listsOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  if (els.newListName) els.newListName.value = '';
+
+  els.listsOverlay.classList.add('show');
+  els.listsOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => {
+    const current = els.listsList?.querySelector('[aria-current="true"]');
+    (current || getFocusables(els.listsOverlay)[0] || els.listsOverlay).focus?.();
+  }, 40);
+}
+
+export function closeLists(els){
+  if (!els.listsOverlay) return;
+  els.listsOverlay.classList.remove('show');
+  els.listsOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openImport(els, fx){
+  if (!els.importOverlay) return;
+
+  // Opened from Settings: focus returns there when the preview closes
+  lastFocusEl = els.btnImportBackup || document.activeElement;
+
+  els.importOverlay.classList.add('show');
+  els.importOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.btnImportMerge?.focus(), 40);
+}
+
+export function closeImport(els){
+  if (!els.importOverlay) return;
+  els.importOverlay.classList.remove('show');
+  els.importOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openTextImport(els, fx, state, { returnFocusEl = null } = {}){
+  if (!els.textOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  renderAddCategories(state, els.importTextCat);
+  if (els.importTextCat){
+    const active = state?.activeCat;
+    const cats = state?.data?.cats || [];
+    els.importTextCat.value = cats.some(c => c.id === active) ? active
+      : cats.some(c => c.id === 'otros') ? 'otros'
+      : (cats[0]?.id || '');
+  }
+
+  els.textOverlay.classList.add('show');
+  els.textOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.importText?.focus(), 60);
+}
+
+export function closeTextImport(els){
+  if (!els.textOverlay) return;
+  els.textOverlay.classList.remove('show');
+  els.textOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openCats(els, fx, { returnFocusEl = null } = {}){
+  if (!els.catsOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  if (els.newCatName) els.newCatName.value = '';
+  if (els.newCatEmoji) els.newCatEmoji.value = '';
+
+  els.catsOverlay.classList.add('show');
+  els.catsOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.newCatName?.focus(), 60);
+}
+
+export function closeCats(els){
+  if (!els.catsOverlay) return;
+  els.catsOverlay.classList.remove('show');
+  els.catsOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openTemplates(els, fx, state, { returnFocusEl = null } = {}){
+  if (!els.templatesOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  // Suggest the list's own name and the colors it's showing right now
+  const meta = (state?.lists || []).find(l => l.id === state?.activeListId);
+  if (els.newTemplateName) els.newTemplateName.value = meta?.name || '';
+  if (els.newTemplateEmoji) els.newTemplateEmoji.value = '';
+  if (els.newTemplateTheme) els.newTemplateTheme.value = document.documentElement.dataset.mode || 'salida';
+
+  els.templatesOverlay.classList.add('show');
+  els.templatesOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => {
+    els.newTemplateName?.focus();
+    els.newTemplateName?.select?.();
+  }, 60);
+}
+
+export function closeTemplates(els){
+  if (!els.templatesOverlay) return;
+  els.templatesOverlay.classList.remove('show');
+  els.templatesOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openHistory(els, fx, { returnFocusEl = null } = {}){
+  if (!els.historyOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  els.historyOverlay.classList.add('show');
+  els.historyOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => (getFocusables(els.historyOverlay)[0] || els.historyOverlay).focus?.(), 40);
+}
+
+export function closeHistory(els){
+  if (!els.historyOverlay) return;
+  els.historyOverlay.classList.remove('show');
+  els.historyOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openDepart(els, fx, state, { returnFocusEl = null } = {}){
+  if (!els.departOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  const meta = (state?.lists || []).find(l => l.id === state?.activeListId);
+  if (els.departAt) els.departAt.value = toLocalInput(meta?.departAt);
+
+  els.departOverlay.classList.add('show');
+  els.departOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.departAt?.focus(), 60);
+}
+
+export function closeDepart(els){
+  if (!els.departOverlay) return;
+  els.departOverlay.classList.remove('show');
+  els.departOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openSync(els, fx, { returnFocusEl = null } = {}){
+  if (!els.syncOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  els.syncOverlay.classList.add('show');
+  els.syncOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => (getFocusables(els.syncOverlay)[0] || els.syncOverlay).focus?.(), 40);
+}
+
+export function closeSync(els){
+  if (!els.syncOverlay) return;
+  els.syncOverlay.classList.remove('show');
+  els.syncOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openLink(els, fx, { returnFocusEl = null } = {}){
+  if (!els.linkOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  els.linkOverlay.classList.add('show');
+  els.linkOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.btnShareLink?.focus(), 40);
+}
+
+export function closeLink(els){
+  if (!els.linkOverlay) return;
+  safe(() => onLinkClose?.());
+  els.linkOverlay.classList.remove('show');
+  els.linkOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openScan(els, fx, { returnFocusEl = null } = {}){
+  if (!els.scanOverlay) return;
+
+  lastFocusEl = returnFocusEl || document.activeElement;
+
+  els.scanOverlay.classList.add('show');
+  els.scanOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.btnScanImage?.focus(), 40);
+}
+
+export function closeScan(els){
+  if (!els.scanOverlay) return;
+  // The camera must never stay on behind a closed modal
+  safe(() => onScanClose?.());
+  els.scanOverlay.classList.remove('show');
+  els.scanOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openLinkImport(els, fx){
+  if (!els.linkImportOverlay) return;
+
+  // Opened on launch, nothing meaningful to return to
+  lastFocusEl = document.activeElement;
+
+  els.linkImportOverlay.classList.add('show');
+  els.linkImportOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.btnLinkImport?.focus(), 40);
+}
+
+export function closeLinkImport(els){
+  if (!els.linkImportOverlay) return;
+  els.linkImportOverlay.classList.remove('show');
+  els.linkImportOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
+export function openShared(els, fx){
+  if (!els.sharedOverlay) return;
+
+  // Opened on launch (share target), nothing meaningful to return to
+  lastFocusEl = document.activeElement;
+
+  els.sharedOverlay.classList.add('show');
+  els.sharedOverlay.setAttribute('aria-hidden', 'false');
+  safe(() => fx?.haptic?.(8));
+
+  setTimeout(() => els.btnAddShared?.focus(), 40);
+}
+
+export function closeShared(els){
+  if (!els.sharedOverlay) return;
+  els.sharedOverlay.classList.remove('show');
+  els.sharedOverlay.setAttribute('aria-hidden', 'true');
+  restoreFocus();
+}
+
 function restoreFocus(){
   try{
     if (lastFocusEl && typeof lastFocusEl.focus === 'function'){
@@ -272,7 +783,7 @@ function syncSettingsInputs(els, state){
   if (els.tripMode) els.tripMode.value = s.tripMode || 'salida';
   if (els.toggleMotion) els.toggleMotion.checked = !!s.motion;
   if (els.toggleSound) els.toggleSound.checked = !!s.sound;
-  if (els.streakChip) els.streakChip.textContent = `✨ ${s.streak || 0}`;
+  renderStreak(state, els.streakChip);
 }
 
 function bindSettingsInputs({ els, store, actions, fx, onAfterStateChange }){
@@ -314,12 +825,11 @@ function bindAddModal({ els, store, actions, fx, onAfterStateChange }){
     const name  = (els.newName?.value || '').trim();
     const emoji = (els.newEmoji?.value || '').trim();
     const cat   = els.newCat?.value || 'otros';
+    const qty   = Number(els.newQty?.value) || 1;
 
-    const res = actions.createItem?.({
-      name,
-      emoji,
-      cat
-    });
+    const res = editingId
+      ? actions.editItem?.(editingId, { name, emoji, cat, qty })
+      : actions.createItem?.({ name, emoji, cat, qty });
 
     if (!res?.ok){
       // Shake modal if empty name and motion is on
@@ -352,6 +862,896 @@ function bindAddModal({ els, store, actions, fx, onAfterStateChange }){
   });
 }
 
+/* =========================
+   Lists modal (library)
+========================= */
+
+function bindListsModal({ els, store, actions, modeOptions, onAfterStateChange }){
+  // Presets for the next list, in pick order (first = primary: theme + default name)
+  let pickedModes = [];
+
+  function paintModes(){
+    renderModeChips(els.newListModes, modeOptions?.() || {}, pickedModes);
+  }
+
+  els.btnLists?.addEventListener('click', () => {
+    pickedModes = [store.getState?.()?.settings?.tripMode || 'salida'];
+    paintModes();
+  });
+
+  els.newListModes?.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-mode]');
+    if (!chip) return;
+
+    const mode = chip.dataset.mode;
+    if (pickedModes.includes(mode)){
+      if (pickedModes.length === 1) return; // a list needs at least one preset
+      pickedModes = pickedModes.filter(m => m !== mode);
+    } else {
+      pickedModes = [...pickedModes, mode];
+    }
+
+    paintModes();
+    els.newListModes.querySelector(`[data-mode="${cssEsc(mode)}"]`)?.focus();
+  });
+
+  els.listsList?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('[data-list-action]');
+    const row = e.target.closest('[data-list-id]');
+    if (!btn || !row) return;
+
+    const id = row.dataset.listId;
+    const meta = (store.getState?.()?.lists || []).find(l => l.id === id);
+    if (!meta) return;
+
+    switch (btn.dataset.listAction){
+      case 'open':
+        await actions.switchList?.(id);
+        closeLists(els);
+        break;
+      case 'rename': {
+        const name = prompt('Nuevo nombre de la lista', meta.name);
+        if (name == null) return;
+        actions.renameList?.(id, name);
+        break;
+      }
+      case 'dup':
+        await actions.duplicateList?.(id);
+        break;
+      case 'archive':
+        await actions.archiveList?.(id, true);
+        break;
+      case 'unarchive':
+        await actions.archiveList?.(id, false);
+        break;
+      case 'del': {
+        const ok = confirm(`¿Eliminar "${meta.name}"? No hay vuelta atrás.`);
+        if (!ok) return;
+        await actions.deleteList?.(id);
+        break;
+      }
+      default:
+        return;
+    }
+
+    onAfterStateChange?.();
+  });
+
+  els.btnCreateList?.addEventListener('click', () => {
+    const name = (els.newListName?.value || '').trim();
+    actions.createList?.({ name, modes: pickedModes });
+    if (els.newListName) els.newListName.value = '';
+    closeLists(els);
+    onAfterStateChange?.();
+  });
+
+  els.newListName?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    els.btnCreateList?.click();
+  });
+}
+
+/* =========================
+   Backup (export / import)
+========================= */
+
+function bindBackup({ els, actions, fx, onAfterStateChange }){
+  let pending = null;
+
+  els.btnExportBackup?.addEventListener('click', async () => {
+    try{
+      const backup = await actions.exportBackup?.();
+      if (!backup) return;
+
+      const day = new Date().toISOString().slice(0, 10);
+      downloadJSON(backup, `maleta-backup-${day}.json`);
+      safe(() => fx?.toast?.('Copia descargada 💾'));
+      safe(() => fx?.haptic?.(10));
+    }catch{
+      safe(() => fx?.toast?.('No se pudo exportar la copia 😬'));
+    }
+  });
+
+  els.btnCheckData?.addEventListener('click', async () => {
+    const result = await actions.checkData?.();
+    renderDataCheck(result, els.dataCheck);
+    if (result?.ok) safe(() => fx?.haptic?.(8));
+  });
+
+  els.btnImportBackup?.addEventListener('click', () => {
+    if (!els.backupFile) return;
+    els.backupFile.value = '';
+    els.backupFile.click();
+  });
+
+  els.backupFile?.addEventListener('change', async () => {
+    const file = els.backupFile.files?.[0];
+    if (!file) return;
+
+    let text = '';
+    try{
+      text = await file.text();
+    }catch{
+      safe(() => fx?.toast?.('No se pudo leer el archivo 😬'));
+      return;
+    }
+
+    const preview = await actions.previewImport?.(text);
+    if (!preview?.ok) return;
+
+    pending = preview;
+    renderImportPreview(preview, els.importSummary);
+    openImport(els, fx);
+  });
+
+  async function apply(strategy){
+    if (!pending) return;
+    if (strategy === 'replace'){
+      const ok = confirm('Esto reemplaza TODAS tus listas por las de la copia. ¿Seguimos?');
+      if (!ok) return;
+    }
+
+    const backup = pending.backup;
+    pending = null;
+    await actions.applyImport?.(backup, strategy);
+
+    closeImport(els);
+    onAfterStateChange?.();
+  }
+
+  els.btnImportMerge?.addEventListener('click', () => apply('merge'));
+  els.btnImportReplace?.addEventListener('click', () => apply('replace'));
+}
+
+function downloadJSON(obj, filename){
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* =========================
+   Text import
+========================= */
+
+function bindTextImport({ els, store, actions, fx, onAfterStateChange }){
+  const opts = () => ({
+    cat: els.importTextCat?.value || 'otros',
+    asNewList: !!els.importTextNew?.checked
+  });
+
+  function updatePreview(){
+    if (!els.importTextPreview) return;
+    const text = els.importText?.value || '';
+    if (!text.trim()){
+      els.importTextPreview.textContent = 'Pega el texto: formato de Compartir, "- [ ] item" o un item por línea.';
+      return;
+    }
+
+    const { plan } = actions.previewText?.(text, opts()) || { plan: { items: [], newCats: 0, skipped: 0 } };
+    const parts = [`${plan.items.length} item(s)`];
+    if (plan.newCats) parts.push(`${plan.newCats} categoría(s) nueva(s)`);
+    if (plan.skipped) parts.push(`${plan.skipped} repetido(s)`);
+    els.importTextPreview.textContent = parts.join(' · ');
+  }
+
+  els.btnOpenTextImport?.addEventListener('click', () => {
+    // Comes from the Add modal: swap sheets, focus goes back to "Agregar"
+    closeAdd(els);
+    if (els.importText) els.importText.value = '';
+    if (els.importTextNew) els.importTextNew.checked = false;
+    openTextImport(els, fx, store.getState?.(), { returnFocusEl: els.btnAdd });
+    updatePreview();
+  });
+
+  els.importText?.addEventListener('input', updatePreview);
+  els.importTextCat?.addEventListener('change', updatePreview);
+  els.importTextNew?.addEventListener('change', () => {
+    if (els.importTextCat) els.importTextCat.disabled = !!els.importTextNew.checked;
+    updatePreview();
+  });
+
+  els.btnPasteText?.addEventListener('click', async () => {
+    try{
+      const text = await navigator.clipboard.readText();
+      if (els.importText) els.importText.value = text || '';
+      updatePreview();
+    }catch{
+      safe(() => fx?.toast?.('No pude leer el portapapeles. Pega a mano 🙏'));
+    }
+  });
+
+  els.btnImportText?.addEventListener('click', () => {
+    const res = actions.importText?.(els.importText?.value || '', opts());
+    if (!res?.ok) return;
+
+    closeTextImport(els);
+    onAfterStateChange?.();
+  });
+}
+
+/* =========================
+   Category manager
+========================= */
+
+function bindCategoryManager({ els, store, actions, fx, onAfterStateChange }){
+  let confirmDeleteId = null;
+
+  function paint(){
+    renderCategoryManager(store.getState?.(), els.catsList, { confirmDeleteId });
+  }
+
+  function afterChange(){
+    paint();
+    onAfterStateChange?.();
+  }
+
+  els.btnManageCats?.addEventListener('click', () => {
+    confirmDeleteId = null;
+    paint();
+    openCats(els, fx, { returnFocusEl: els.btnManageCats });
+  });
+
+  // Inline edits commit on change (blur / enter), not on every keystroke
+  els.catsList?.addEventListener('change', (e) => {
+    const field = e.target.dataset?.field;
+    const row = e.target.closest('[data-cat-id]');
+    if (!row || (field !== 'name' && field !== 'emoji')) return;
+
+    const res = actions.renameCategory?.(row.dataset.catId, { [field]: e.target.value });
+    if (!res?.ok){
+      paint(); // restore the previous value
+      return;
+    }
+    onAfterStateChange?.();
+  });
+
+  els.catsList?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || !e.target.dataset?.field) return;
+    e.target.blur();
+  });
+
+  els.catsList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-cat-action]');
+    const row = e.target.closest('[data-cat-id]');
+    if (!btn || !row) return;
+
+    const id = row.dataset.catId;
+    switch (btn.dataset.catAction){
+      case 'up':
+      case 'down': {
+        actions.moveCategory?.(id, btn.dataset.catAction === 'up' ? -1 : 1);
+        afterChange();
+        // keep focus on the same control of the moved row
+        const moved = els.catsList.querySelector(`[data-cat-id="${cssEsc(id)}"] [data-cat-action="${btn.dataset.catAction}"]`);
+        (moved && !moved.disabled ? moved : els.catsList.querySelector(`[data-cat-id="${cssEsc(id)}"] input`))?.focus();
+        break;
+      }
+      case 'delete':
+        confirmDeleteId = id;
+        paint();
+        els.catsList.querySelector(`[data-cat-id="${cssEsc(id)}"] [data-cat-action="confirmDelete"]`)?.focus();
+        break;
+      case 'cancelDelete':
+        confirmDeleteId = null;
+        paint();
+        break;
+      case 'confirmDelete': {
+        const moveTo = row.querySelector('[data-field="moveTo"]')?.value || null;
+        confirmDeleteId = null;
+        actions.deleteCategory?.(id, { moveTo });
+        afterChange();
+        break;
+      }
+      default:
+        return;
+    }
+  });
+
+  els.btnCreateCat?.addEventListener('click', () => {
+    const res = actions.createCategory?.({
+      name: els.newCatName?.value || '',
+      emoji: els.newCatEmoji?.value || ''
+    });
+    if (!res?.ok) return;
+
+    if (els.newCatName) els.newCatName.value = '';
+    if (els.newCatEmoji) els.newCatEmoji.value = '';
+    afterChange();
+    els.newCatName?.focus();
+  });
+
+  els.newCatName?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    els.btnCreateCat?.click();
+  });
+}
+
+/* =========================
+   Templates
+========================= */
+
+function bindTemplates({ els, store, actions, fx, onAfterStateChange }){
+  els.btnSaveTemplate?.addEventListener('click', () => {
+    openTemplates(els, fx, store.getState?.(), { returnFocusEl: els.btnSaveTemplate });
+  });
+
+  els.btnCreateTemplate?.addEventListener('click', () => {
+    const res = actions.saveAsTemplate?.({
+      name: els.newTemplateName?.value || '',
+      emoji: els.newTemplateEmoji?.value || '',
+      theme: els.newTemplateTheme?.value
+    });
+    if (!res?.ok) return;
+
+    if (els.newTemplateName) els.newTemplateName.value = '';
+    if (els.newTemplateEmoji) els.newTemplateEmoji.value = '';
+    onAfterStateChange?.();
+  });
+
+  els.newTemplateName?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    els.btnCreateTemplate?.click();
+  });
+
+  // Inline edits commit on change, like the category manager
+  els.templatesList?.addEventListener('change', (e) => {
+    const field = e.target.dataset?.field;
+    const row = e.target.closest('[data-template-id]');
+    if (!row || !['name', 'emoji', 'theme'].includes(field)) return;
+
+    actions.updateTemplate?.(row.dataset.templateId, { [field]: e.target.value });
+    onAfterStateChange?.();
+  });
+
+  els.templatesList?.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+    e.target.blur();
+  });
+
+  els.templatesList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-template-action]');
+    const row = e.target.closest('[data-template-id]');
+    if (!btn || !row) return;
+
+    const id = row.dataset.templateId;
+    const name = row.querySelector('[data-field="name"]')?.value || 'esta plantilla';
+
+    if (btn.dataset.templateAction === 'refresh'){
+      if (!confirm(`¿Reemplazar "${name}" con las categorías e items de la lista actual?`)) return;
+      actions.refreshTemplate?.(id);
+    } else if (btn.dataset.templateAction === 'delete'){
+      if (!confirm(`¿Eliminar la plantilla "${name}"? Las listas creadas con ella se quedan.`)) return;
+      actions.deleteTemplate?.(id);
+    } else {
+      return;
+    }
+
+    onAfterStateChange?.();
+  });
+}
+
+/* =========================
+   Trip history
+========================= */
+
+function bindTripLog({ els, actions, fx, onAfterStateChange }){
+  els.btnHistory?.addEventListener('click', () => {
+    openHistory(els, fx, { returnFocusEl: els.btnHistory });
+  });
+
+  els.historyList?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-log-action="reopen"]');
+    const row = e.target.closest('[data-log-id]');
+    if (!btn || !row) return;
+
+    const res = actions.reopenLogEntry?.(row.dataset.logId);
+    if (!res?.ok) return;
+
+    // The new list is what they want to see: leave Historial and Settings
+    closeHistory(els);
+    closeSettings(els);
+    onAfterStateChange?.();
+  });
+
+  els.btnClearHistory?.addEventListener('click', () => {
+    if (!confirm('¿Borrar todo el historial? Tus listas no se tocan.')) return;
+    actions.clearLog?.();
+    onAfterStateChange?.();
+  });
+}
+
+/* =========================
+   Departure + reminders
+========================= */
+
+function bindDeparture({ els, store, actions, fx, notifier, onAfterStateChange }){
+  const reminders = () => store.getState?.()?.settings?.reminders || {};
+
+  const syncReminderInputs = () => {
+    const r = reminders();
+    if (els.toggleReminders) els.toggleReminders.checked = !!r.enabled;
+    renderReminderOffsets(els.reminderOffsets, r);
+    if (els.departHint) els.departHint.textContent = reminderHint(notifier, r.enabled);
+  };
+
+  els.departChip?.addEventListener('click', () => {
+    syncReminderInputs();
+    openDepart(els, fx, store.getState?.(), { returnFocusEl: els.departChip });
+  });
+
+  els.toggleReminders?.addEventListener('change', async () => {
+    if (!els.toggleReminders.checked){
+      actions.updateReminders?.({ enabled: false });
+      syncReminderInputs();
+      return;
+    }
+
+    // Ask only when they opt in (browsers punish cold permission prompts)
+    const perm = await notifier?.requestPermission?.();
+    if (perm !== 'granted'){
+      els.toggleReminders.checked = false;
+      safe(() => fx?.toast?.(perm === 'unsupported'
+        ? 'Este navegador no muestra notificaciones 😕'
+        : 'Sin permiso para notificaciones 🔕'));
+      syncReminderInputs();
+      return;
+    }
+
+    actions.updateReminders?.({ enabled: true });
+    syncReminderInputs();
+    onAfterStateChange?.();
+  });
+
+  els.reminderOffsets?.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-offset]');
+    if (!chip) return;
+
+    const min = Number(chip.dataset.offset);
+    const cur = reminders().offsets || [];
+    const offsets = cur.includes(min) ? cur.filter(m => m !== min) : [...cur, min];
+
+    actions.updateReminders?.({ offsets });
+    syncReminderInputs();
+    els.reminderOffsets.querySelector(`[data-offset="${min}"]`)?.focus();
+    onAfterStateChange?.();
+  });
+
+  els.btnSaveDepart?.addEventListener('click', () => {
+    const st = store.getState?.();
+    const at = fromLocalInput(els.departAt?.value);
+    if (at && at <= Date.now()){
+      safe(() => fx?.toast?.('Esa fecha ya pasó ⏰'));
+      return;
+    }
+
+    const res = actions.setDeparture?.(st?.activeListId, at);
+    if (!res?.ok) return;
+    closeDepart(els);
+    onAfterStateChange?.();
+  });
+
+  els.btnClearDepart?.addEventListener('click', () => {
+    const res = actions.setDeparture?.(store.getState?.()?.activeListId, null);
+    if (!res?.ok) return;
+    closeDepart(els);
+    onAfterStateChange?.();
+  });
+}
+
+function reminderHint(notifier, enabled){
+  const perm = notifier?.permission?.() || 'unsupported';
+  if (perm === 'unsupported') return 'Este navegador no muestra notificaciones.';
+  if (perm === 'denied') return 'Las notificaciones están bloqueadas para esta app.';
+  if (!enabled) return 'Te avisamos si aún faltan cosas.';
+  return notifier.canSchedule?.()
+    ? 'Te avisamos aunque la app esté cerrada.'
+    : 'Te avisamos al abrir la app (este navegador no programa avisos).';
+}
+
+// <input type="datetime-local"> speaks local "YYYY-MM-DDTHH:mm"
+function toLocalInput(ts){
+  if (!ts) return '';
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function fromLocalInput(value){
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+/* =========================
+   Cross-device sync
+========================= */
+
+function bindSync({ els, store, actions, fx, sync, onAfterStateChange }){
+  const activeMeta = () => {
+    const st = store.getState?.();
+    return (st?.lists || []).find(l => l.id === st?.activeListId) || null;
+  };
+
+  const syncInputs = () => {
+    const cfg = store.getState?.()?.settings?.sync || {};
+    const meta = activeMeta();
+    if (els.syncUrl) els.syncUrl.value = cfg.url || '';
+    if (els.syncToken) els.syncToken.value = cfg.token || '';
+    if (els.toggleShareList) els.toggleShareList.checked = !!meta?.shared;
+    if (els.syncCode) els.syncCode.textContent = meta?.shared ? meta.id : '—';
+    if (els.btnCopySyncCode) els.btnCopySyncCode.disabled = !meta?.shared;
+    if (els.joinCode) els.joinCode.value = '';
+    renderSyncStatus(sync?.status?.(), null, els.syncStatusText);
+  };
+
+  els.btnSync?.addEventListener('click', () => {
+    syncInputs();
+    openSync(els, fx, { returnFocusEl: els.btnSync });
+  });
+
+  els.btnSaveSync?.addEventListener('click', () => {
+    const res = actions.updateSyncSettings?.({ url: els.syncUrl?.value || '', token: els.syncToken?.value || '' });
+    if (!res?.ok){
+      safe(() => fx?.toast?.('La dirección debe empezar con https:// 🙃'));
+      els.syncUrl?.focus();
+      return;
+    }
+    sync?.syncNow?.();
+    syncInputs();
+  });
+
+  els.toggleShareList?.addEventListener('change', () => {
+    const meta = activeMeta();
+    if (!meta) return;
+    actions.setShared?.(meta.id, els.toggleShareList.checked);
+    if (els.toggleShareList.checked) sync?.syncNow?.([meta.id]);
+    syncInputs();
+    onAfterStateChange?.();
+  });
+
+  els.btnCopySyncCode?.addEventListener('click', async () => {
+    const meta = activeMeta();
+    if (!meta?.shared) return;
+    try{
+      await fx?.copyText?.(meta.id);
+      safe(() => fx?.toast?.('Código copiado 📋'));
+    }catch{
+      safe(() => fx?.toast?.('No se pudo copiar 😬'));
+    }
+  });
+
+  els.btnJoinList?.addEventListener('click', async () => {
+    const res = await actions.joinSharedList?.(els.joinCode?.value || '');
+    if (!res?.ok){
+      safe(() => fx?.toast?.('Ese código no parece válido 🤔'));
+      els.joinCode?.focus();
+      return;
+    }
+    sync?.syncNow?.([res.id]);
+    syncInputs();
+    onAfterStateChange?.();
+  });
+
+  els.btnSyncNow?.addEventListener('click', async () => {
+    await sync?.syncNow?.();
+    syncInputs();
+  });
+}
+
+/* =========================
+   Share link
+========================= */
+
+function bindShareLink({ els, store, actions, fx, scanner, onAfterStateChange }){
+  let pending = null;
+  let qrParts = [];
+  let qrIndex = 0;
+  let qrTimer = null;
+  let scanPending = null;
+
+  const stopCarousel = () => {
+    clearInterval(qrTimer);
+    qrTimer = null;
+  };
+
+  const showPart = (i) => {
+    qrIndex = (i + qrParts.length) % qrParts.length;
+    renderQR(qrParts[qrIndex], els.qrCode);
+    if (els.qrStep) els.qrStep.textContent = `${qrIndex + 1} de ${qrParts.length}`;
+  };
+
+  const hideQR = () => {
+    stopCarousel();
+    qrParts = [];
+    if (els.qrBox) els.qrBox.hidden = true;
+  };
+  onLinkClose = hideQR;
+
+  const syncHint = () => {
+    const items = store.getState?.()?.data?.items || [];
+    const done = items.filter(it => it.done).length;
+    if (els.linkHint) els.linkHint.textContent = els.toggleLinkChecks?.checked
+      ? `Va con ${done} de ${items.length} marcados`
+      : `Va con los ${items.length} items sin marcar`;
+  };
+
+  els.btnOpenLink?.addEventListener('click', () => {
+    safe(() => fx?.unlockAudio?.());
+    syncHint();
+    openLink(els, fx, { returnFocusEl: els.btnOpenLink });
+  });
+
+  els.toggleLinkChecks?.addEventListener('change', () => {
+    syncHint();
+    // A QR on screen would no longer match the switch
+    hideQR();
+  });
+
+  els.btnShareLink?.addEventListener('click', async () => {
+    const res = await actions.shareLink?.({ includeChecks: !!els.toggleLinkChecks?.checked });
+    if (res?.ok) closeLink(els);
+  });
+
+  els.btnShowQR?.addEventListener('click', async () => {
+    const res = await actions.linkQR?.({ includeChecks: !!els.toggleLinkChecks?.checked });
+    if (!res?.ok) return;
+
+    stopCarousel();
+    qrParts = res.parts;
+    if (els.qrBox) els.qrBox.hidden = false;
+    if (els.qrNav) els.qrNav.hidden = qrParts.length < 2;
+    if (els.qrHint) els.qrHint.textContent = qrParts.length > 1
+      ? `Lista grande: son ${qrParts.length} códigos. Escanéalos todos desde Maleta (📷 Escanear QR); van pasando solos.`
+      : 'Se abre con la cámara de cualquier teléfono.';
+    showPart(0);
+
+    // Sequences cycle on their own so the other phone just keeps pointing
+    if (qrParts.length > 1) qrTimer = setInterval(() => showPart(qrIndex + 1), 2000);
+  });
+
+  els.btnQrPrev?.addEventListener('click', () => {
+    stopCarousel();
+    showPart(qrIndex - 1);
+  });
+
+  els.btnQrNext?.addEventListener('click', () => {
+    stopCarousel();
+    showPart(qrIndex + 1);
+  });
+
+  // Scanner
+  const setScanStatus = (text) => {
+    if (els.scanStatus) els.scanStatus.textContent = text;
+  };
+
+  const handleScan = async (text) => {
+    const res = actions.readScan?.(text, scanPending);
+    if (!res) return;
+    if (res.ok){
+      scanPending = null;
+      closeScan(els);
+      await api.preview(res.token);
+      return;
+    }
+    scanPending = res.pending || null;
+    if (res.reason === 'PARTIAL') setScanStatus(`Leídos ${res.have} de ${res.total} códigos… sigue apuntando`);
+  };
+
+  const startScan = async (returnFocusEl) => {
+    scanPending = null;
+    setScanStatus('Apunta la cámara al código QR');
+    openScan(els, fx, { returnFocusEl });
+
+    const res = await scanner?.start?.(handleScan);
+    if (res?.ok) return;
+    setScanStatus(
+      res?.reason === 'DENIED' ? 'Sin permiso para la cámara. Puedes leer el QR desde una imagen.' :
+      res?.reason === 'NO_CAMERA' ? 'No encontré cámara. Puedes leer el QR desde una imagen.' :
+      'Este navegador no sabe leer QR. Abre el código con la cámara del teléfono.'
+    );
+  };
+  onScanClose = () => {
+    scanner?.stop?.();
+    scanPending = null;
+  };
+
+  // No decoder in this browser: no scan buttons, a line saying why instead
+  scanner?.supported?.().then((ok) => {
+    if (ok) return;
+    [els.btnScanQR, els.btnScanList].forEach(btn => { if (btn) btn.hidden = true; });
+    [els.scanHintLink, els.scanHintLists].forEach(hint => { if (hint) hint.hidden = false; });
+  });
+
+  els.btnScanQR?.addEventListener('click', () => {
+    closeLink(els);
+    startScan(els.btnOpenLink);
+  });
+
+  els.btnScanList?.addEventListener('click', () => {
+    closeLists(els);
+    startScan(els.btnLists);
+  });
+
+  els.btnScanImage?.addEventListener('click', () => {
+    if (!els.scanFile) return;
+    els.scanFile.value = '';
+    els.scanFile.click();
+  });
+
+  els.scanFile?.addEventListener('change', async () => {
+    const file = els.scanFile.files?.[0];
+    if (!file) return;
+
+    const res = await scanner?.scanFile?.(file);
+    if (!res?.ok){
+      setScanStatus(res?.reason === 'BAD_IMAGE' ? 'No pude leer esa imagen 😬' : 'Este navegador no sabe leer QR 😬');
+      return;
+    }
+    if (!res.texts.length){
+      setScanStatus('No encontré ningún QR en esa imagen 🤔');
+      return;
+    }
+    // A screenshot may hold the whole sequence
+    for (const text of res.texts){
+      await handleScan(text);
+      if (!els.scanOverlay?.classList.contains('show')) break;
+    }
+  });
+
+  els.btnLinkImport?.addEventListener('click', () => {
+    if (!pending) return;
+    const list = pending.list;
+    pending = null;
+    actions.importLink?.(list);
+    closeLinkImport(els);
+    onAfterStateChange?.();
+  });
+
+  els.btnLinkDiscard?.addEventListener('click', () => {
+    pending = null;
+    closeLinkImport(els);
+  });
+
+  const api = {
+    /**
+     * preview
+     * @param {string} token from a `#lista=` fragment or a scanned QR
+     */
+    async preview(token){
+      const preview = await actions.previewLink?.(token);
+      if (!preview?.ok) return false;
+
+      pending = preview;
+      renderLinkPreview(preview, els.linkPreview);
+      openLinkImport(els, fx);
+      return true;
+    }
+  };
+  return api;
+}
+
+/* =========================
+   Shared-in (Web Share Target)
+========================= */
+
+function bindSharedIn({ els, store, actions, fx, onAfterStateChange }){
+  let items = [];
+
+  const picked = () => Array.from(els.sharedItems?.querySelectorAll('input[type="checkbox"]') || [])
+    .filter(cb => cb.checked)
+    .map(cb => items[Number(cb.dataset.index)])
+    .filter(Boolean);
+
+  const syncButton = () => {
+    const n = picked().length;
+    if (!els.btnAddShared) return;
+    els.btnAddShared.disabled = !n;
+    els.btnAddShared.textContent = n === 1 ? 'Agregar 1 item' : `Agregar ${n} items`;
+  };
+
+  // Categories follow the chosen list; keep "otros" (or the first) preselected
+  const syncCats = async () => {
+    const cats = await actions.listCategories?.(els.sharedList?.value) || [];
+    renderAddCategories({ data: { cats } }, els.sharedCat);
+    if (els.sharedCat){
+      els.sharedCat.value = cats.some(c => c.id === 'otros') ? 'otros' : (cats[0]?.id || '');
+    }
+  };
+
+  els.sharedItems?.addEventListener('change', syncButton);
+  els.sharedList?.addEventListener('change', syncCats);
+
+  els.btnAddShared?.addEventListener('click', async () => {
+    const chosen = picked();
+    if (!chosen.length) return;
+
+    const res = await actions.addSharedItems?.({
+      listId: els.sharedList?.value,
+      cat: els.sharedCat?.value,
+      items: chosen
+    });
+    if (!res?.ok && res?.reason !== 'ALL_DUPLICATES') return;
+
+    items = [];
+    closeShared(els);
+    onAfterStateChange?.();
+  });
+
+  return {
+    /**
+     * open
+     * @param {{title?:string, text?:string, url?:string}} payload
+     */
+    async open(payload){
+      const preview = actions.previewShared?.(payload);
+      if (!preview?.ok) return false;
+
+      items = preview.items;
+      renderSharedItems(items, els.sharedItems);
+      renderListOptions(store.getState?.(), els.sharedList);
+      await syncCats();
+      syncButton();
+      openShared(els, fx);
+      return true;
+    }
+  };
+}
+
+/* =========================
+   Undo / redo keys
+========================= */
+
+function bindHistoryKeys({ els, actions, onAfterStateChange }){
+  window.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    // Leave text fields their own native undo
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    if (anyOverlayOpen(els)) return;
+
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    e.preventDefault();
+    if (isUndo) actions.undo?.();
+    else actions.redo?.();
+    onAfterStateChange?.();
+  });
+}
+
+function anyOverlayOpen(els){
+  return [els.settingsOverlay, els.addOverlay, els.listsOverlay, els.importOverlay, els.textOverlay, els.catsOverlay, els.templatesOverlay, els.historyOverlay, els.departOverlay, els.syncOverlay, els.linkOverlay, els.scanOverlay, els.linkImportOverlay, els.sharedOverlay]
+    .some(o => o?.classList.contains('show'));
+}
+
 /* =========================
    Helpers
 ========================= */
@@ -29,6 +29,37 @@ export function cssEsc(s){
   }
 }
 
+/* =========================
+   Text
+========================= */
+
+/**
+ * normalizeText
+ * Case- and accent-insensitive key for comparing names ("Tecnología" → "tecnologia").
+ */
+export function normalizeText(s){
+  return String(s ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * slugId
+ * Readable id from a name, unique against `used` ("Tecnología" → "tecnologia", "tecnologia-2").
+ * @param {string} name
+ * @param {Set<string>} [used]
+ */
+export function slugId(name, used = new Set()){
+  const base = normalizeText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24) || 'cat';
+  if (!used.has(base)) return base;
+  let i = 2;
+  while (used.has(`${base}-${i}`)) i++;
+  return `${base}-${i}`;
+}
+
 /* =========================
    IDs
 ========================= */
@@ -0,0 +1,108 @@
+/* =============================================================================
+  /src/view.js — How a list is shown (pure, no DOM)
+  - Status filter: all / pending / packed
+  - Sort: manual (the list's own order), alphabetical, pending first, by category
+  - Layout: flat, or grouped under one header per category (in "Todo"), with
+    the collapsed categories remembered
+  - Saved per list in its library meta (`meta.view`), so each list keeps its own
+============================================================================= */
+
+'use strict';
+
+export const VIEW_STATUS = [
+  { id: 'all',     label: 'Todo' },
+  { id: 'pending', label: '⏳ Faltan' },
+  { id: 'packed',  label: '✅ Listos' }
+];
+
+export const VIEW_SORT = [
+  { id: 'manual',  label: '✋ Manual' },
+  { id: 'alpha',   label: '🔤 A–Z' },
+  { id: 'pending', label: '⏳ Faltantes primero' },
+  { id: 'cat',     label: '🏷️ Por categoría' }
+];
+
+export const DEFAULT_VIEW = Object.freeze({ status: 'all', sort: 'manual', grouped: false, collapsed: [] });
+
+const MAX_COLLAPSED = 60;
+
+/**
+ * repairView
+ * @param {any} v persisted view
+ * @returns {{status:string, sort:string, grouped:boolean, collapsed:string[]}}
+ */
+export function repairView(v){
+  const status = VIEW_STATUS.some(o => o.id === v?.status) ? v.status : DEFAULT_VIEW.status;
+  const sort = VIEW_SORT.some(o => o.id === v?.sort) ? v.sort : DEFAULT_VIEW.sort;
+  const collapsed = Array.isArray(v?.collapsed)
+    ? [...new Set(v.collapsed.map(String))].slice(0, MAX_COLLAPSED)
+    : [];
+  return { status, sort, grouped: !!v?.grouped, collapsed };
+}
+
+/**
+ * sameView
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameView(a, b){
+  const x = repairView(a);
+  const y = repairView(b);
+  return x.status === y.status && x.sort === y.sort && x.grouped === y.grouped
+    && x.collapsed.length === y.collapsed.length && x.collapsed.every(id => y.collapsed.includes(id));
+}
+
+/**
+ * matchesStatus
+ * @param {Object} item
+ * @param {string} status
+ */
+export function matchesStatus(item, status){
+  if (status === 'pending') return !item.done;
+  if (status === 'packed') return !!item.done;
+  return true;
+}
+
+/**
+ * applyView
+ * Filters by status, then sorts. Never mutates `items`; ties keep list order.
+ * @param {Array} items
+ * @param {Array} cats list categories (their order is the "by category" order)
+ * @param {Object} view
+ * @returns {Array}
+ */
+export function applyView(items, cats, view){
+  const { status, sort } = repairView(view);
+  const shown = (items || []).filter(it => matchesStatus(it, status));
+  if (sort === 'manual') return shown;
+
+  const order = new Map(shown.map((it, i) => [it, i]));
+  const catOrder = new Map((cats || []).map((c, i) => [c.id, i]));
+  const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'es', { sensitivity: 'base', numeric: true });
+
+  const cmp = {
+    alpha: byName,
+    pending: (a, b) => Number(!!a.done) - Number(!!b.done),
+    cat: (a, b) => (catOrder.get(a.cat) ?? catOrder.size) - (catOrder.get(b.cat) ?? catOrder.size)
+  }[sort];
+
+  return [...shown].sort((a, b) => cmp(a, b) || order.get(a) - order.get(b));
+}
+
+/**
+ * groupItems
+ * Visible items under their category, categories in list order (empty ones
+ * dropped). Order inside a group is the order of `items`.
+ * @param {Array} items already filtered/sorted
+ * @param {Array} cats
+ * @returns {Array<{cat:Object, items:Array}>}
+ */
+export function groupItems(items, cats){
+  const groups = new Map((cats || []).map(c => [c.id, { cat: c, items: [] }]));
+  for (const it of items || []){
+    if (!groups.has(it.cat)) groups.set(it.cat, { cat: { id: it.cat, name: 'Otros', emoji: null }, items: [] });
+    groups.get(it.cat).items.push(it);
+  }
+  return [...groups.values()].filter(g => g.items.length);
+}
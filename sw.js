@@ -3,24 +3,60 @@
 /* =============================================================================
   sw.js — Maleta · Checklist (PWA)
   Offline-first + App Shell Cache + Runtime Cache (PRO)
+  + Recordatorios de salida (Notification Triggers cuando existen)
 ============================================================================= */
 
 /** Versiona bien para updates */
-const VERSION = 'v2.0.0';
+const VERSION = 'v2.2.0';
 
 /** Cachés separados = orden mental */
 const APP_SHELL_CACHE = `maleta-shell-${VERSION}`;
 const RUNTIME_CACHE   = `maleta-runtime-${VERSION}`;
 
-/** Archivos esenciales (App Shell) */
+/** Archivos esenciales (App Shell): cada módulo de src/, o la app no arranca sin red */
 const APP_SHELL = [
   './',
   './index.html',
-  './styles.css',
-  './app.js',
   './manifest.webmanifest',
   './icons/icon-192.png',
-  './icons/icon-512.png'
+  './icons/icon-512.png',
+
+  './styles/base.css',
+  './styles/theme.css',
+  './styles/components.css',
+  './styles/animations.css',
+  './styles/app.css',
+
+  './src/actions.js',
+  './src/adapters.js',
+  './src/app.js',
+  './src/backup.js',
+  './src/fx.js',
+  './src/gestures.js',
+  './src/history.js',
+  './src/items.js',
+  './src/lists.js',
+  './src/migrations.js',
+  './src/notify.js',
+  './src/qr.js',
+  './src/qrscan.js',
+  './src/reconcile.js',
+  './src/reminders.js',
+  './src/render.js',
+  './src/search.js',
+  './src/sharelink.js',
+  './src/state.js',
+  './src/storage.js',
+  './src/streaks.js',
+  './src/sync.js',
+  './src/syncdoc.js',
+  './src/tabsync.js',
+  './src/templates.js',
+  './src/textimport.js',
+  './src/triplog.js',
+  './src/ui.js',
+  './src/utils.js',
+  './src/view.js'
 ];
 
 /* =============================================================================
@@ -104,11 +140,84 @@ self.addEventListener('fetch', (event) => {
 });
 
 /* =============================================================================
-  OPTIONAL — Manual update trigger
-  (por si luego haces botón "Actualizar app")
+  MESSAGES
+  - 'SKIP_WAITING': botón "Actualizar app"
+  - { type:'SCHEDULE_REMINDERS', reminders }: plan completo de recordatorios
+    (ver src/reminders.js). Reemplaza lo programado antes.
 ============================================================================= */
 self.addEventListener('message', (event) => {
   if (event.data === 'SKIP_WAITING') {
     self.skipWaiting();
+    return;
   }
+
+  if (event.data?.type === 'SCHEDULE_REMINDERS') {
+    event.waitUntil(scheduleReminders(event.data.reminders || []));
+  }
+});
+
+/** Mismo prefijo que REMINDER_TAG en src/reminders.js */
+const REMINDER_TAG = 'maleta-rem:';
+
+/** Notification Triggers: solo algunos navegadores (si no, la app revisa al abrir) */
+const canTrigger = () =>
+  typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+
+async function scheduleReminders(reminders) {
+  if (!canTrigger() || Notification.permission !== 'granted') return;
+
+  const now = Date.now();
+  const wanted = new Map(
+    reminders.filter((r) => r && r.id && r.at > now).map((r) => [r.id, r])
+  );
+
+  /**
+   * Cancela lo que ya no está en el plan (fecha movida, lista completa, etc.)
+   * y lo que cambió sin cambiar de id (el texto lleva cuántos items faltan)
+   */
+  const pending = await self.registration.getNotifications({ includeTriggered: true });
+  for (const n of pending) {
+    if (!n.tag?.startsWith(REMINDER_TAG)) continue;
+    const r = wanted.get(n.tag);
+    if (r && sameReminder(n, r)) wanted.delete(n.tag);
+    else n.close();
+  }
+
+  for (const r of wanted.values()) {
+    await self.registration.showNotification(r.title, {
+      body: r.body,
+      tag: r.id,
+      icon: './icons/icon-192.png',
+      badge: './icons/icon-192.png',
+      data: { listId: r.listId },
+      actions: [{ action: 'open', title: 'Abrir lista' }],
+      showTrigger: new TimestampTrigger(r.at)
+    });
+  }
+}
+
+/** Lo programado coincide con lo que se quiere (texto y hora del disparo) */
+function sameReminder(n, r) {
+  const at = n.showTrigger?.timestamp ?? n.timestamp;
+  return n.title === r.title && n.body === r.body && at === r.at;
+}
+
+/* =============================================================================
+  NOTIFICATION CLICK — abre (o enfoca) la app en esa lista
+============================================================================= */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const listId = event.notification.data?.listId;
+  if (!listId) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      if (client) {
+        client.postMessage({ type: 'OPEN_LIST', listId });
+        return client.focus();
+      }
+      return self.clients.openWindow(`./?list=${encodeURIComponent(listId)}`);
+    })
+  );
 });
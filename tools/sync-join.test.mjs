@@ -0,0 +1,165 @@
+/* =============================================================================
+  tools/sync-join.test.mjs — Regression checks for cross-device sync
+  - Join, then reload before the first pull: the list stays an empty
+    placeholder and its first sync never pushes preset items to the partner
+  - A poll with nothing new never re-applies (undo history survives), and
+    applying an unchanged result doesn't touch the store
+  - Run: node --test tools/
+============================================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createStore } from '../src/state.js';
+import { createStorage } from '../src/storage.js';
+import { createActions } from '../src/actions.js';
+import { createSync } from '../src/sync.js';
+import { docFromData } from '../src/syncdoc.js';
+import { DATA_VERSION } from '../src/migrations.js';
+
+const LIST_ID = 'partner-list-1';
+
+function memoryAdapter(){
+  const kv = new Map();
+  return {
+    get: async (k) => (kv.has(k) ? structuredClone(kv.get(k)) : null),
+    set: async (k, v) => { kv.set(k, structuredClone(v)); },
+    remove: async (k) => { kv.delete(k); },
+    keys: async () => [...kv.keys()]
+  };
+}
+
+// What storage falls back to: exactly what must never reach the partner
+function newPreset(mode){
+  return {
+    version: DATA_VERSION,
+    mode: mode || 'salida',
+    cats: [{ id: 'ropa', name: 'Ropa', emoji: null }],
+    items: [{ id: 'preset-1', cat: 'ropa', name: 'Camiseta', emoji: null, done: false, updatedAt: 1 }],
+    __completedOnce: false
+  };
+}
+
+function makeStorage(adapter){
+  return createStorage({ adapter, defaultSettings: { tripMode: 'salida' }, newPreset });
+}
+
+// In-memory server speaking the protocol documented in src/sync.js
+function fakeServer(initial = {}){
+  const docs = new Map(Object.entries(initial).map(([id, doc]) => [id, { rev: '1', doc }]));
+  let counter = 1;
+  const reply = (status, body) => ({ ok: status < 300, status, json: async () => structuredClone(body) });
+
+  const fetch = async (url, { method, body }) => {
+    const id = decodeURIComponent(url.split('/lists/')[1]);
+    const cur = docs.get(id);
+    if (method === 'GET') return cur ? reply(200, cur) : reply(404, {});
+
+    const { baseRev, doc } = JSON.parse(body);
+    if ((cur?.rev ?? null) !== baseRev) return reply(409, cur);
+    const next = { rev: String(++counter), doc };
+    docs.set(id, next);
+    return reply(200, { rev: next.rev });
+  };
+  return { fetch, docs };
+}
+
+function makeSync(storage, { fetch, getData, applyData }){
+  return createSync({
+    getConfig: () => ({ url: 'https://sync.test', token: '', device: 'phone-b' }),
+    getSharedLists: () => [{ id: LIST_ID, name: 'Lista compartida', shared: true }],
+    getData,
+    applyData,
+    loadShadow: storage.loadShadow,
+    saveShadow: storage.saveShadow,
+    loadQueue: storage.loadSyncQueue,
+    saveQueue: storage.saveSyncQueue,
+    fetch
+  });
+}
+
+const partnerData = {
+  mode: 'playa',
+  cats: [{ id: 'agua', name: 'Agua', emoji: null }],
+  items: [{ id: 'p-1', cat: 'agua', name: 'Bloqueador', emoji: null, done: false, updatedAt: 5 }]
+};
+
+test('join, reload before the first pull, then sync: no preset reaches the partner', async () => {
+  const adapter = memoryAdapter();
+  const storage = makeStorage(adapter);
+
+  const store = createStore({ settings: { tripMode: 'salida' }, lists: [], activeListId: null, data: newPreset('salida') });
+  const actions = createActions({
+    getState: store.getState,
+    setState: store.setState,
+    deps: {
+      newPreset,
+      saveList: (id, data) => storage.saveData(id, data),
+      saveData: () => storage.saveData(store.getState().activeListId, store.getState().data)
+    }
+  });
+
+  const res = await actions.joinSharedList(LIST_ID);
+  assert.equal(res.ok, true);
+  await new Promise(r => setTimeout(r, 0)); // openList's save is fire-and-forget
+
+  // "Reload": a fresh storage over the same persisted keys
+  const reloaded = await makeStorage(adapter).loadData(LIST_ID, 'salida');
+  assert.deepEqual(reloaded.cats, []);
+  assert.deepEqual(reloaded.items, []);
+
+  const partnerDoc = docFromData(null, partnerData, { meta: { name: 'Playa' }, device: 'phone-a', now: 10 });
+  const server = fakeServer({ [LIST_ID]: partnerDoc });
+
+  let applied = null;
+  const sync = makeSync(storage, {
+    fetch: server.fetch,
+    getData: async () => reloaded,
+    applyData: async (id, data) => { applied = data; }
+  });
+  const status = await sync.syncNow();
+
+  assert.equal(status.state, 'synced');
+  const onServer = Object.values(server.docs.get(LIST_ID).doc.items).map(it => it.name.v);
+  assert.deepEqual(onServer, ['Bloqueador']);
+  assert.deepEqual(applied.items.map(it => it.name), ['Bloqueador']);
+});
+
+test('a poll with nothing new does not re-apply the list', async () => {
+  const storage = makeStorage(memoryAdapter());
+  const partnerDoc = docFromData(null, partnerData, { meta: { name: 'Playa' }, device: 'phone-a', now: 10 });
+  const server = fakeServer({ [LIST_ID]: partnerDoc });
+
+  let data = { cats: [], items: [] };
+  let applies = 0;
+  const sync = makeSync(storage, {
+    fetch: server.fetch,
+    getData: async () => data,
+    applyData: async (id, next) => { applies++; data = next; }
+  });
+
+  await sync.syncNow();
+  assert.equal(applies, 1);
+
+  await sync.syncNow();
+  await sync.syncNow();
+  assert.equal(applies, 1);
+});
+
+test('applying a sync result that changes nothing leaves the store untouched', async () => {
+  const data = { ...newPreset('playa'), ...partnerData, version: DATA_VERSION };
+  const store = createStore({
+    settings: { tripMode: 'playa' },
+    lists: [{ id: LIST_ID, name: 'Playa', mode: 'playa', departAt: null, done: 0, total: 1, shared: true }],
+    activeListId: LIST_ID,
+    data
+  });
+  const actions = createActions({ getState: store.getState, setState: store.setState, deps: { newPreset } });
+
+  let notified = 0;
+  store.subscribe(() => { notified++; });
+
+  const res = await actions.applySyncedData(LIST_ID, structuredClone(data), { meta: { name: 'Playa', departAt: null } });
+  assert.equal(res.changed, false);
+  assert.equal(notified, 0);
+});
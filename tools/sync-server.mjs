@@ -0,0 +1,56 @@
+/* =============================================================================
+  tools/sync-server.mjs — Stand-in sync server (dev/testing only)
+  - Implements the protocol documented in src/sync.js, in memory
+  - No merging here: the server only does compare-and-swap on `rev`
+  - Run: node tools/sync-server.mjs [port]   → http://localhost:8787
+============================================================================= */
+
+import { createServer } from 'node:http';
+
+const port = Number(process.argv[2]) || 8787;
+const docs = new Map(); // listId → { rev, doc }
+let counter = 0;
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function send(res, status, body){
+  res.writeHead(status, { ...cors, 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const m = /^\/lists\/([^/?]+)$/.exec(new URL(req.url, 'http://x').pathname);
+  if (!m) return send(res, 404, { error: 'NOT_FOUND' });
+  const id = decodeURIComponent(m[1]);
+
+  if (req.method === 'GET'){
+    const cur = docs.get(id);
+    return cur ? send(res, 200, cur) : send(res, 404, { error: 'NOT_FOUND' });
+  }
+
+  if (req.method === 'PUT'){
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    let body;
+    try{ body = JSON.parse(raw); }catch{ return send(res, 400, { error: 'BAD_JSON' }); }
+    if (!body?.doc) return send(res, 400, { error: 'NO_DOC' });
+
+    const cur = docs.get(id);
+    if ((cur?.rev ?? null) !== (body.baseRev ?? null)) return send(res, 409, cur || { rev: null, doc: null });
+
+    const next = { rev: String(++counter), doc: body.doc };
+    docs.set(id, next);
+    return send(res, 200, { rev: next.rev });
+  }
+
+  send(res, 405, { error: 'METHOD' });
+}).listen(port, () => {
+  console.log(`maleta sync stand-in on http://localhost:${port}`);
+});